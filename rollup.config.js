@@ -18,6 +18,7 @@ const d3Modules = {
     'd3-brush': 'd3',
     'd3-collection': 'd3',
     'd3-dispatch': 'd3',
+    'd3-dsv': 'd3',
     'd3-ease': 'd3',
     'd3-format': 'd3',
     'd3-geo': 'd3',
@@ -0,0 +1,132 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.accessibleFallback', () => {
+    let data, valueDimension, valueGroup;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        valueDimension = data.dimension(d => +d.value);
+        valueGroup = valueDimension.group();
+    });
+
+    const fallback = chart => chart.select('div.dc-accessible-fallback');
+    const cellsOf = chart => fallback(chart).selectAll('tbody tr').nodes()
+        .map(tr => d3.select(tr).selectAll('td').nodes().map(td => td.textContent));
+    const headersOf = chart => fallback(chart).selectAll('th').nodes().map(th => th.textContent);
+
+    const buildBarChart = (id, chartGroup) => {
+        appendChartID(id);
+        return new dc.BarChart(`#${id}`, chartGroup)
+            .width(300)
+            .height(150)
+            .dimension(valueDimension)
+            .group(valueGroup, 'count')
+            .x(d3.scaleLinear().domain([20, 70]))
+            .transitionDuration(0);
+    };
+
+    it('should not be rendered by default', () => {
+        const chart = buildBarChart('fallback-default').render();
+        expect(fallback(chart).empty()).toBeTruthy();
+    });
+
+    describe('table', () => {
+        let chart;
+
+        beforeEach(() => {
+            chart = buildBarChart('fallback-table').svgDescription('Values').accessibleTable(true);
+            chart.render();
+        });
+
+        it('should be a visually hidden aria-live region after the svg', () => {
+            expect(fallback(chart).attr('aria-live')).toBe('polite');
+            expect(fallback(chart).style('position')).toBe('absolute');
+            expect(fallback(chart).style('overflow')).toBe('hidden');
+            expect(chart.root().node().lastChild).toBe(fallback(chart).node());
+        });
+
+        it('should list the keys and values', () => {
+            expect(fallback(chart).select('caption').text()).toBe('Values');
+            expect(headersOf(chart)).toEqual(['key', 'count']);
+            expect(cellsOf(chart)).toEqual([['22', '2'], ['33', '2'], ['44', '3'], ['55', '2'], ['66', '1']]);
+        });
+
+        it('should mark the selected keys while filtered', () => {
+            chart.filter(44).redraw();
+            expect(headersOf(chart)).toEqual(['key', 'count', 'Selected']);
+            expect(cellsOf(chart).map(row => row[2])).toEqual(['', '', 'yes', '', '']);
+            chart.filterAll().redraw();
+            expect(headersOf(chart)).toEqual(['key', 'count']);
+        });
+
+        it('should mark the keys in a range filter', () => {
+            chart.filter(dc.filters.RangedFilter(30, 50)).redraw();
+            expect(cellsOf(chart).map(row => row[2])).toEqual(['', 'yes', 'yes', '', '']);
+        });
+
+        it('should update on redraw', () => {
+            data.remove(d => d.value === '66');
+            chart.redraw();
+            expect(cellsOf(chart).map(row => row[0])).toEqual(['22', '33', '44', '55']);
+        });
+
+        it('should have a column for each stack', () => {
+            chart.stack(valueDimension.group().reduceSum(d => d.id), 'ids').render();
+            expect(headersOf(chart)).toEqual(['key', 'count', 'ids']);
+            expect(cellsOf(chart)[0]).toEqual(['22', '2', '9']);
+        });
+
+        it('should be removed when the chart is disposed', () => {
+            const root = chart.root();
+            chart.dispose();
+            expect(root.select('div.dc-accessible-fallback').empty()).toBeTruthy();
+        });
+    });
+
+    it('should respect capping', () => {
+        appendChartID('fallback-pie');
+        const chart = new dc.PieChart('#fallback-pie')
+            .dimension(valueDimension)
+            .group(valueGroup)
+            .cap(2)
+            .transitionDuration(0)
+            .accessibleTable(true);
+        chart.render();
+        expect(cellsOf(chart)).toEqual([['44', '3'], ['22', '2'], ['Others', '5']]);
+    });
+
+    describe('summary', () => {
+        it('should describe the values and the filter', () => {
+            const chart = buildBarChart('fallback-summary').autoSummary(true);
+            chart.render();
+            const summary = () => fallback(chart).select('p.dc-summary').text();
+            expect(summary()).toBe('5 items. The values range from 1 (66) to 3 (44), with a total of 10.');
+            expect(fallback(chart).select('table').empty()).toBeTruthy();
+            chart.filter(44).redraw();
+            expect(summary()).toBe('5 items. The values range from 1 (66) to 3 (44), with a total of 10. Filtered to 44.');
+        });
+
+        it('should describe the trend of a time series', () => {
+            appendChartID('fallback-trend');
+            const dateDimension = data.dimension(d => d3.utcDay(d.dd));
+            const chart = new dc.LineChart('#fallback-trend')
+                .width(300)
+                .height(150)
+                .dimension(dateDimension)
+                .group(dateDimension.group())
+                .x(d3.scaleUtc().domain([new Date(2012, 4, 1), new Date(2012, 8, 1)]))
+                .transitionDuration(0)
+                .autoSummary(true);
+            chart.render();
+            expect(fallback(chart).select('p.dc-summary').text()).toContain('Over time they rise from 1 to 2.');
+        });
+
+        it('should be written in the language of the chart', () => {
+            dc.config.chartGroup('fallback-de').locale(dc.locales.de);
+            const chart = buildBarChart('fallback-locale', 'fallback-de').autoSummary(true);
+            chart.render();
+            expect(fallback(chart).select('p.dc-summary').text())
+                .toBe('5 Einträge. Die Werte reichen von 1 (66) bis 3 (44), insgesamt 10.');
+            dc.config.chartGroup('fallback-de').locale(dc.locales.en);
+        });
+    });
+});
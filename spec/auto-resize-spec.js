@@ -0,0 +1,165 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.BaseMixin.autoResize', () => {
+    let observers, originalResizeObserver;
+    let data, valueDimension, valueGroup;
+
+    class FakeResizeObserver {
+        constructor (callback) {
+            this.callback = callback;
+            this.nodes = [];
+            this.disconnected = false;
+            observers.push(this);
+        }
+
+        observe (node) {
+            this.nodes.push(node);
+        }
+
+        disconnect () {
+            this.disconnected = true;
+        }
+    }
+
+    const resize = () => observers.filter(observer => !observer.disconnected).forEach(observer => observer.callback([]));
+
+    beforeEach(() => {
+        observers = [];
+        originalResizeObserver = window.ResizeObserver;
+        window.ResizeObserver = FakeResizeObserver;
+
+        data = crossfilter(loadDateFixture());
+        valueDimension = data.dimension(d => +d.value);
+        valueGroup = valueDimension.group();
+    });
+
+    afterEach(() => {
+        window.ResizeObserver = originalResizeObserver;
+    });
+
+    describe('a bar chart', () => {
+        let chart, width;
+
+        beforeEach(() => {
+            width = 300;
+            appendChartID('auto-resize-bar');
+            chart = new dc.BarChart('#auto-resize-bar')
+                .width(() => width)
+                .height(150)
+                .dimension(valueDimension)
+                .group(valueGroup)
+                .x(d3.scaleLinear().domain([20, 70]))
+                .transitionDuration(0)
+                .autoResize(true);
+            chart.render();
+        });
+
+        it('should be off by default', () => {
+            expect(new dc.PieChart('#auto-resize-bar').autoResize()).toBeFalsy();
+        });
+
+        it('should observe the anchor', () => {
+            expect(observers.length).toBe(1);
+            expect(observers[0].nodes).toEqual([chart.root().node()]);
+        });
+
+        it('should resize and redraw once the size has settled', () => {
+            spyOn(chart, 'redraw').and.callThrough();
+            spyOn(chart, 'rescale').and.callThrough();
+            chart.transitionDuration(500);
+            width = 400;
+            resize();
+            jasmine.clock().tick(50);
+            resize();
+            jasmine.clock().tick(99);
+            expect(chart.redraw).not.toHaveBeenCalled();
+            jasmine.clock().tick(1);
+            expect(chart.redraw.calls.count()).toBe(1);
+            expect(chart.rescale).toHaveBeenCalled();
+            expect(chart.svg().attr('width')).toBe('400');
+            expect(chart.transitionDuration()).toBe(500);
+        });
+
+        it('should not redraw if the size has not changed', () => {
+            spyOn(chart, 'redraw');
+            resize();
+            jasmine.clock().tick(100);
+            expect(chart.redraw).not.toHaveBeenCalled();
+        });
+
+        it('should wait for the given delay', () => {
+            spyOn(chart, 'redraw');
+            chart.autoResizeDelay(10);
+            width = 400;
+            resize();
+            jasmine.clock().tick(10);
+            expect(chart.redraw).toHaveBeenCalled();
+        });
+
+        it('should stop observing when turned off or disposed', () => {
+            chart.autoResize(false);
+            expect(observers[0].disconnected).toBeTruthy();
+            chart.autoResize(true);
+            expect(observers.length).toBe(2);
+            chart.dispose();
+            expect(observers[1].disconnected).toBeTruthy();
+        });
+    });
+
+    describe('a chart rendered in a hidden element', () => {
+        let chart, rect;
+
+        beforeEach(() => {
+            rect = {width: 0, height: 0};
+            appendChartID('auto-resize-hidden');
+            chart = new dc.PieChart('#auto-resize-hidden')
+                .dimension(valueDimension)
+                .group(valueGroup)
+                .transitionDuration(0)
+                .autoResize(true);
+            spyOn(chart.root().node(), 'getBoundingClientRect').and.callFake(() => rect);
+            chart.render();
+        });
+
+        it('should be drawn at its minimum size while hidden', () => {
+            expect(chart.width()).toBe(chart.minWidth());
+            expect(chart.height()).toBe(chart.minHeight());
+        });
+
+        it('should be drawn at the size of the anchor once shown', () => {
+            rect = {width: 400, height: 300};
+            resize();
+            jasmine.clock().tick(100);
+            expect(chart.svg().attr('width')).toBe('400');
+            expect(chart.svg().attr('height')).toBe('300');
+        });
+    });
+
+    describe('a composite chart', () => {
+        it('should resize its children', () => {
+            let width = 300;
+            appendChartID('auto-resize-composite');
+            const chart = new dc.CompositeChart('#auto-resize-composite')
+                .width(() => width)
+                .height(150)
+                .dimension(valueDimension)
+                .x(d3.scaleLinear().domain([20, 70]))
+                .transitionDuration(0)
+                .autoResize(true);
+            chart.compose([new dc.LineChart(chart).group(valueGroup)]);
+            chart.render();
+            width = 400;
+            resize();
+            jasmine.clock().tick(100);
+            expect(chart.children()[0].width()).toBe(400);
+            expect(chart.svg().attr('width')).toBe('400');
+        });
+    });
+
+    it('should warn without ResizeObserver', () => {
+        window.ResizeObserver = undefined;
+        spyOn(dc.logger, 'warnOnce');
+        appendChartID('auto-resize-unsupported');
+        new dc.PieChart('#auto-resize-unsupported').autoResize(true);
+        expect(dc.logger.warnOnce).toHaveBeenCalled();
+    });
+});
@@ -811,6 +811,38 @@ describe('dc.BarChart', () => {
             });
         });
 
+        describe('compound filtering', () => {
+            beforeEach(() => {
+                d3.select(`#${id}`).append('span').attr('class', 'filter').style('visibility', 'hidden');
+                dc.config.dateFormat = d3.utcFormat('%m/%d/%Y');
+                chart.filter(dc.filters.Or(
+                    dc.filters.RangedFilter(makeDate(2012, 5, 1), makeDate(2012, 5, 9)),
+                    dc.filters.RangedFilter(makeDate(2012, 7, 1), makeDate(2012, 7, 31))
+                )).redraw();
+            });
+
+            it('should filter the dimension by both ranges', () => {
+                expect(dimension.top(Infinity).length).toBe(3);
+            });
+
+            it('should deselect the bars outside of both ranges', () => {
+                [0, 2, 3, 4].forEach(i => {
+                    expect(nthStack(0).nthBar(i).classed('deselected')).toBeTruthy();
+                });
+                expect(nthStack(0).nthBar(1).classed('deselected')).toBeFalsy();
+                expect(nthStack(0).nthBar(5).classed('deselected')).toBeFalsy();
+            });
+
+            it('should span the brush over both ranges', () => {
+                const width = chart.x()(makeDate(2012, 7, 31)) - chart.x()(makeDate(2012, 5, 1));
+                expect(+chart.select('g.brush rect.selection').attr('width')).toBeWithinDelta(width, 1);
+            });
+
+            it('should print both ranges', () => {
+                expect(chart.select('span.filter').text()).toBe('[06/01/2012 -> 06/09/2012) or [08/01/2012 -> 08/31/2012)');
+            });
+        });
+
         describe('a chart with a large domain', () => {
             beforeEach(() => {
                 chart.x(d3.scaleUtc().domain([makeDate(2000, 0, 1), makeDate(2012, 11, 31)]));
@@ -1160,6 +1192,34 @@ describe('dc.BarChart', () => {
         });
     });
 
+    describe('brushing with inclusive bounds', () => {
+        beforeEach(() => {
+            chart
+                .brushOn(true)
+                .round(d3.utcDay.round)
+                .brushBounds('[]')
+                .render();
+
+            simulateChartBrushing(chart, [makeDate(2012, 5, 8), makeDate(2012, 6, 10)]);
+            jasmine.clock().tick(100);
+        });
+
+        it('should carry the bounds into the filter', () => {
+            expect(chart.filter().bounds).toBe('[]');
+            expect(cleanDateRange(chart.filter())).toEqual([makeDate(2012, 5, 8), makeDate(2012, 6, 10)]);
+        });
+
+        it('should include the records at the upper bound', () => {
+            expect(dimension.top(Infinity).length).toBe(7);
+        });
+
+        it('should keep the bar at the upper bound selected', () => {
+            expect(nthStack(0).nthBar(1).classed('deselected')).toBeFalsy();
+            expect(nthStack(0).nthBar(4).classed('deselected')).toBeFalsy();
+            expect(nthStack(0).nthBar(5).classed('deselected')).toBeTruthy();
+        });
+    });
+
     describe('check ordering option of the x axis', () => {
         beforeEach(() => {
             const rows = [
@@ -1288,12 +1348,12 @@ describe('dc.BarChart', () => {
             };
         }
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             chart.keyboardAccessible(true);
             chart.render();
-            chart.selectAll('rect.bar').each(function () {
+            chart.selectAll('rect.bar').each(function (d, i) {
                 const bar = d3.select(this);
-                expect(bar.attr('tabindex')).toEqual('0');
+                expect(bar.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -1308,7 +1368,7 @@ describe('dc.BarChart', () => {
                      
             chart.selectAll('rect.bar').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();    
             });
         });
@@ -1345,12 +1405,41 @@ describe('dc.BarChart', () => {
                     
             chart.selectAll('rect.bar').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();
             });
 
         });
 
+        it('moves the tab stop with the arrow keys, Home and End', () => {
+            chart.keyboardAccessible(true);
+            chart.render();
+            const bars = chart.selectAll('rect.bar').nodes();
+            const press = (node, key) => node.dispatchEvent(new KeyboardEvent('keydown', {key}));
+            const tabStops = () => bars.filter(bar => bar.getAttribute('tabindex') === '0');
+
+            press(bars[0], 'ArrowRight');
+            expect(tabStops()).toEqual([bars[1]]);
+            expect(document.activeElement).toBe(bars[1]);
+            press(bars[1], 'ArrowLeft');
+            press(bars[0], 'ArrowLeft');
+            expect(tabStops()).toEqual([bars[0]]);
+            press(bars[0], 'End');
+            expect(tabStops()).toEqual([bars[bars.length - 1]]);
+            press(bars[bars.length - 1], 'Home');
+            expect(document.activeElement).toBe(bars[0]);
+        });
+
+        it('keeps the tab stop when redrawn', () => {
+            chart.keyboardAccessible(true);
+            chart.render();
+            const bars = chart.selectAll('rect.bar').nodes();
+            bars[2].dispatchEvent(new KeyboardEvent('keydown', {key: 'ArrowRight'}));
+            chart.redraw();
+            expect(bars[3].getAttribute('tabindex')).toEqual('0');
+            expect(chart.selectAll('rect.bar[tabindex="0"]').size()).toBe(1);
+        });
+
     });
 
     function nthStack (n) {
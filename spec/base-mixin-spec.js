@@ -150,6 +150,88 @@ describe('dc.baseMixin', () => {
         });
     });
 
+    describe('settled', () => {
+        it('should resolve after the render transitions', done => {
+            const renderlet = jasmine.createSpy('renderlet');
+            chart.on('renderlet.settled', renderlet);
+            chart.render();
+            chart.settled().then(settledChart => {
+                expect(settledChart).toBe(chart);
+                expect(renderlet).toHaveBeenCalled();
+                done();
+            });
+            flushAllD3Transitions();
+        });
+
+        it('should resolve after the latest redraw when redrawn while transitioning', done => {
+            const postRedraw = jasmine.createSpy('postRedraw');
+            chart.on('postRedraw.settled', postRedraw);
+            chart.redraw();
+            chart.settled().then(() => {
+                expect(postRedraw).toHaveBeenCalled();
+                done();
+            });
+            chart.redraw();
+            flushAllD3Transitions();
+        });
+
+        it('should resolve immediately when not transitioning', done => {
+            chart.transitionDuration(0);
+            chart.render();
+            chart.settled().then(settledChart => {
+                expect(settledChart).toBe(chart);
+                done();
+            });
+        });
+
+        it('should be returned for the whole group by redrawAll', done => {
+            spyOn(chart, 'settled').and.callThrough();
+            dc.redrawAll().then(() => {
+                expect(chart.settled).toHaveBeenCalled();
+                done();
+            });
+            flushAllD3Transitions();
+        });
+    });
+
+    describe('dispose', () => {
+        it('should deregister the chart', () => {
+            chart.dispose();
+            expect(dc.hasChart(chart)).toBeFalsy();
+        });
+
+        it('should remove the svg it created', () => {
+            chart.dispose();
+            expect(d3.select(`#${id} svg`).empty()).toBeTruthy();
+            expect(d3.select(`#${id}`).classed(dc.constants.CHART_CLASS)).toBeFalsy();
+            expect(chart.root()).toBeUndefined();
+        });
+
+        it('should dispose its legend', () => {
+            const legend = new dc.Legend();
+            spyOn(legend, 'dispose').and.callThrough();
+            chart.legend(legend);
+            chart.dispose();
+            expect(legend.dispose).toHaveBeenCalled();
+            expect(legend.parent()).toBeUndefined();
+            expect(chart.legend()).toBeUndefined();
+        });
+
+        it('should resolve pending settled promises', done => {
+            chart.render();
+            chart.settled().then(settledChart => {
+                expect(settledChart).toBe(chart);
+                done();
+            });
+            chart.dispose();
+        });
+
+        it('should only dispose once', () => {
+            chart.dispose();
+            expect(() => chart.dispose()).not.toThrow();
+        });
+    });
+
     describe('event listeners', () => {
         describe('on render', () => {
             it('should execute the preRender callback', () => {
@@ -676,6 +758,16 @@ describe('dc.baseMixin', () => {
             expect(chart.hasFilter(notFilter)).toBeFalsy();
             expect(chart.filters().length).toEqual(0);
         });
+        it('should restore the filters of a filter state at once', () => {
+            chart.filter(filter);
+            const state = chart.filterState();
+            chart.filter(notFilter);
+            const filtered = jasmine.createSpy('filtered');
+            chart.on('filtered', filtered);
+            chart.filterState(state);
+            expect(chart.filters()).toEqual([filter]);
+            expect(filtered.calls.count()).toBe(1);
+        });
     });
 
     describe('accessibility base svg', () => {
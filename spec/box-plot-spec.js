@@ -293,12 +293,13 @@ describe('dc.BoxPlot', () => {
 
     describe('accessibility scatter plot', () => {
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             chart.keyboardAccessible(true);
             chart.render();
+            expect(chart.select('g.box').attr('tabindex')).toEqual('0');
             chart.selectAll('circle').each(function () {
                 const circle = d3.select(this);
-                expect(circle.attr('tabindex')).toEqual('0');
+                expect(circle.attr('tabindex')).toEqual('-1');
             });
         });
 
@@ -315,7 +316,7 @@ describe('dc.BoxPlot', () => {
             // only boxes are valid targets for keydown events
             chart.selectAll('g.box').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();      
             });
         });
@@ -722,12 +722,12 @@ describe('dc.bubbleChart', () => {
             expect(document.querySelectorAll('.node text')[0].innerHTML).toEqual('T')
         });
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             chart.keyboardAccessible(true);
             chart.render();
-            chart.selectAll('circle').each(function () {
+            chart.selectAll('circle').each(function (d, i) {
                 const bubble = d3.select(this);
-                expect(bubble.attr('tabindex')).toEqual('0');
+                expect(bubble.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -742,7 +742,7 @@ describe('dc.bubbleChart', () => {
                      
             chart.selectAll('circle').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();           
             });
         });
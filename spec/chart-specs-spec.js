@@ -0,0 +1,169 @@
+/* global appendChartID, loadDateFixture, makeDate */
+describe('dc.chartSpecs', () => {
+    let dimension, group, refs;
+
+    beforeEach(() => {
+        const data = crossfilter(loadDateFixture());
+        dimension = data.dimension(d => d3.utcDay(d.dd));
+        group = dimension.group();
+        appendChartID('spec-chart');
+        refs = {
+            dateDimension: dimension,
+            countByDay: group,
+            dateScale: d3.scaleUtc().domain([makeDate(2012, 4, 20), makeDate(2012, 7, 15)])
+        };
+    });
+
+    afterEach(() => {
+        dc.chartSpecs.deregister();
+    });
+
+    describe('building a chart', () => {
+        let chart;
+
+        beforeEach(() => {
+            chart = dc.chartSpecs.build({
+                type: 'BarChart',
+                anchor: '#spec-chart',
+                chartGroup: 'specs',
+                options: {
+                    width: 400,
+                    transitionDuration: 0,
+                    dimension: {$ref: 'dateDimension'},
+                    group: {$ref: 'countByDay'},
+                    x: {$ref: 'dateScale'},
+                    margins: {top: 1, right: 2, bottom: 3, left: 4}
+                }
+            }, refs);
+        });
+
+        it('should create a chart of the given type', () => {
+            expect(chart instanceof dc.BarChart).toBeTruthy();
+        });
+
+        it('should anchor the chart in the given chart group', () => {
+            expect(chart.anchorName()).toBe('spec-chart');
+            expect(chart.chartGroup()).toBe('specs');
+            expect(dc.chartRegistry.list('specs')).toContain(chart);
+        });
+
+        it('should set the options', () => {
+            expect(chart.width()).toBe(400);
+            expect(chart.margins()).toEqual({top: 1, right: 2, bottom: 3, left: 4});
+        });
+
+        it('should resolve references', () => {
+            expect(chart.dimension()).toBe(dimension);
+            expect(chart.group()).toBe(group);
+            expect(chart.x()).toBe(refs.dateScale);
+        });
+
+        it('should render', () => {
+            chart.render();
+            expect(chart.selectAll('rect.bar').size()).toBeGreaterThan(0);
+        });
+    });
+
+    describe('references', () => {
+        it('should be read from the registry', () => {
+            dc.chartSpecs.register('dateDimension', dimension);
+            expect(dc.chartSpecs.ref('dateDimension')).toBe(dimension);
+        });
+
+        it('should prefer the given refs to the registry', () => {
+            dc.chartSpecs.register('countByDay', 'registered');
+            expect(dc.chartSpecs.ref('countByDay', refs)).toBe(group);
+        });
+
+        it('should be resolved in arrays and objects', () => {
+            expect(dc.chartSpecs.resolve({stack: [{$ref: 'countByDay'}, 'name']}, refs))
+                .toEqual({stack: [group, 'name']});
+        });
+
+        it('should throw for unknown references', () => {
+            expect(() => dc.chartSpecs.ref('nope')).toThrowError(dc.BadArgumentException);
+        });
+    });
+
+    it('should accept a JSON string', () => {
+        dc.chartSpecs.register('countByDay', group);
+        const chart = dc.chartSpecs.build('{"type": "PieChart", "anchor": "#spec-chart", "options": {"group": {"$ref": "countByDay"}}}');
+        expect(chart instanceof dc.PieChart).toBeTruthy();
+        expect(chart.group()).toBe(group);
+    });
+
+    it('should throw for unknown chart types', () => {
+        expect(() => dc.chartSpecs.build({type: 'NopeChart', anchor: '#spec-chart'}))
+            .toThrowError(dc.BadArgumentException);
+    });
+
+    describe('composite charts', () => {
+        let chart;
+
+        beforeEach(() => {
+            chart = dc.chartSpecs.build({
+                type: 'CompositeChart',
+                anchor: '#spec-chart',
+                options: {
+                    transitionDuration: 0,
+                    dimension: {$ref: 'dateDimension'},
+                    x: {$ref: 'dateScale'}
+                },
+                children: [
+                    {type: 'LineChart', options: {group: {$ref: 'countByDay'}}},
+                    {type: 'BarChart', options: {group: {$ref: 'countByDay'}, centerBar: true}}
+                ]
+            }, refs);
+        });
+
+        it('should compose the children', () => {
+            expect(chart.children().length).toBe(2);
+            expect(chart.children()[0] instanceof dc.LineChart).toBeTruthy();
+            expect(chart.children()[1].centerBar()).toBeTruthy();
+        });
+
+        it('should anchor the children to the composite chart', () => {
+            expect(dc.chartRegistry.list()).toEqual([chart]);
+        });
+    });
+
+    describe('series charts', () => {
+        it('should build the chart of every series from the child spec', () => {
+            const data = crossfilter([{a: 1, b: 1, v: 1}, {a: 1, b: 2, v: 2}, {a: 2, b: 1, v: 3}]);
+            const seriesDimension = data.dimension(d => [d.a, d.b]);
+            const chart = dc.chartSpecs.build({
+                type: 'SeriesChart',
+                anchor: '#spec-chart',
+                options: {
+                    transitionDuration: 0,
+                    dimension: {$ref: 'seriesDimension'},
+                    group: {$ref: 'seriesGroup'},
+                    x: {$ref: 'scale'},
+                    seriesAccessor: {$ref: 'series'},
+                    keyAccessor: {$ref: 'key'}
+                },
+                children: [{type: 'BarChart', options: {gap: 1}}]
+            }, {
+                seriesDimension: seriesDimension,
+                seriesGroup: seriesDimension.group().reduceSum(d => d.v),
+                scale: d3.scaleLinear().domain([0, 3]),
+                series: d => d.key[0],
+                key: d => d.key[1]
+            });
+            chart.render();
+            expect(chart.children().length).toBe(2);
+            chart.children().forEach(child => {
+                expect(child instanceof dc.BarChart).toBeTruthy();
+                expect(child.gap()).toBe(1);
+            });
+        });
+
+        it('should need exactly one child spec', () => {
+            expect(() => dc.chartSpecs.build({
+                type: 'SeriesChart',
+                anchor: '#spec-chart',
+                children: []
+            })).toThrowError(dc.BadArgumentException);
+        });
+    });
+});
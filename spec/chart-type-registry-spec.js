@@ -0,0 +1,128 @@
+/* global appendChartID */
+describe('dc.chartTypeRegistry', () => {
+    let registry;
+
+    class CustomChart extends dc.BaseMixin {
+        constructor (parent, chartGroup) {
+            super();
+            this._mandatoryAttributes(['group']);
+            this.anchor(parent, chartGroup);
+        }
+
+        _doRender () {
+            this.root().text(this.data().length);
+            return this;
+        }
+    }
+
+    beforeEach(() => {
+        registry = new dc.ChartTypeRegistry();
+    });
+
+    describe('registering a chart type', () => {
+        beforeEach(() => {
+            registry.register('CustomChart', CustomChart, {
+                mandatoryAttributes: ['group'],
+                filterTypes: ['RangedFilter'],
+                author: 'me'
+            });
+        });
+
+        it('should look the chart type up by name', () => {
+            expect(registry.has('CustomChart')).toBeTruthy();
+            expect(registry.chartType('CustomChart')).toBe(CustomChart);
+        });
+
+        it('should keep the metadata, with defaults for missing entries', () => {
+            const entry = registry.get('CustomChart');
+            expect(entry.name).toBe('CustomChart');
+            expect(entry.mandatoryAttributes).toEqual(['group']);
+            expect(entry.filterTypes).toEqual(['RangedFilter']);
+            expect(entry.legendable).toBe(false);
+            expect(entry.author).toBe('me');
+        });
+
+        it('should allow registering the same class again', () => {
+            registry.register('CustomChart', CustomChart, {legendable: true});
+            expect(registry.get('CustomChart').legendable).toBe(true);
+        });
+
+        it('should not allow registering another class under a taken name', () => {
+            expect(() => registry.register('CustomChart', class extends CustomChart {}))
+                .toThrowError(dc.BadArgumentException);
+        });
+
+        it('should find the entry of a chart', () => {
+            appendChartID('custom-chart');
+            const chart = new CustomChart('#custom-chart');
+            expect(registry.entryOf(chart).name).toBe('CustomChart');
+            expect(registry.entryOf(new dc.PieChart('#custom-chart'))).toBeUndefined();
+        });
+
+        it('should find the registered name of a chart class', () => {
+            expect(registry.nameOf(CustomChart)).toBe('CustomChart');
+            expect(registry.nameOf(dc.PieChart)).toBeUndefined();
+        });
+
+        it('should remove the chart type when deregistered', () => {
+            registry.deregister('CustomChart');
+            expect(registry.has('CustomChart')).toBeFalsy();
+            expect(() => registry.get('CustomChart')).toThrowError(dc.BadArgumentException);
+        });
+    });
+
+    it('should only accept classes', () => {
+        expect(() => registry.register('NotAChart', {})).toThrowError(dc.BadArgumentException);
+    });
+
+    it('should list the entries sorted by name', () => {
+        registry.register('b', CustomChart).register('a', CustomChart);
+        expect(registry.list().map(entry => entry.name)).toEqual(['a', 'b']);
+    });
+
+    describe('the built-in chart types', () => {
+        beforeEach(() => {
+            appendChartID('builtin-chart');
+        });
+
+        it('should be registered under their class names', () => {
+            dc.chartTypeRegistry.list().forEach(entry => {
+                expect(dc[entry.name]).toBe(entry.chartType);
+            });
+            expect(dc.chartTypeRegistry.list().length).toBe(20);
+        });
+
+        it('should list the mandatory attributes of the charts', () => {
+            dc.chartTypeRegistry.list().forEach(entry => {
+                const chart = new entry.chartType('#builtin-chart');
+                expect(entry.mandatoryAttributes).toEqual(chart._mandatoryAttributes());
+            });
+        });
+
+        it('should mark the legendable charts', () => {
+            const legendable = dc.chartTypeRegistry.list().filter(entry => entry.legendable).map(entry => entry.name);
+            expect(legendable).toEqual(['BarChart', 'CompositeChart', 'LineChart', 'PieChart', 'ScatterPlot',
+                                        'SeriesChart', 'SunburstChart']);
+        });
+    });
+
+    describe('custom chart types in chart specs', () => {
+        afterEach(() => {
+            dc.chartTypeRegistry.deregister('CustomChart');
+        });
+
+        it('should be built by name', () => {
+            appendChartID('custom-spec-chart');
+            const group = crossfilter([{x: 1}, {x: 2}]).dimension(d => d.x).group();
+            dc.chartTypeRegistry.register('CustomChart', CustomChart, {mandatoryAttributes: ['group']});
+            const chart = dc.chartSpecs.build({
+                type: 'CustomChart',
+                anchor: '#custom-spec-chart',
+                options: {group: {$ref: 'group'}}
+            }, {group});
+            chart.render();
+            expect(chart instanceof CustomChart).toBeTruthy();
+            expect(chart.root().text()).toBe('2');
+        });
+    });
+});
@@ -429,6 +429,28 @@ describe('dc.compositeChart', () => {
         });
     });
 
+    describe('dispose', () => {
+        let children;
+
+        beforeEach(() => {
+            chart.render();
+            children = chart.children();
+            children.forEach(child => spyOn(child, 'dispose').and.callThrough());
+            chart.dispose();
+        });
+
+        it('should dispose the sub-charts', () => {
+            children.forEach(child => {
+                expect(child.dispose).toHaveBeenCalled();
+            });
+            expect(chart.children()).toEqual([]);
+        });
+
+        it('should remove the svg', () => {
+            expect(d3.select(`#${id} svg`).empty()).toBeTruthy();
+        });
+    });
+
     describe('when two subcharts share the same group', () => {
         beforeEach(() => {
             const dimension = data.dimension(d => d.status);
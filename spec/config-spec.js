@@ -0,0 +1,85 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.config', () => {
+    let groupConfig;
+
+    beforeEach(() => {
+        groupConfig = dc.config.chartGroup('config-group');
+    });
+
+    afterEach(() => {
+        dc.config.clearChartGroup('config-group');
+    });
+
+    describe('chart group configuration', () => {
+        it('should be the global configuration for the default chart group', () => {
+            expect(dc.config.chartGroup()).toBe(dc.config);
+            expect(dc.config.chartGroup(dc.constants.DEFAULT_CHART_GROUP)).toBe(dc.config);
+        });
+
+        it('should be the same object for the same chart group', () => {
+            expect(dc.config.chartGroup('config-group')).toBe(groupConfig);
+        });
+
+        it('should fall back to the global configuration', () => {
+            expect(groupConfig.dateFormat).toBe(dc.config.dateFormat);
+            expect(groupConfig.disableTransitions).toBe(false);
+        });
+
+        it('should not leak settings into the global configuration', () => {
+            groupConfig.disableTransitions = true;
+            groupConfig.defaultColors(['red', 'green']);
+            expect(dc.config.disableTransitions).toBe(false);
+            expect(dc.config.defaultColors()).not.toEqual(['red', 'green']);
+        });
+
+        it('should start over after being cleared', () => {
+            groupConfig.disableTransitions = true;
+            dc.config.clearChartGroup('config-group');
+            expect(dc.config.chartGroup('config-group').disableTransitions).toBe(false);
+        });
+    });
+
+    describe('charts in a configured chart group', () => {
+        let chart, otherChart;
+
+        beforeEach(() => {
+            groupConfig.defaultColors(['red', 'green', 'blue']);
+            groupConfig.disableTransitions = true;
+
+            const data = crossfilter(loadDateFixture());
+            const dimension = data.dimension(d => d.state);
+            appendChartID('config-pie');
+            appendChartID('config-other-pie');
+            chart = new dc.PieChart('#config-pie', 'config-group')
+                .dimension(dimension)
+                .group(dimension.group());
+            otherChart = new dc.PieChart('#config-other-pie')
+                .transitionDuration(0)
+                .dimension(dimension)
+                .group(dimension.group());
+        });
+
+        it('should read their configuration from the chart group', () => {
+            expect(chart.chartConfig()).toBe(groupConfig);
+            expect(otherChart.chartConfig()).toBe(dc.config);
+        });
+
+        it('should use the default colors of the chart group', () => {
+            expect(chart.colors().range()).toEqual(['red', 'green', 'blue']);
+            expect(otherChart.colors().range()).toEqual(dc.config.defaultColors());
+        });
+
+        it('should keep colors which were set explicitly when the chart group changes', () => {
+            otherChart.ordinalColors(['black']);
+            otherChart.chartGroup('config-group');
+            expect(otherChart.colors().range()).toEqual(['black']);
+        });
+
+        it('should not transition if the chart group disables transitions', () => {
+            chart.transitionDuration(500);
+            expect(chart.transitionDuration()).toBe(0);
+            groupConfig.disableTransitions = false;
+            expect(chart.transitionDuration()).toBe(500);
+        });
+    });
+});
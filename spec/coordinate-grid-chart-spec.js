@@ -829,6 +829,57 @@ describe('dc.coordinateGridChart', () => {
         });
     });
 
+    describe('keyboard brushing', () => {
+        const press = (key, shiftKey) => {
+            chart.select('g.brush').node().dispatchEvent(new KeyboardEvent('keydown', {key, shiftKey}));
+            jasmine.clock().tick(100);
+        };
+        const brushPixels = () => chart.filter().map(chart.x());
+
+        beforeEach(() => {
+            chart.brushOn(true).keyboardAccessible(true);
+            chart.render();
+        });
+
+        it('should make the brush a labelled tab stop', () => {
+            expect(chart.select('g.brush').attr('tabindex')).toEqual('0');
+            expect(chart.select('g.brush').attr('aria-label')).toEqual(dc.locales.en.string('brush'));
+        });
+
+        it('should start a selection at the left of the chart', () => {
+            press('ArrowRight');
+            expect(brushPixels()[0]).toBeCloseTo(0, 1);
+            expect(brushPixels()[1]).toBeCloseTo(24.5, 1);
+        });
+
+        it('should move the selection with the arrow keys within the chart', () => {
+            press('ArrowRight');
+            press('ArrowRight');
+            expect(brushPixels()[0]).toBeCloseTo(24.5, 1);
+            expect(brushPixels()[1]).toBeCloseTo(49, 1);
+            press('ArrowLeft');
+            press('ArrowLeft');
+            expect(brushPixels()[0]).toBeCloseTo(0, 1);
+            expect(brushPixels()[1]).toBeCloseTo(24.5, 1);
+        });
+
+        it('should resize the selection with shift and the arrow keys', () => {
+            press('ArrowRight');
+            press('ArrowRight', true);
+            expect(brushPixels()[0]).toBeCloseTo(0, 1);
+            expect(brushPixels()[1]).toBeCloseTo(49, 1);
+            press('ArrowLeft', true);
+            press('ArrowLeft', true);
+            expect(brushPixels()[1]).toBeCloseTo(24.5, 1);
+        });
+
+        it('should clear the selection with escape', () => {
+            press('ArrowRight');
+            press('Escape');
+            expect(chart.filter()).toBeNull();
+        });
+    });
+
     describe('with a range chart', () => {
         let rangeChart;
         const selectedRange = [makeDate(2012, 6, 1), makeDate(2012, 6, 15)];
@@ -884,6 +935,41 @@ describe('dc.coordinateGridChart', () => {
         });
     });
 
+    describe('dispose', () => {
+        let rangeChart;
+
+        beforeEach(() => {
+            rangeChart = buildRangeChart();
+            chart.rangeChart(rangeChart);
+            chart.render();
+            rangeChart.render();
+        });
+
+        it('should unlink the range chart when the focus chart is disposed', () => {
+            chart.dispose();
+            expect(rangeChart.focusChart()).toBeUndefined();
+            expect(() => rangeChart.filter([makeDate(2012, 6, 1), makeDate(2012, 6, 15)])).not.toThrow();
+        });
+
+        it('should unlink the focus chart when the range chart is disposed', () => {
+            rangeChart.dispose();
+            expect(chart.rangeChart()).toBeUndefined();
+        });
+
+        it('should remove the brush listeners', () => {
+            const brush = rangeChart.brush();
+            rangeChart.dispose();
+            expect(brush.on('brush')).toBeUndefined();
+        });
+
+        it('should remove the zoom listeners from the root', () => {
+            chart.mouseZoomable(true).render();
+            const root = chart.root();
+            chart.dispose();
+            expect(root.on('wheel.zoom')).toBeUndefined();
+        });
+    });
+
     describe('with zoom restriction enabled', () => {
         beforeEach(() => {
             chart.zoomOutRestrict(true);
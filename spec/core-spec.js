@@ -1,4 +1,4 @@
-/* global loadDateFixture */
+/* global appendChartID, loadDateFixture, makeDate */
 describe('dc.core', () => {
     let valueDimension, valueGroup;
 
@@ -232,12 +232,174 @@ describe('dc.core', () => {
             expect(chart.render).not.toHaveBeenCalled();
         });
 
+        it('disposeAll by group should dispose each chart within the group', () => {
+            spyOn(chart, 'dispose').and.callThrough();
+            dc.disposeAll('groupA');
+            expect(chart.dispose).toHaveBeenCalled();
+            expect(dc.chartRegistry.list('groupA').length).toBe(0);
+            expect(dc.chartRegistry.list('groupB').length).toBe(5);
+        });
+
         it('should be gone after remove all', () => {
             dc.deregisterAllCharts();
             expect(dc.hasChart(chart)).toBeFalsy();
         });
     });
 
+    describe('chart group events', () => {
+        let all, grouped;
+
+        beforeEach(() => {
+            all = jasmine.createSpy('all');
+            grouped = jasmine.createSpy('grouped');
+        });
+
+        afterEach(() => {
+            ['chartRegistered', 'chartDeregistered', 'filtered', 'preRedraw', 'postRedraw', 'postRender'].forEach(e => {
+                dc.chartRegistry.on(`${e}.spec`, null);
+                dc.chartRegistry.onGroup('groupEvents', `${e}.spec`, null);
+            });
+        });
+
+        it('should notify about registered and deregistered charts', () => {
+            dc.chartRegistry.on('chartRegistered.spec', all);
+            dc.chartRegistry.onGroup('groupEvents', 'chartDeregistered.spec', grouped);
+            const chart = new dc.PieChart('#events', 'groupEvents');
+            expect(all).toHaveBeenCalledWith(chart, 'groupEvents');
+            dc.deregisterChart(chart, 'groupEvents');
+            expect(grouped).toHaveBeenCalledWith(chart, 'groupEvents');
+        });
+
+        it('should notify about charts removed by deregisterAllCharts', () => {
+            const chart = new dc.PieChart('#events', 'groupEvents');
+            dc.chartRegistry.on('chartDeregistered.spec', all);
+            dc.deregisterAllCharts();
+            expect(all).toHaveBeenCalledWith(chart, 'groupEvents');
+        });
+
+        it('should notify only listeners of the chart\'s group', () => {
+            dc.chartRegistry.onGroup('groupEvents', 'chartRegistered.spec', grouped);
+            const chart = new dc.PieChart('#events');
+            expect(grouped).not.toHaveBeenCalled();
+            dc.chartRegistry.onGroup(null, 'chartRegistered.spec', grouped);
+            chart.chartGroup(null);
+            expect(grouped).toHaveBeenCalledWith(chart, dc.constants.DEFAULT_CHART_GROUP);
+        });
+
+        it('should notify about filter changes with the source chart and its filters', () => {
+            const chart = new dc.PieChart('#events', 'groupEvents')
+                .dimension(valueDimension)
+                .group(valueGroup);
+            dc.chartRegistry.onGroup('groupEvents', 'filtered.spec', grouped);
+            chart.filter('22');
+            expect(grouped).toHaveBeenCalledWith(chart, ['22'], 'groupEvents');
+        });
+
+        it('should support several listeners for an event', () => {
+            dc.chartRegistry.on('filtered.spec', all);
+            dc.chartRegistry.onGroup('groupEvents', 'filtered.spec', grouped);
+            new dc.PieChart('#events', 'groupEvents')
+                .dimension(valueDimension)
+                .group(valueGroup)
+                .filter('22');
+            expect(all).toHaveBeenCalled();
+            expect(grouped).toHaveBeenCalled();
+        });
+
+        it('should notify before and after redrawing a group', () => {
+            const chart = new dc.PieChart('#events', 'groupEvents');
+            const order = [];
+            spyOn(chart, 'redraw').and.callFake(() => order.push('redraw'));
+            dc.chartRegistry.onGroup('groupEvents', 'preRedraw.spec', group => order.push(`pre ${group}`));
+            dc.chartRegistry.onGroup('groupEvents', 'postRedraw.spec', group => order.push(`post ${group}`));
+            dc.redrawAll('groupEvents');
+            expect(order).toEqual(['pre groupEvents', 'redraw', 'post groupEvents']);
+        });
+
+        it('should notify after rendering a group', () => {
+            const chart = new dc.PieChart('#events');
+            spyOn(chart, 'render');
+            dc.chartRegistry.on('postRender.spec', all);
+            dc.renderAll();
+            expect(all).toHaveBeenCalledWith(dc.constants.DEFAULT_CHART_GROUP);
+        });
+    });
+
+    describe('serializing filters', () => {
+        let pie, bar, state;
+
+        beforeEach(() => {
+            const data = crossfilter(loadDateFixture());
+            const stateDimension = data.dimension(d => d.state);
+            const dateDimension = data.dimension(d => d3.utcDay(d.dd));
+            appendChartID('pie');
+            appendChartID('bar');
+            pie = new dc.PieChart('#pie', 'serial')
+                .transitionDuration(0)
+                .dimension(stateDimension)
+                .group(stateDimension.group());
+            bar = new dc.BarChart('#bar', 'serial')
+                .transitionDuration(0)
+                .dimension(dateDimension)
+                .group(dateDimension.group())
+                .x(d3.scaleUtc().domain([makeDate(2012, 4, 20), makeDate(2012, 7, 15)]));
+            dc.renderAll('serial');
+            pie.filter('Ontario').filter('Colorado');
+            bar.filter(dc.filters.RangedFilter(makeDate(2012, 5, 1), makeDate(2012, 6, 1)));
+            state = dc.serializeFilters('serial', chart => chart.anchorName());
+        });
+
+        it('should produce a JSON string keyed by the chart key', () => {
+            expect(JSON.parse(state)).toEqual({
+                pie: ['Ontario', 'Colorado'],
+                bar: [{
+                    filterType: 'RangedFilter',
+                    values: [{date: '2012-06-01T00:00:00.000Z'}, {date: '2012-07-01T00:00:00.000Z'}]
+                }]
+            });
+        });
+
+        it('should key by chart ID by default', () => {
+            expect(Object.keys(JSON.parse(dc.serializeFilters('serial')))).toEqual([`${pie.chartID()}`, `${bar.chartID()}`]);
+        });
+
+        it('should omit charts without filters', () => {
+            pie.filterAll();
+            expect(Object.keys(JSON.parse(dc.serializeFilters('serial', chart => chart.anchorName())))).toEqual(['bar']);
+        });
+
+        describe('restoring', () => {
+            beforeEach(() => {
+                spyOn(pie, 'redraw');
+                spyOn(bar, 'redraw');
+                dc.filterAll('serial');
+                pie.filter('California');
+                dc.restoreFilters(state, 'serial', chart => chart.anchorName());
+            });
+
+            it('should replace the filters of each chart', () => {
+                expect(pie.filters()).toEqual(['Ontario', 'Colorado']);
+            });
+
+            it('should rebuild typed filters', () => {
+                expect(bar.filters().length).toBe(1);
+                expect(bar.filter().filterType).toBe('RangedFilter');
+                expect(bar.filter()[0].getTime()).toEqual(makeDate(2012, 5, 1).getTime());
+            });
+
+            it('should redraw the group once', () => {
+                expect(pie.redraw.calls.count()).toBe(1);
+                expect(bar.redraw.calls.count()).toBe(1);
+            });
+
+            it('should reset charts which are not in the state', () => {
+                dc.restoreFilters('{}', 'serial', chart => chart.anchorName());
+                expect(pie.hasFilter()).toBeFalsy();
+                expect(bar.hasFilter()).toBeFalsy();
+            });
+        });
+    });
+
     describe('render/redraw all call back', () => {
         let result;
 
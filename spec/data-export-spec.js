@@ -0,0 +1,113 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.exportData', () => {
+    let data;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+    });
+
+    describe('formatting rows', () => {
+        const rows = [{key: 'a', value: 1}, {key: 'b, c', value: 2, extra: true}];
+
+        it('should format csv by default', () => {
+            expect(dc.exportRows(rows)).toBe('key,value,extra\na,1,\n"b, c",2,true');
+        });
+
+        it('should format tsv and json', () => {
+            expect(dc.exportRows(rows, {format: 'tsv'})).toBe('key\tvalue\textra\na\t1\t\nb, c\t2\ttrue');
+            expect(JSON.parse(dc.exportRows(rows, {format: 'json'}))).toEqual(rows);
+        });
+
+        it('should return a blob of the matching type', () => {
+            const blob = dc.exportRows(rows, {format: 'json', blob: true});
+            expect(blob instanceof Blob).toBeTruthy();
+            expect(blob.type).toBe('application/json');
+        });
+
+        it('should not accept unknown formats', () => {
+            expect(() => dc.exportRows(rows, {format: 'xls'})).toThrowError(dc.BadArgumentException);
+        });
+    });
+
+    describe('charts based on a group', () => {
+        let valueDimension;
+
+        beforeEach(() => {
+            valueDimension = data.dimension(d => +d.value);
+        });
+
+        it('should export the keys and values after capping', () => {
+            appendChartID('export-pie');
+            const stateDimension = data.dimension(d => d.state);
+            const chart = new dc.PieChart('#export-pie')
+                .dimension(stateDimension)
+                .group(stateDimension.group())
+                .cap(1);
+            expect(chart.exportData()).toBe('key,value\nCalifornia,3\nOthers,7');
+        });
+
+        it('should export a column for each visible stack', () => {
+            appendChartID('export-stacked-bar');
+            const chart = new dc.BarChart('#export-stacked-bar')
+                .dimension(valueDimension)
+                .group(valueDimension.group(), 'counts')
+                .stack(valueDimension.group().reduceSum(d => d.id), 'ids')
+                .hidableStacks(true)
+                .x(d3.scaleLinear().domain([20, 70]));
+            expect(chart.exportData()).toBe('key,counts,ids\n22,2,9\n33,2,11\n44,3,14\n55,2,15\n66,1,6');
+            chart.hideStack('ids');
+            expect(chart.exportData()).toBe('key,counts\n22,2\n33,2\n44,3\n55,2\n66,1');
+        });
+
+        it('should pivot the series of a series chart', () => {
+            appendChartID('export-series');
+            const dimension = data.dimension(d => [d.status, +d.value]);
+            const chart = new dc.SeriesChart('#export-series')
+                .dimension(dimension)
+                .group(dimension.group())
+                .seriesAccessor(d => d.key[0])
+                .keyAccessor(d => d.key[1])
+                .x(d3.scaleLinear().domain([20, 70]))
+                .transitionDuration(0);
+            chart.render();
+            expect(chart.exportData()).toBe('key,F,T\n22,1,1\n33,1,1\n44,1,2\n55,1,1\n66,1,');
+        });
+
+        it('should export the number of a data count', () => {
+            appendChartID('export-count');
+            const chart = new dc.DataCount('#export-count')
+                .crossfilter(data)
+                .groupAll(data.groupAll());
+            valueDimension.filter(44);
+            expect(JSON.parse(chart.exportData({format: 'json'}))).toEqual([{selected: 3, total: 10}]);
+            valueDimension.filterAll();
+        });
+    });
+
+    describe('data tables', () => {
+        it('should export the rows and columns shown', () => {
+            appendChartID('export-table');
+            const idDimension = data.dimension(d => d.id);
+            const chart = new dc.DataTable('#export-table')
+                .dimension(idDimension)
+                .section(() => 'all')
+                .columns(['state', {label: 'Double', format: d => d.value * 2}])
+                .sortBy(d => d.id)
+                .order(d3.ascending)
+                .beginSlice(1)
+                .endSlice(4);
+            expect(chart.exportData()).toBe('State,Double\nColorado,44\nDelaware,66\nCalifornia,88');
+        });
+
+        it('should export the records of a data grid', () => {
+            appendChartID('export-grid');
+            const idDimension = data.dimension(d => d.id);
+            const chart = new dc.DataGrid('#export-grid')
+                .dimension(idDimension)
+                .section(() => 'all')
+                .size(2);
+            const rows = JSON.parse(chart.exportData({format: 'json'}));
+            expect(rows.map(row => row.id)).toEqual([10, 9]);
+        });
+    });
+});
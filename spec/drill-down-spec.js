@@ -0,0 +1,252 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.drillDown', () => {
+    let data, regionDimension, regionGroup, stateDimension, stateGroup, chart;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        regionDimension = data.dimension(d => d.region);
+        regionGroup = regionDimension.group();
+        stateDimension = data.dimension(d => d.state);
+        stateGroup = stateDimension.group();
+
+        appendChartID('drill-down-chart');
+        chart = new dc.RowChart('#drill-down-chart', 'drill')
+            .transitionDuration(0)
+            .drillDown([
+                {dimension: regionDimension, group: regionGroup},
+                {dimension: stateDimension, group: stateGroup}
+            ]);
+        chart.render();
+    });
+
+    afterEach(() => {
+        dc.chartRegistry.clear('drill');
+    });
+
+    const clickRow = key => chart.selectAll('g.row rect').filter(d => d.key === key).node()
+        .dispatchEvent(new MouseEvent('click'));
+    const crumbs = () => chart.selectAll('nav.dc-breadcrumbs li').nodes().map(li => li.textContent);
+
+    it('should show the first level', () => {
+        expect(chart.dimension()).toBe(regionDimension);
+        expect(chart.group()).toBe(regionGroup);
+        expect(chart.drillLevel()).toBe(0);
+    });
+
+    describe('clicking an item', () => {
+        let drillDown;
+
+        beforeEach(() => {
+            drillDown = jasmine.createSpy('drillDown');
+            chart.on('drillDown', drillDown);
+            clickRow('West');
+        });
+
+        it('should show the next level', () => {
+            expect(chart.drillLevel()).toBe(1);
+            expect(chart.drillPath()).toEqual(['West']);
+            expect(chart.dimension()).toBe(stateDimension);
+            expect(chart.group()).toBe(stateGroup);
+            expect(chart.selectAll('g.row').size()).toBe(stateGroup.all().length);
+        });
+
+        it('should filter the level drilled from without filtering the chart', () => {
+            expect(stateDimension.top(Infinity).map(d => d.id).sort()).toEqual([2, 3, 6]);
+            expect(chart.filters()).toEqual([]);
+        });
+
+        it('should fire the drillDown event', () => {
+            expect(drillDown).toHaveBeenCalledWith(chart, 'West', 1);
+        });
+
+        it('should filter on the last level', () => {
+            clickRow('Colorado');
+            expect(chart.drillLevel()).toBe(1);
+            expect(chart.filters()).toEqual(['Colorado']);
+        });
+
+        describe('and drilling up', () => {
+            let drillUp;
+
+            beforeEach(() => {
+                clickRow('Colorado');
+                drillUp = jasmine.createSpy('drillUp');
+                chart.on('drillUp', drillUp);
+                chart.drillUp();
+            });
+
+            it('should show the level above', () => {
+                expect(chart.drillLevel()).toBe(0);
+                expect(chart.dimension()).toBe(regionDimension);
+                expect(drillUp).toHaveBeenCalledWith(chart, 0);
+            });
+
+            it('should remove the filters of the levels below', () => {
+                expect(regionDimension.top(Infinity).length).toBe(10);
+                expect(stateDimension.top(Infinity).length).toBe(10);
+            });
+        });
+    });
+
+    it('should not filter the level drilled from without drillFilter', () => {
+        chart.drillFilter(false);
+        clickRow('West');
+        expect(chart.drillLevel()).toBe(1);
+        expect(stateDimension.top(Infinity).length).toBe(10);
+    });
+
+    it('should restore the settings the levels leave out', () => {
+        const keyAccessor = d => `state ${d.key}`;
+        chart.drillDown([
+            {dimension: regionDimension, group: regionGroup},
+            {dimension: stateDimension, group: stateGroup, keyAccessor}
+        ]);
+        chart.drillInto('West');
+        expect(chart.keyAccessor()).toBe(keyAccessor);
+        chart.drillTo(0);
+        expect(chart.keyAccessor()).not.toBe(keyAccessor);
+        expect(chart.keyAccessor()({key: 'West'})).toBe('West');
+    });
+
+    describe('as filter state', () => {
+        beforeEach(() => {
+            chart.root().append('span').attr('class', 'filter');
+            clickRow('West');
+        });
+
+        it('should include the keys drilled into', () => {
+            expect(chart.filterState()).toEqual({filters: [], drillPath: ['West']});
+            chart.filter('Colorado');
+            expect(chart.filterState()).toEqual({filters: ['Colorado'], drillPath: ['West']});
+        });
+
+        it('should print the keys drilled into before the filters', () => {
+            expect(chart.select('.filter').text()).toBe('West');
+            clickRow('Colorado');
+            expect(chart.select('.filter').text()).toBe('West / Colorado');
+        });
+
+        it('should drill up to the first level on filterAll', () => {
+            const drillUp = jasmine.createSpy('drillUp');
+            chart.on('drillUp', drillUp);
+            clickRow('Colorado');
+            chart.filterAll();
+            expect(chart.drillLevel()).toBe(0);
+            expect(chart.filterState()).toEqual({filters: []});
+            expect(stateDimension.top(Infinity).length).toBe(10);
+            expect(drillUp).toHaveBeenCalledWith(chart, 0);
+        });
+
+        it('should be restored with the filters', () => {
+            chart.filterAll();
+            chart.filterState({filters: ['Colorado'], drillPath: ['West']});
+            expect(chart.drillLevel()).toBe(1);
+            expect(chart.dimension()).toBe(stateDimension);
+            expect(chart.filters()).toEqual(['Colorado']);
+            expect(regionDimension.top(Infinity).map(d => d.id)).toEqual([2]);
+            expect(chart.selectAll('g.row').size()).toBe(stateGroup.all().length);
+        });
+
+        it('should drill up when restoring a state without keys', () => {
+            chart.filterState({filters: ['Central']});
+            expect(chart.drillLevel()).toBe(0);
+            expect(chart.filters()).toEqual(['Central']);
+            expect(stateDimension.top(Infinity).map(d => d.id).sort()).toEqual([5, 8, 9]);
+        });
+
+        it('should be serialized and restored', () => {
+            clickRow('Colorado');
+            const state = dc.serializeFilters('drill', c => c.anchorName());
+            expect(JSON.parse(state)).toEqual({'drill-down-chart': {filters: ['Colorado'], drillPath: ['West']}});
+            chart.filterAll();
+            dc.restoreFilters(state, 'drill', c => c.anchorName());
+            expect(chart.drillPath()).toEqual(['West']);
+            expect(chart.filters()).toEqual(['Colorado']);
+        });
+
+        it('should be undone by the filter history', () => {
+            const history = dc.filterHistory('drill');
+            chart.drillUp();
+            expect(chart.drillLevel()).toBe(0);
+            history.undo();
+            expect(chart.drillPath()).toEqual(['West']);
+            expect(stateDimension.top(Infinity).map(d => d.id).sort()).toEqual([2, 3, 6]);
+            history.detach();
+        });
+    });
+
+    describe('breadcrumbs', () => {
+        beforeEach(() => {
+            chart.drillBreadcrumbs(true).render();
+        });
+
+        it('should be rendered above the chart', () => {
+            const nav = chart.select('nav.dc-breadcrumbs');
+            expect(nav.attr('aria-label')).toBe('Drill-down');
+            expect(chart.root().node().firstChild).toBe(nav.node());
+            expect(crumbs()).toEqual(['All']);
+        });
+
+        it('should show the keys drilled into', () => {
+            clickRow('West');
+            expect(crumbs()).toEqual(['All', 'West']);
+            expect(chart.select('nav.dc-breadcrumbs span').attr('aria-current')).toBe('location');
+        });
+
+        it('should format the keys with the label of the level', () => {
+            chart.drillDown([
+                {dimension: regionDimension, group: regionGroup, label: key => `${key} region`},
+                {dimension: stateDimension, group: stateGroup}
+            ]);
+            chart.drillInto('West');
+            expect(crumbs()).toEqual(['All', 'West region']);
+        });
+
+        it('should drill up when clicked', () => {
+            clickRow('West');
+            chart.select('nav.dc-breadcrumbs button').node().dispatchEvent(new MouseEvent('click'));
+            expect(chart.drillLevel()).toBe(0);
+            expect(crumbs()).toEqual(['All']);
+        });
+
+        it('should be removed when the chart is disposed', () => {
+            const root = chart.root();
+            chart.dispose();
+            expect(root.select('nav.dc-breadcrumbs').empty()).toBeTruthy();
+        });
+    });
+
+    describe('on an ordinal bar chart', () => {
+        let bar;
+
+        beforeEach(() => {
+            appendChartID('drill-down-bar');
+            bar = new dc.BarChart('#drill-down-bar', 'drill')
+                .transitionDuration(0)
+                .x(d3.scaleBand())
+                .xUnits(dc.units.ordinal)
+                .drillDown([
+                    {dimension: regionDimension, group: regionGroup},
+                    {dimension: stateDimension, group: stateGroup}
+                ]);
+            bar.render();
+        });
+
+        const clickBar = key => bar.selectAll('rect.bar').filter(d => d.x === key).node()
+            .dispatchEvent(new MouseEvent('click'));
+
+        it('should drill into the clicked bar', () => {
+            clickBar('West');
+            expect(bar.drillPath()).toEqual(['West']);
+            expect(bar.selectAll('rect.bar').data().map(d => d.x)).toEqual(stateGroup.all().map(g => g.key));
+            expect(stateDimension.top(Infinity).map(d => d.id).sort()).toEqual([2, 3, 6]);
+        });
+
+        it('should filter on the last level', () => {
+            clickBar('West');
+            clickBar('Colorado');
+            expect(bar.drillLevel()).toBe(1);
+            expect(bar.filters()).toEqual(['Colorado']);
+        });
+    });
+});
@@ -34,6 +34,24 @@ describe('dc event engine', () => {
             jasmine.clock().tick(5);
             expect(times).toEqual(1);
         });
+        it('delayed events with different keys should not cancel each other', () => {
+            const other = jasmine.createSpy('other');
+            engine.trigger(trigger, 10, 'a');
+            engine.trigger(other, 10, 'b');
+            jasmine.clock().tick(10);
+            expect(trigger).toHaveBeenCalled();
+            expect(other).toHaveBeenCalled();
+        });
+
+        it('delayed events with the same key should be throttled', () => {
+            const other = jasmine.createSpy('other');
+            engine.trigger(trigger, 10, 'a');
+            engine.trigger(other, 10, 'a');
+            jasmine.clock().tick(10);
+            expect(trigger).not.toHaveBeenCalled();
+            expect(other).toHaveBeenCalled();
+        });
+
         afterEach(() => {
         });
     });
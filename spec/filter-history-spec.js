@@ -0,0 +1,176 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.filterHistory', () => {
+    let pie, row, history, changed;
+
+    beforeEach(() => {
+        const data = crossfilter(loadDateFixture());
+        const stateDimension = data.dimension(d => d.state);
+        const regionDimension = data.dimension(d => d.region);
+        appendChartID('history-pie');
+        appendChartID('history-row');
+        pie = new dc.PieChart('#history-pie', 'history')
+            .transitionDuration(0)
+            .dimension(stateDimension)
+            .group(stateDimension.group());
+        row = new dc.RowChart('#history-row', 'history')
+            .transitionDuration(0)
+            .dimension(regionDimension)
+            .group(regionDimension.group());
+        dc.renderAll('history');
+
+        history = dc.filterHistory('history');
+        changed = jasmine.createSpy('change');
+        history.on('change', changed);
+    });
+
+    afterEach(() => {
+        history.detach();
+    });
+
+    it('should start without steps', () => {
+        expect(history.canUndo()).toBeFalsy();
+        expect(history.canRedo()).toBeFalsy();
+    });
+
+    describe('recording', () => {
+        beforeEach(() => {
+            pie.filter('Ontario');
+        });
+
+        it('should be undoable immediately', () => {
+            expect(history.canUndo()).toBeTruthy();
+            expect(changed).toHaveBeenCalledWith(history);
+        });
+
+        it('should merge changes of the same chart within the merge delay into one step', () => {
+            jasmine.clock().tick(100);
+            pie.filter('Colorado');
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            history.undo();
+            expect(pie.filters()).toEqual([]);
+            expect(history.canUndo()).toBeFalsy();
+        });
+
+        it('should record quick changes of different charts as separate steps', () => {
+            jasmine.clock().tick(100);
+            row.filter('West');
+            history.undo();
+            expect(pie.filters()).toEqual(['Ontario']);
+            expect(row.filters()).toEqual([]);
+            expect(history.canUndo()).toBeTruthy();
+        });
+
+        it('should record changes after the merge delay as separate steps', () => {
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            row.filter('West');
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            history.undo();
+            expect(pie.filters()).toEqual(['Ontario']);
+            expect(row.filters()).toEqual([]);
+            expect(history.canUndo()).toBeTruthy();
+        });
+
+        it('should count filterAll as one step', () => {
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            row.filter('West');
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            dc.filterAll('history');
+            history.undo();
+            expect(pie.filters()).toEqual(['Ontario']);
+            expect(row.filters()).toEqual(['West']);
+        });
+
+        it('should not record a step if nothing changed', () => {
+            pie.filter('Ontario');
+            history.commit();
+            expect(history.canUndo()).toBeFalsy();
+        });
+    });
+
+    describe('undo and redo', () => {
+        beforeEach(() => {
+            pie.filter('Ontario');
+            history.commit();
+            spyOn(pie, 'redraw');
+            history.undo();
+        });
+
+        it('should restore the previous filters', () => {
+            expect(pie.filters()).toEqual([]);
+        });
+
+        it('should redraw the chart group', () => {
+            expect(pie.redraw).toHaveBeenCalled();
+        });
+
+        it('should not record its own changes', () => {
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            expect(history.canUndo()).toBeFalsy();
+            expect(history.canRedo()).toBeTruthy();
+        });
+
+        it('should redo the undone step', () => {
+            history.redo();
+            expect(pie.filters()).toEqual(['Ontario']);
+            expect(history.canRedo()).toBeFalsy();
+        });
+
+        it('should forget redo steps on a new change', () => {
+            row.filter('West');
+            history.commit();
+            expect(history.canRedo()).toBeFalsy();
+        });
+    });
+
+    describe('a chart registered after the history', () => {
+        let late;
+
+        beforeEach(() => {
+            pie.filter('Ontario');
+            history.commit();
+            const data = crossfilter(loadDateFixture());
+            const statusDimension = data.dimension(d => d.status);
+            appendChartID('history-late');
+            late = new dc.PieChart('#history-late', 'history')
+                .transitionDuration(0)
+                .dimension(statusDimension)
+                .group(statusDimension.group());
+            late.render();
+            late.filter('T');
+            history.commit();
+        });
+
+        it('should be reset by undoing to a step from before it was registered', () => {
+            history.undo();
+            expect(pie.filters()).toEqual(['Ontario']);
+            expect(late.filters()).toEqual([]);
+            history.undo();
+            expect(pie.filters()).toEqual([]);
+            expect(late.filters()).toEqual([]);
+            expect(late.dimension().top(Infinity).length).toBe(10);
+        });
+
+        it('should get its filters back on redo', () => {
+            history.undo();
+            history.redo();
+            expect(late.filters()).toEqual(['T']);
+        });
+    });
+
+    describe('detach', () => {
+        it('should stop recording', () => {
+            history.detach();
+            pie.filter('Ontario');
+            expect(history.canUndo()).toBeFalsy();
+        });
+
+        it('should drop a pending change', () => {
+            pie.filter('Ontario');
+            changed.calls.reset();
+            history.detach();
+            jasmine.clock().tick(history.mergeDelay() + 1);
+            expect(changed).not.toHaveBeenCalled();
+            expect(history.canUndo()).toBeFalsy();
+        });
+    });
+});
@@ -30,6 +30,133 @@ describe('dc.filters', () => {
         });
     });
 
+    describe('RangedFilter with bounds', () => {
+        it('should default to including the lower bound only', () => {
+            expect(dc.filters.RangedFilter(0, 10).bounds).toBe('[)');
+        });
+
+        it('should include both bounds', () => {
+            const filter = dc.filters.RangedFilter(0, 10, '[]');
+            expect(filter.isFiltered(0)).toBeTruthy();
+            expect(filter.isFiltered(10)).toBeTruthy();
+            expect(filter.isFiltered(10.1)).toBeFalsy();
+        });
+
+        it('should exclude both bounds', () => {
+            const filter = dc.filters.RangedFilter(0, 10, '()');
+            expect(filter.isFiltered(0)).toBeFalsy();
+            expect(filter.isFiltered(5)).toBeTruthy();
+            expect(filter.isFiltered(10)).toBeFalsy();
+        });
+
+        it('should include the higher bound only', () => {
+            const filter = dc.filters.RangedFilter(0, 10, '(]');
+            expect(filter.isFiltered(0)).toBeFalsy();
+            expect(filter.isFiltered(10)).toBeTruthy();
+        });
+
+        it('should reject invalid bounds', () => {
+            expect(() => dc.filters.RangedFilter(0, 10, '[[')).toThrowError(dc.BadArgumentException);
+        });
+    });
+
+    describe('NotRangedFilter', () => {
+        let filter;
+        beforeEach(() => {
+            filter = dc.filters.NotRangedFilter(0, 10);
+        });
+
+        it('should act like an array', () => {
+            expect([filter[0], filter[1]]).toEqual([0, 10]);
+        });
+
+        describe('isFiltered', () => {
+            it('should return true when the number is out of range', () => {
+                expect(filter.isFiltered(1234)).toBeTruthy();
+                expect(filter.isFiltered(-1)).toBeTruthy();
+            });
+
+            it('should return false when the number is in range', () => {
+                expect(filter.isFiltered(8.1)).toBeFalsy();
+            });
+
+            it('should exclude the left bounds', () => {
+                expect(filter.isFiltered(0)).toBeFalsy();
+            });
+
+            it('should include the right bounds', () => {
+                expect(filter.isFiltered(10)).toBeTruthy();
+            });
+        });
+    });
+
+    describe('InFilter', () => {
+        let filter;
+        beforeEach(() => {
+            filter = dc.filters.InFilter(['a', makeDate(2015, 7, 1)]);
+        });
+
+        it('should act like an array of the values', () => {
+            expect(Array.from(filter)).toEqual(['a', makeDate(2015, 7, 1)]);
+            expect(filter.filterType).toEqual('InFilter');
+        });
+
+        it('should return true for the given values', () => {
+            expect(filter.isFiltered('a')).toBeTruthy();
+            expect(filter.isFiltered(makeDate(2015, 7, 1))).toBeTruthy();
+        });
+
+        it('should return false for other values', () => {
+            expect(filter.isFiltered('b')).toBeFalsy();
+            expect(filter.isFiltered(makeDate(2015, 7, 2))).toBeFalsy();
+        });
+    });
+
+    describe('NotInFilter', () => {
+        let filter;
+        beforeEach(() => {
+            filter = dc.filters.NotInFilter(['a', 'b']);
+        });
+
+        it('should return false for the given values', () => {
+            expect(filter.isFiltered('a')).toBeFalsy();
+            expect(filter.isFiltered('b')).toBeFalsy();
+        });
+
+        it('should return true for other values', () => {
+            expect(filter.isFiltered('c')).toBeTruthy();
+            expect(filter.filterType).toEqual('NotInFilter');
+        });
+    });
+
+    describe('compound filters', () => {
+        let filter;
+        beforeEach(() => {
+            filter = dc.filters.Or(
+                dc.filters.And(dc.filters.RangedFilter(0, 100), dc.filters.NotInFilter([50])),
+                dc.filters.RangedFilter(500, Infinity),
+                'n/a'
+            );
+        });
+
+        it('should act like an array of the parts', () => {
+            expect(filter.length).toBe(3);
+            expect(filter.filterType).toBe('Or');
+            expect(filter[0].filterType).toBe('And');
+        });
+
+        it('should accept keys accepted by any part of an Or', () => {
+            expect(filter.isFiltered(10)).toBeTruthy();
+            expect(filter.isFiltered(600)).toBeTruthy();
+            expect(filter.isFiltered('n/a')).toBeTruthy();
+        });
+
+        it('should only accept keys accepted by all parts of an And', () => {
+            expect(filter.isFiltered(50)).toBeFalsy();
+            expect(filter.isFiltered(200)).toBeFalsy();
+        });
+    });
+
     describe('RangedFilter with Dates', () => {
         let filter;
         beforeEach(() => {
@@ -87,6 +214,26 @@ describe('dc.filters', () => {
     describe('RangedTwoDimensionalFilter', () => {
         let filter;
 
+        describe('with bounds', () => {
+            beforeEach(() => {
+                filter = dc.filters.RangedTwoDimensionalFilter([[0, 0], [10, 20]], '[]');
+            });
+
+            it('should include the higher values in both dimensions', () => {
+                expect(filter.isFiltered([10, 20])).toBeTruthy();
+                expect(filter.isFiltered([10, 20.1])).toBeFalsy();
+            });
+
+            it('should keep the bounds when the filter is passed again', () => {
+                expect(dc.filters.RangedTwoDimensionalFilter(filter).bounds).toBe('[]');
+            });
+
+            it('should compare single values with the x coordinates', () => {
+                expect(filter.isFiltered(10)).toBeTruthy();
+                expect(dc.filters.RangedTwoDimensionalFilter([[0, 0], [10, 20]], '()').isFiltered(0)).toBeFalsy();
+            });
+        });
+
         it('should return null if filtered with null', () => {
             expect(dc.filters.RangedTwoDimensionalFilter(null)).toBe(null);
         });
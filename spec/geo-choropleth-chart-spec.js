@@ -290,12 +290,12 @@ describe('dc.geoChoropleth', () => {
                 .title(d => `${d.key} : ${d.value ? d.value : 0}`);
         });
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             
             chart.render();
-            chart.selectAll('path.dc-tabbable').each(function () {
+            chart.selectAll('path.dc-tabbable').each(function (d, i) {
                 const state = d3.select(this);
-                expect(state.attr('tabindex')).toEqual('0');
+                expect(state.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -310,7 +310,7 @@ describe('dc.geoChoropleth', () => {
                      
             chart.selectAll('path.dc-tabbable').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, jasmine.any(Number), event);
                 clickHandlerSpy.calls.reset();
             });
         });
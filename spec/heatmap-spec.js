@@ -345,6 +345,14 @@ describe('dc.heatmap', () => {
                 expect(chart.hasFilter(d.key)).toBeFalsy();
             });
         });
+        it('should select only the clicked box in single mode', () => {
+            chart.selectionMode('single');
+            const cells = chart.selectAll('.box-group rect').nodes();
+            cells[0].dispatchEvent(new MouseEvent('click'));
+            cells[1].dispatchEvent(new MouseEvent('click'));
+            expect(chart.filters().length).toBe(1);
+            expect(chart.hasFilter(d3.select(cells[1]).datum().key)).toBeTruthy();
+        });
         describe('on axis labels', () => {
             function assertOnlyThisAxisIsFiltered (_chart, axis, value) {
                 _chart.selectAll('.box-group').each(d => {
@@ -612,19 +620,19 @@ describe('dc.heatmap', () => {
             chart.keyboardAccessible(true);
         })
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
 
             chart.render();
-            chart.selectAll('rect.heat-box').each(function () {
+            chart.selectAll('rect.heat-box').each(function (d, i) {
                 const bar = d3.select(this);
-                expect(bar.attr('tabindex')).toEqual('0');
+                expect(bar.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
         it('internal elements are clickable by pressing enter', () => {
 
             const clickHandlerSpy = jasmine.createSpy();
-            chart.boxOnClick = clickHandlerSpy;
+            chart.boxOnClick(clickHandlerSpy);
             chart.render();
           
             const event = new Event('keydown');
@@ -632,7 +640,7 @@ describe('dc.heatmap', () => {
                      
             chart.selectAll('rect.heat-box').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();
             });
         });
@@ -6,6 +6,8 @@
 
 beforeEach(() => {
     jasmine.clock().install();
+    // flush scheduled redraws on the mock clock rather than on animation frames
+    dc.redrawScheduler.delay(0);
     d3.select('body').append('div').attr('id', 'test-content');
 });
 
@@ -13,6 +15,7 @@ afterEach(() => {
     dc.deregisterAllCharts();
     dc.renderlet(null);
     d3.selectAll('#test-content').remove();
+    dc.redrawScheduler.cancel().delay(null);
     jasmine.clock().uninstall();
 });
 
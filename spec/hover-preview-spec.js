@@ -0,0 +1,70 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.hoverPreview', () => {
+    let data, valueDimension, stateDimension, pieChart, rowChart;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        valueDimension = data.dimension(d => d.value);
+        stateDimension = data.dimension(d => d.state);
+
+        appendChartID('hover-preview-pie');
+        pieChart = new dc.PieChart('#hover-preview-pie')
+            .dimension(valueDimension)
+            .group(valueDimension.group())
+            .transitionDuration(0)
+            .hoverPreview(true);
+        appendChartID('hover-preview-row');
+        rowChart = new dc.RowChart('#hover-preview-row')
+            .dimension(stateDimension)
+            .group(stateDimension.group())
+            .transitionDuration(0);
+        dc.renderAll();
+    });
+
+    const slice = key => pieChart.selectAll('g.pie-slice').filter(d => d.data.key === key).node();
+    const hover = node => node.dispatchEvent(new MouseEvent('mouseenter'));
+    const leave = node => node.dispatchEvent(new MouseEvent('mouseleave'));
+    const rowClasses = className => rowChart.selectAll('g.row rect').nodes()
+        .filter(node => d3.select(node).classed(className))
+        .map(node => d3.select(node).datum().key)
+        .sort();
+
+    it('should highlight the items of the other charts the hovered records fall into', () => {
+        hover(slice('44'));
+        expect(rowClasses('selected')).toEqual(['California', 'Mississippi']);
+        expect(rowClasses('deselected')).toEqual(['Colorado', 'Delaware', 'Oklahoma', 'Ontario']);
+    });
+
+    it('should not filter', () => {
+        const filtered = jasmine.createSpy('filtered');
+        pieChart.on('filtered', filtered);
+        hover(slice('44'));
+        expect(filtered).not.toHaveBeenCalled();
+        expect(pieChart.filters()).toEqual([]);
+        expect(stateDimension.top(Infinity).length).toBe(10);
+    });
+
+    it('should keep the filters of the hovered chart', () => {
+        pieChart.filter('22');
+        hover(slice('44'));
+        expect(stateDimension.top(Infinity).map(d => d.id).sort()).toEqual([2, 7]);
+    });
+
+    it('should restore the classes when the pointer leaves', () => {
+        rowChart.filter('Colorado');
+        dc.redrawAll();
+        hover(slice('44'));
+        leave(slice('44'));
+        expect(rowClasses('selected')).toEqual(['Colorado']);
+        expect(rowClasses('deselected')).toEqual(['California', 'Delaware', 'Mississippi', 'Oklahoma', 'Ontario']);
+    });
+
+    it('should only be shown for charts with hover preview turned on', () => {
+        rowChart.selectAll('g.row rect').nodes().forEach(hover);
+        expect(pieChart.selectAll('g.pie-slice.deselected').empty()).toBeTruthy();
+        pieChart.hoverPreview(false).redraw();
+        hover(slice('44'));
+        expect(rowClasses('selected')).toEqual([]);
+        expect(rowClasses('deselected')).toEqual([]);
+    });
+});
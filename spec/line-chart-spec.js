@@ -757,11 +757,11 @@ describe('dc.lineChart', () => {
             chart.brushOn(false);
         })
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             chart.render();
-            chart.selectAll('circle.dot').each(function () {
+            chart.selectAll('circle.dot').each(function (d, i) {
                 const dot = d3.select(this);
-                expect(dot.attr('tabindex')).toEqual('0');
+                expect(dot.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
     });
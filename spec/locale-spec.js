@@ -0,0 +1,158 @@
+/* global appendChartID, loadDateFixture, makeDate */
+describe('dc.Locale', () => {
+    afterEach(() => {
+        dc.config.locale(dc.locales.en);
+        dc.config.dateFormat = null;
+        dc.config.clearChartGroup('locale-group');
+    });
+
+    describe('formats and strings', () => {
+        it('should use the default locale of d3 without definitions', () => {
+            const locale = new dc.Locale();
+            expect(locale.format(',d')(1234567)).toBe('1,234,567');
+            expect(locale.formatDate(makeDate(2012, 4, 25))).toBe('05/25/2012');
+            expect(locale.formatFloat(1.5)).toBe('1.50');
+            expect(locale.string('others')).toBe('Others');
+        });
+
+        it('should use the number and time definitions', () => {
+            const locale = dc.locales.de;
+            expect(locale.format(',.2f')(1234.5)).toBe('1.234,50');
+            expect(locale.formatDate(makeDate(2012, 4, 25))).toBe('25.05.2012');
+            expect(locale.formatFloat(1.5)).toBe('1,50');
+            expect(locale.string('others')).toBe('Andere');
+        });
+
+        it('should fall back to the english strings', () => {
+            const locale = new dc.Locale({strings: {others: 'Rest'}});
+            expect(locale.string('others')).toBe('Rest');
+            expect(locale.string('selectAll')).toBe('Select all');
+        });
+
+        it('should use the given date and float formats', () => {
+            const locale = new dc.Locale({dateFormat: '%Y-%m-%d', floatFormat: '.1f'});
+            expect(locale.formatDate(makeDate(2012, 4, 25))).toBe('2012-05-25');
+            expect(locale.formatFloat(1.25)).toBe('1.3');
+        });
+    });
+
+    describe('tick formats', () => {
+        it('should format linear ticks with the number definition', () => {
+            const tickFormat = dc.locales.de.tickFormat(d3.scaleLinear().domain([0, 5000]), [5]);
+            expect(tickFormat(1000)).toBe('1.000');
+            expect(dc.locales.de.tickFormat(d3.scaleLinear().domain([0, 1]), [5])(0.2)).toBe('0,2');
+        });
+
+        it('should format time ticks with the time definition', () => {
+            const tickFormat = dc.locales.de.tickFormat(d3.scaleTime().domain([makeDate(2012, 0, 1), makeDate(2012, 11, 31)]));
+            expect(tickFormat(makeDate(2012, 2, 1))).toBe('März');
+        });
+
+        it('should leave ordinal and logarithmic scales and locales without definitions to d3', () => {
+            expect(dc.locales.de.tickFormat(d3.scaleBand().domain(['a', 'b']))).toBeNull();
+            expect(dc.locales.de.tickFormat(d3.scaleLog().domain([1, 1000]))).toBeNull();
+            expect(dc.locales.en.tickFormat(d3.scaleLinear().domain([0, 5000]))).toBeNull();
+        });
+
+        it('should not replace a tick format set on the axis', () => {
+            const tickFormat = d3.format('d');
+            const axis = d3.axisBottom(d3.scaleLinear().domain([0, 5000])).tickFormat(tickFormat);
+            dc.locales.de.localizeAxis(axis);
+            expect(axis.tickFormat()).toBe(tickFormat);
+        });
+    });
+
+    describe('configuration', () => {
+        it('should default to english', () => {
+            expect(dc.config.locale()).toBe(dc.locales.en);
+        });
+
+        it('should format dates with the locale unless a date format is set', () => {
+            dc.config.locale(dc.locales.de);
+            expect(dc.printers.filter(makeDate(2012, 4, 25))).toBe('25.05.2012');
+            dc.config.dateFormat = d3.timeFormat('%Y');
+            expect(dc.printers.filter(makeDate(2012, 4, 25))).toBe('2012');
+        });
+
+        it('should print filters with the words and numbers of the locale', () => {
+            const groupConfig = dc.config.chartGroup('locale-group').locale(dc.locales.de);
+            expect(dc.printers.filter(dc.filters.NotInFilter([1.5, 'a']), groupConfig)).toBe('nicht in (1,50, a)');
+            expect(dc.printers.filter(dc.filters.NotInFilter([1.5, 'a']))).toBe('not in (1.50, a)');
+        });
+
+        it('should print negated ranges and sets apart', () => {
+            const groupConfig = dc.config.chartGroup('locale-group').locale(dc.locales.fr);
+            expect(dc.printers.filter(dc.filters.NotInFilter([1, 2]), groupConfig)).toBe('hors de (1, 2)');
+            expect(dc.printers.filter(dc.filters.NotRangedFilter(1, 2), groupConfig)).toBe('sauf [1 -> 2)');
+        });
+
+        it('should let the float format of printSingleValue take precedence', () => {
+            const fformat = dc.utils.printSingleValue.fformat;
+            dc.config.locale(dc.locales.de);
+            dc.utils.printSingleValue.fformat = d3.format('.1f');
+            expect(dc.utils.printSingleValue(1.25)).toBe('1.3');
+            dc.utils.printSingleValue.fformat = fformat;
+            expect(dc.utils.printSingleValue(1.25)).toBe('1,25');
+        });
+    });
+
+    describe('charts', () => {
+        let data, stateDimension, stateGroup;
+
+        beforeEach(() => {
+            data = crossfilter(loadDateFixture());
+            stateDimension = data.dimension(d => d.state);
+            stateGroup = stateDimension.group();
+            appendChartID('locale-chart');
+            appendChartID('locale-other-chart');
+            dc.config.chartGroup('locale-group').locale(dc.locales.fr);
+        });
+
+        it('should use the strings of the locale of their chart group', () => {
+            const chart = new dc.PieChart('#locale-chart', 'locale-group');
+            const otherChart = new dc.PieChart('#locale-other-chart');
+            expect(chart.othersLabel()).toBe('Autres');
+            expect(chart.emptyTitle()).toBe('vide');
+            expect(otherChart.othersLabel()).toBe('Others');
+        });
+
+        it('should prefer values set on the chart', () => {
+            const chart = new dc.SelectMenu('#locale-chart', 'locale-group')
+                .dimension(stateDimension)
+                .group(stateGroup);
+            chart.render();
+            expect(chart.select('option').text()).toBe('Tout sélectionner');
+            chart.promptText('Tous les états').render();
+            expect(chart.select('option').text()).toBe('Tous les états');
+        });
+
+        it('should localize the placeholder of the text filter widget', () => {
+            const chart = new dc.TextFilterWidget('#locale-chart', 'locale-group').dimension(stateDimension);
+            chart.render();
+            expect(chart.select('input').attr('placeholder')).toBe('rechercher');
+        });
+
+        it('should format the numbers of the data count', () => {
+            const chart = new dc.DataCount('#locale-chart', 'locale-group')
+                .crossfilter(crossfilter(d3.range(1234)))
+                .groupAll(crossfilter(d3.range(1234)).groupAll());
+            chart.html({all: '%total-count'});
+            chart.render();
+            expect(chart.root().text()).toBe('1\u00a0234');
+        });
+
+        it('should format the axis ticks', () => {
+            const valueDimension = data.dimension(d => +d.value);
+            const chart = new dc.BarChart('#locale-chart', 'locale-group')
+                .width(400)
+                .height(200)
+                .dimension(valueDimension)
+                .group(valueDimension.group().reduceSum(d => +d.value * 1000))
+                .x(d3.scaleLinear().domain([20, 70]))
+                .transitionDuration(0);
+            chart.render();
+            const yTicks = chart.selectAll('.axis.y .tick text').nodes().map(node => node.textContent);
+            expect(yTicks).toContain('20\u00a0000');
+        });
+    });
+});
@@ -1,3 +1,4 @@
+/* global appendChartID */
 describe('dc.logger', () => {
     const message = 'Watch out for the bears';
 
@@ -103,4 +104,115 @@ describe('dc.logger', () => {
             expect(dc.logger.warn.calls.argsFor(1)).toEqual(['Message 03']);
         });
     });
+
+    describe('levels and sinks', () => {
+        let records;
+
+        beforeEach(() => {
+            records = [];
+            dc.logger.sinks([record => records.push(record)]);
+        });
+
+        afterEach(() => {
+            dc.logger.sinks([dc.consoleSink]).level('warn');
+        });
+
+        it('should log warnings and errors by default', () => {
+            dc.logger.error('e').warn('w').info('i');
+            expect(records.map(record => record.level)).toEqual(['error', 'warn']);
+            expect(records[0].message).toBe('e');
+            expect(records[0].timestamp instanceof Date).toBeTruthy();
+        });
+
+        it('should log messages at or above the level', () => {
+            dc.logger.level('error').warn('w').error('e');
+            expect(records.map(record => record.message)).toEqual(['e']);
+            dc.logger.level('info').info('i');
+            expect(records.map(record => record.message)).toEqual(['e', 'i']);
+        });
+
+        it('should log debug messages at the debug level', () => {
+            dc.logger.enableDebugLog = false;
+            dc.logger.debug('d1').level('debug').debug('d2');
+            expect(records.map(record => record.message)).toEqual(['d2']);
+        });
+
+        it('should not accept unknown levels', () => {
+            expect(() => dc.logger.level('fatal')).toThrowError(dc.BadArgumentException);
+        });
+
+        it('should pass records to every sink until removed', () => {
+            const other = jasmine.createSpy('sink');
+            dc.logger.addSink(other).warn(message);
+            dc.logger.removeSink(other).warn(message);
+            expect(other.calls.count()).toBe(1);
+            expect(records.length).toBe(2);
+        });
+
+        it('should describe the chart, the event and further context in the record', () => {
+            appendChartID('logger-chart');
+            const chart = new dc.PieChart('#logger-chart');
+            const error = new Error('offline');
+            dc.logger.error(message, {chart: chart, event: 'redrawGroup', error: error, attempt: 2});
+            expect(records[0]).toEqual(jasmine.objectContaining({
+                chartID: chart.chartID(),
+                chartClass: 'PieChart',
+                anchor: 'logger-chart',
+                event: 'redrawGroup',
+                error: error,
+                attempt: 2
+            }));
+            expect(records[0].chart).toBeUndefined();
+        });
+
+        it('should give the registered chart type of charts whose class is not registered', () => {
+            appendChartID('logger-chart');
+            const Minified = class extends dc.PieChart {};
+            dc.logger.warn(message, {chart: new Minified('#logger-chart')});
+            expect(records[0].chartClass).toBe('PieChart');
+        });
+
+        describe('failures of charts', () => {
+            let chart, dimension;
+
+            beforeEach(() => {
+                appendChartID('logger-chart');
+                dimension = crossfilter([{x: 1}]).dimension(d => d.x);
+                chart = new dc.PieChart('#logger-chart').dimension(dimension);
+            });
+
+            it('should log missing mandatory attributes', () => {
+                expect(() => chart.render()).toThrowError(dc.InvalidStateException);
+                expect(records[0]).toEqual(jasmine.objectContaining({
+                    level: 'error', event: 'render', attribute: 'group', chartClass: 'PieChart'
+                }));
+            });
+
+            it('should log unknown options', () => {
+                chart.options({colour: 'red'});
+                expect(records[0]).toEqual(jasmine.objectContaining({
+                    level: 'warn', event: 'options', option: 'colour'
+                }));
+            });
+
+            it('should log errors of the commit handler', () => {
+                const error = new Error('offline');
+                chart.group(dimension.group())
+                    .commitHandler((render, callback) => callback(error))
+                    .redrawGroup();
+                expect(records[0]).toEqual(jasmine.objectContaining({
+                    level: 'error', event: 'redrawGroup', error: error
+                }));
+            });
+        });
+    });
+
+    describe('the console sink', () => {
+        it('should put errors to console.error along with the error', () => {
+            const error = new Error('offline');
+            spyOn(console, 'error');
+            dc.logger.error(message, {error: error});
+            expect(console.error).toHaveBeenCalledWith(message, error);
+        });
+    });
 });
@@ -331,6 +331,103 @@ describe('dc.pieChart', () => {
                 expect(chart.hasFilter('33')).toBeTruthy();
             });
         });
+        describe('selection modes', () => {
+            const click = (i, modifiers) => chart.onClick(chart.group().all()[i], new MouseEvent('click', modifiers));
+
+            it('should select only the clicked slice in single mode', () => {
+                chart.selectionMode('single');
+                click(0);
+                click(1, {shiftKey: true});
+                expect(chart.filters()).toEqual(['33']);
+                click(1);
+                expect(chart.filters()).toEqual([]);
+            });
+            it('should replace the selection on click and add to it with a modifier key', () => {
+                chart.selectionMode('replace-on-click-multi-on-shift');
+                click(0);
+                click(1, {shiftKey: true});
+                click(2, {ctrlKey: true});
+                expect(chart.filters()).toEqual(['22', '33', '44']);
+                click(1, {metaKey: true});
+                expect(chart.filters()).toEqual(['22', '44']);
+                click(2);
+                expect(chart.filters()).toEqual(['44']);
+            });
+            it('should remove the earliest selected slices beyond the maximum', () => {
+                chart.maxSelections(2);
+                click(0);
+                click(1);
+                click(2);
+                expect(chart.filters()).toEqual(['33', '44']);
+            });
+            it('should filter once when a click removes earlier selections', () => {
+                chart.maxSelections(2);
+                click(0);
+                click(1);
+                const filtered = jasmine.createSpy('filtered');
+                chart.on('filtered', filtered);
+                click(2);
+                expect(filtered.calls.count()).toBe(1);
+                expect(filtered.calls.argsFor(0)[1]).toEqual([['33', '44']]);
+            });
+            it('should reject unknown modes', () => {
+                expect(() => chart.selectionMode('toggle')).toThrowError(dc.BadArgumentException);
+            });
+        });
+        describe('exclude mode', () => {
+            beforeEach(() => {
+                chart.excludeMode(true);
+                chart.onClick(chart.group().all()[0]);
+                chart.render();
+            });
+            it('should filter out the clicked key', () => {
+                expect(chart.filter().filterType).toEqual('NotInFilter');
+                expect(Array.from(chart.filter())).toEqual(['22']);
+                expect(valueDimension.top(Infinity).some(d => d.value === '22')).toBeFalsy();
+                expect(valueDimension.top(Infinity).length).toEqual(8);
+            });
+            it('should show the excluded slice deselected and the others selected', () => {
+                chart.selectAll('g.pie-slice').each(function (d) {
+                    const excluded = d.data.key === '22';
+                    expect(d3.select(this).classed('deselected')).toBe(excluded);
+                    expect(d3.select(this).classed('selected')).toBe(!excluded);
+                });
+            });
+            it('should add further clicked keys to the excluded keys', () => {
+                chart.onClick(chart.group().all()[1]);
+                expect(chart.filters().length).toEqual(1);
+                expect(Array.from(chart.filter())).toEqual(['22', '33']);
+            });
+            it('should include the key again when clicked twice', () => {
+                chart.onClick(chart.group().all()[0]);
+                expect(chart.filter()).toBeNull();
+            });
+            it('should print the excluded keys', () => {
+                expect(chart.select('span.filter').text()).toEqual('not in (22)');
+            });
+        });
+        describe('clicking a key of a set filter', () => {
+            it('should take the key out of an InFilter', () => {
+                chart.filter(dc.filters.InFilter(['22', '33']));
+                chart.onClick(chart.group().all()[0]);
+                expect(chart.filters().length).toEqual(1);
+                expect(chart.filter().filterType).toEqual('InFilter');
+                expect(Array.from(chart.filter())).toEqual(['33']);
+                expect(chart.hasFilter('22')).toBeFalsy();
+                expect(valueDimension.top(Infinity).every(d => d.value === '33')).toBeTruthy();
+            });
+            it('should remove an InFilter without other keys', () => {
+                chart.filter(dc.filters.InFilter(['22']));
+                chart.onClick(chart.group().all()[0]);
+                expect(chart.filter()).toBeNull();
+            });
+            it('should exclude the key with a NotInFilter', () => {
+                chart.filter(dc.filters.NotInFilter(['22']));
+                chart.onClick(chart.group().all()[1]);
+                expect(chart.filter().filterType).toEqual('NotInFilter');
+                expect(Array.from(chart.filter())).toEqual(['22', '33']);
+            });
+        });
         describe('group order with capping', () => {
             beforeEach(() => {
                 chart.cap(4);
@@ -513,6 +610,12 @@ describe('dc.pieChart', () => {
                 expect(chart.selectAll('text.pie-slice').data().map(dc.pluck('value')))
                     .toEqual([3,2,5]);
             });
+            it('others slice should be selected with its keys in single mode', () => {
+                chart.selectionMode('single');
+                chart.onClick(chart.data()[0]);
+                chart.onClick(chart.data()[2]);
+                expect(chart.filters()).toEqual(['33', '55', '66', 'small']);
+            });
             describe('clicking others slice', () => {
                 let event;
                 beforeEach(() => {
@@ -827,12 +930,12 @@ describe('dc.pieChart', () => {
  
         });
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
 
             chart.render();
-            chart.selectAll('g.pie-slice').each(function () {
+            chart.selectAll('g.pie-slice').each(function (d, i) {
                 const pie = d3.select(this);
-                expect(pie.attr('tabindex')).toEqual('0');
+                expect(pie.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -847,7 +950,7 @@ describe('dc.pieChart', () => {
                      
             chart.selectAll('g.pie-slice').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();
             });
         });
@@ -0,0 +1,133 @@
+/* global appendChartID, loadDateFixture, simulateChartBrushing */
+describe('dc.redrawScheduler', () => {
+    let scheduler, chartA, chartB;
+
+    beforeEach(() => {
+        const data = crossfilter(loadDateFixture());
+        const dimension = data.dimension(d => d.state);
+        appendChartID('scheduler-a');
+        appendChartID('scheduler-b');
+        chartA = new dc.PieChart('#scheduler-a', 'schedulerA')
+            .transitionDuration(0)
+            .dimension(dimension)
+            .group(dimension.group());
+        chartB = new dc.PieChart('#scheduler-b', 'schedulerB')
+            .transitionDuration(0)
+            .dimension(dimension)
+            .group(dimension.group());
+        dc.renderAll('schedulerA');
+        dc.renderAll('schedulerB');
+        spyOn(chartA, 'redraw').and.callThrough();
+        spyOn(chartA, 'render').and.callThrough();
+        spyOn(chartB, 'redraw').and.callThrough();
+
+        scheduler = new dc.RedrawScheduler();
+    });
+
+    afterEach(() => {
+        scheduler.cancel();
+    });
+
+    it('should flush on the next animation frame by default', () => {
+        expect(scheduler.delay()).toBeNull();
+    });
+
+    describe('requesting redraws', () => {
+        beforeEach(() => {
+            scheduler.requestRedraw('schedulerA');
+            scheduler.requestRedraw('schedulerA');
+            scheduler.requestRedraw('schedulerB');
+        });
+
+        it('should not redraw right away', () => {
+            expect(scheduler.isPending('schedulerA')).toBeTruthy();
+            expect(chartA.redraw).not.toHaveBeenCalled();
+        });
+
+        it('should merge requests for the same group on flush', () => {
+            scheduler.flush();
+            expect(chartA.redraw.calls.count()).toBe(1);
+            expect(scheduler.isPending('schedulerA')).toBeFalsy();
+        });
+
+        it('should keep requests for different groups apart', () => {
+            scheduler.flush();
+            expect(chartB.redraw.calls.count()).toBe(1);
+        });
+
+        it('should render instead of redraw when a render is requested', () => {
+            scheduler.requestRender('schedulerA');
+            scheduler.flush();
+            expect(chartA.render.calls.count()).toBe(1);
+            expect(chartA.redraw).not.toHaveBeenCalled();
+        });
+
+        it('should drop the requests on cancel', () => {
+            scheduler.cancel().flush();
+            expect(chartA.redraw).not.toHaveBeenCalled();
+            expect(chartB.redraw).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with a delay', () => {
+        beforeEach(() => {
+            scheduler.delay(50);
+            scheduler.requestRedraw('schedulerA');
+        });
+
+        it('should flush after the delay', () => {
+            jasmine.clock().tick(50);
+            expect(chartA.redraw).toHaveBeenCalled();
+        });
+
+        it('should postpone the flush on further requests', () => {
+            jasmine.clock().tick(30);
+            scheduler.requestRedraw('schedulerB');
+            jasmine.clock().tick(30);
+            expect(chartA.redraw).not.toHaveBeenCalled();
+            jasmine.clock().tick(20);
+            expect(chartA.redraw.calls.count()).toBe(1);
+            expect(chartB.redraw.calls.count()).toBe(1);
+        });
+    });
+
+    describe('interactions', () => {
+        it('should filter and redraw the group right away on a click', () => {
+            const path = chartA.selectAll('g.pie-slice path').filter(d => d.data.key === 'Ontario').node();
+            path.dispatchEvent(new MouseEvent('click'));
+            expect(chartA.filters()).toEqual(['Ontario']);
+            expect(chartA.redraw.calls.count()).toBe(1);
+            expect(dc.redrawScheduler.isPending('schedulerA')).toBeFalsy();
+        });
+
+        it('should filter once at the end of brushing and redraw the group once', () => {
+            appendChartID('scheduler-bar');
+            const data = crossfilter(loadDateFixture());
+            const dimension = data.dimension(d => +d.value);
+            const bar = new dc.BarChart('#scheduler-bar', 'schedulerA')
+                .transitionDuration(0)
+                .dimension(dimension)
+                .group(dimension.group())
+                .x(d3.scaleLinear().domain([20, 70]));
+            bar.render();
+            const filtered = jasmine.createSpy('filtered');
+            bar.on('filtered', filtered);
+            simulateChartBrushing(bar, [22, 35]);
+            simulateChartBrushing(bar, [22, 50]);
+            expect(filtered).not.toHaveBeenCalled();
+            jasmine.clock().tick(dc.constants.EVENT_DELAY);
+            expect(dc.utils.arraysEqual(bar.filter(), [22, 50])).toBeTruthy();
+            expect(filtered.calls.count()).toBe(1);
+            expect(dc.redrawScheduler.isPending('schedulerA')).toBeTruthy();
+            dc.redrawScheduler.flush();
+            expect(chartA.redraw.calls.count()).toBe(1);
+        });
+    });
+
+    describe('default chart group', () => {
+        it('should treat a missing group as the default group', () => {
+            scheduler.requestRedraw();
+            expect(scheduler.isPending(dc.constants.DEFAULT_CHART_GROUP)).toBeTruthy();
+        });
+    });
+});
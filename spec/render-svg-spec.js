@@ -0,0 +1,122 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.renderSvgString', () => {
+    let data, stateDimension, stateGroup, valueDimension;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        stateDimension = data.dimension(d => d.state);
+        stateGroup = stateDimension.group();
+        valueDimension = data.dimension(d => +d.value);
+    });
+
+    describe('a chart anchored at a detached element', () => {
+        let chart, svg;
+
+        beforeEach(() => {
+            chart = new dc.BarChart(document.createElement('div'))
+                .dimension(valueDimension)
+                .group(valueDimension.group())
+                .x(d3.scaleLinear().domain([20, 70]))
+                .transitionDuration(500);
+            svg = dc.renderSvgString(chart, {width: 300, height: 150});
+        });
+
+        it('should return a standalone svg document', () => {
+            expect(svg).toMatch(/^<svg/);
+            expect(svg).toMatch(/xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        });
+
+        it('should give the computed size', () => {
+            expect(svg).toMatch(/width="300"/);
+            expect(svg).toMatch(/height="150"/);
+        });
+
+        it('should render the final state without transitions', () => {
+            const heights = chart.selectAll('rect.bar').nodes().map(node => +node.getAttribute('height'));
+            expect(heights.length).toBe(5);
+            heights.forEach(height => expect(height).toBeGreaterThan(0));
+            expect(chart.transitionDuration()).toBe(500);
+        });
+
+        it('should not refer to the page in clip paths', () => {
+            expect(svg).toMatch(/clip-path="url\(#/);
+        });
+
+        it('should leave out the brush and restore it afterwards', () => {
+            expect(svg).not.toMatch(/class="brush"/);
+            expect(chart.brushOn()).toBeTruthy();
+        });
+
+        it('should restore the size of the chart afterwards', () => {
+            expect(chart.width()).toBe(chart.minWidth());
+            expect(chart.height()).toBe(chart.minHeight());
+        });
+    });
+
+    describe('a chart in a document without a window', () => {
+        let doc, chart, svg;
+
+        beforeEach(() => {
+            // like a document of jsdom or domino in Node: no defaultView, no layout and no computed styles
+            doc = document.implementation.createHTMLDocument('');
+            const anchor = doc.createElement('div');
+            doc.body.appendChild(anchor);
+            chart = new dc.RowChart(anchor)
+                .dimension(stateDimension)
+                .group(stateGroup);
+            svg = dc.renderSvgString(chart, {width: 320, height: 160, css: '.row rect {fill: red}'});
+        });
+
+        it('should not have a window', () => {
+            expect(doc.defaultView).toBeNull();
+        });
+
+        it('should render into that document', () => {
+            expect(chart.svg().node().ownerDocument).toBe(doc);
+            expect(chart.selectAll('g.row').size()).toBe(stateGroup.size());
+        });
+
+        it('should return a standalone svg document of the given size', () => {
+            expect(svg).toMatch(/^<svg[^>]*width="320"[^>]*height="160"/);
+            expect(svg).toMatch(/<style>\.row rect {fill: red}<\/style>/);
+            expect((svg.match(/<g class="row/g) || []).length).toBe(stateGroup.size());
+        });
+    });
+
+    describe('styles', () => {
+        let chart, style;
+
+        beforeEach(() => {
+            style = d3.select('head').append('style').text('#render-svg-chart path { stroke: rgb(1, 2, 3); }');
+            appendChartID('render-svg-chart');
+            chart = new dc.PieChart('#render-svg-chart')
+                .dimension(stateDimension)
+                .group(stateGroup);
+        });
+
+        afterEach(() => {
+            style.remove();
+        });
+
+        it('should inline the computed styles', () => {
+            expect(dc.renderSvgString(chart)).toMatch(/<path[^>]*style="[^"]*stroke: rgb\(1, 2, 3\)/);
+        });
+
+        it('should not inline styles if disabled', () => {
+            expect(dc.renderSvgString(chart, {inlineStyles: false})).not.toMatch(/rgb\(1, 2, 3\)/);
+        });
+
+        it('should embed the given style sheet', () => {
+            expect(dc.renderSvgString(chart, {css: '.pie-slice {fill: red}'}))
+                .toMatch(/<style>\.pie-slice {fill: red}<\/style>/);
+        });
+    });
+
+    it('should fail for charts which are not rendered as SVG', () => {
+        appendChartID('render-svg-count');
+        const chart = new dc.DataCount('#render-svg-count')
+            .crossfilter(data)
+            .groupAll(data.groupAll());
+        expect(() => dc.renderSvgString(chart)).toThrowError(dc.InvalidStateException);
+    });
+});
@@ -171,12 +171,12 @@ describe('dc.rowChart', () => {
             chart.keyboardAccessible(true);
         });
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
 
             chart.render();
-            chart.selectAll('rect').each(function () {
+            chart.selectAll('rect').each(function (d, i) {
                 const row = d3.select(this);
-                expect(row.attr('tabindex')).toEqual('0');
+                expect(row.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -191,7 +191,7 @@ describe('dc.rowChart', () => {
                      
             chart.selectAll('rect').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();
             });
         });
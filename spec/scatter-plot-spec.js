@@ -544,11 +544,11 @@ describe('dc.scatterPlot', () => {
             chart.keyboardAccessible(true);
         })
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
             chart.render();
-            chart.selectAll('path.symbol').each(function () {
+            chart.selectAll('path.symbol').each(function (d, i) {
                 const dot = d3.select(this);
-                expect(dot.attr('tabindex')).toEqual('0');
+                expect(dot.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
     });
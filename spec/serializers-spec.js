@@ -0,0 +1,124 @@
+/* global makeDate */
+describe('dc.serializers', () => {
+    const roundTrip = f => dc.serializers.parseFilter(JSON.parse(JSON.stringify(dc.serializers.filter(f))));
+
+    describe('plain values', () => {
+        it('should keep numbers and strings', () => {
+            expect(dc.serializers.filters([1, 'a'])).toEqual([1, 'a']);
+            expect(roundTrip(12)).toBe(12);
+            expect(roundTrip('Sunday')).toBe('Sunday');
+        });
+
+        it('should restore dates', () => {
+            const date = makeDate(2012, 5, 10);
+            expect(dc.serializers.filter(date)).toEqual({date: '2012-06-10T00:00:00.000Z'});
+            expect(roundTrip(date).getTime()).toEqual(date.getTime());
+        });
+
+        it('should keep arrays of values', () => {
+            expect(roundTrip(['a', 2])).toEqual(['a', 2]);
+        });
+    });
+
+    describe('RangedFilter', () => {
+        let filter;
+        beforeEach(() => {
+            filter = roundTrip(dc.filters.RangedFilter(makeDate(2012, 5, 1), makeDate(2012, 6, 1)));
+        });
+
+        it('should restore the filter type', () => {
+            expect(filter.filterType).toBe('RangedFilter');
+        });
+
+        it('should restore the dates', () => {
+            expect(filter[0].getTime()).toEqual(makeDate(2012, 5, 1).getTime());
+            expect(filter[1].getTime()).toEqual(makeDate(2012, 6, 1).getTime());
+        });
+
+        it('should filter like the original', () => {
+            expect(filter.isFiltered(makeDate(2012, 5, 15))).toBeTruthy();
+            expect(filter.isFiltered(makeDate(2012, 6, 1))).toBeFalsy();
+        });
+    });
+
+    describe('bounds', () => {
+        it('should restore the bounds of ranged filters', () => {
+            expect(roundTrip(dc.filters.RangedFilter(1, 5, '[]')).bounds).toBe('[]');
+            expect(roundTrip(dc.filters.RangedTwoDimensionalFilter([[0, 0], [1, 1]], '()')).bounds).toBe('()');
+        });
+
+        it('should leave out the default bounds', () => {
+            expect(dc.serializers.filter(dc.filters.RangedFilter(1, 5)).bounds).toBeUndefined();
+            expect(roundTrip(dc.filters.RangedFilter(1, 5)).bounds).toBe('[)');
+        });
+    });
+
+    describe('TwoDimensionalFilter', () => {
+        it('should restore the filter', () => {
+            const filter = roundTrip(dc.filters.TwoDimensionalFilter([1, 'b']));
+            expect(filter.filterType).toBe('TwoDimensionalFilter');
+            expect(filter.isFiltered([1, 'b'])).toBeTruthy();
+        });
+    });
+
+    describe('RangedTwoDimensionalFilter', () => {
+        it('should restore the filter', () => {
+            const filter = roundTrip(dc.filters.RangedTwoDimensionalFilter([[0, 1], [10, 20]]));
+            expect(filter.filterType).toBe('RangedTwoDimensionalFilter');
+            expect(filter.isFiltered([5, 5])).toBeTruthy();
+            expect(filter.isFiltered([10, 5])).toBeFalsy();
+        });
+    });
+
+    describe('HierarchyFilter', () => {
+        it('should restore the filter', () => {
+            const filter = roundTrip(dc.filters.HierarchyFilter(['a', 'b']));
+            expect(filter.filterType).toBe('HierarchyFilter');
+            expect(filter.isFiltered(['a', 'b', 'c'])).toBeTruthy();
+            expect(filter.isFiltered(['a', 'c'])).toBeFalsy();
+        });
+    });
+
+    describe('NotRangedFilter', () => {
+        it('should restore the filter', () => {
+            const filter = roundTrip(dc.filters.NotRangedFilter(0, 10));
+            expect(filter.filterType).toBe('NotRangedFilter');
+            expect(filter.isFiltered(10)).toBeTruthy();
+            expect(filter.isFiltered(5)).toBeFalsy();
+        });
+    });
+
+    describe('InFilter and NotInFilter', () => {
+        it('should restore the filters with their dates', () => {
+            const inFilter = roundTrip(dc.filters.InFilter([makeDate(2012, 6, 1), 'a']));
+            expect(inFilter.filterType).toBe('InFilter');
+            expect(inFilter.isFiltered(makeDate(2012, 6, 1))).toBeTruthy();
+            const notInFilter = roundTrip(dc.filters.NotInFilter(['a']));
+            expect(notInFilter.filterType).toBe('NotInFilter');
+            expect(notInFilter.isFiltered('a')).toBeFalsy();
+            expect(notInFilter.isFiltered('b')).toBeTruthy();
+        });
+    });
+
+    describe('compound filters', () => {
+        it('should restore the nested filters', () => {
+            const filter = roundTrip(dc.filters.Or(
+                dc.filters.And(dc.filters.RangedFilter(0, 100), dc.filters.NotInFilter([50])),
+                makeDate(2012, 6, 1)
+            ));
+            expect(filter.filterType).toBe('Or');
+            expect(filter[0].filterType).toBe('And');
+            expect(filter[0][0].filterType).toBe('RangedFilter');
+            expect(filter.isFiltered(10)).toBeTruthy();
+            expect(filter.isFiltered(50)).toBeFalsy();
+            expect(filter.isFiltered(makeDate(2012, 6, 1))).toBeTruthy();
+        });
+    });
+
+    describe('unknown filter types', () => {
+        it('should throw', () => {
+            expect(() => dc.serializers.parseFilter({filterType: 'Nope', values: []}))
+                .toThrowError(dc.BadArgumentException);
+        });
+    });
+});
@@ -274,6 +274,14 @@ describe('dc.sunburstChart', () => {
                 chart.onClick(d);
                 expect(chart.filter()).toEqual(null);
             });
+            it('onClick should replace the filter in single mode', () => {
+                chart.selectionMode('single');
+                const slices = chart.selectAll('.pie-slice-level-3').data();
+                chart.onClick(slices[0]);
+                chart.onClick(slices[1]);
+                expect(chart.filters().length).toEqual(1);
+                expect(chart.filter().slice(0)).toEqual(slices[1].path);
+            });
         });
     });
 
@@ -495,12 +503,12 @@ describe('dc.sunburstChart', () => {
                 .keyboardAccessible(true);
         })
 
-        it('internal elements are focusable by keyboard', () => {
+        it('internal elements are a single tab stop', () => {
 
             chart.render();
-            chart.selectAll('g.pie-slice path').each(function () {
+            chart.selectAll('g.pie-slice path').each(function (d, i) {
                 const burst = d3.select(this);
-                expect(burst.attr('tabindex')).toEqual('0');
+                expect(burst.attr('tabindex')).toEqual(i === 0 ? '0' : '-1');
             });
         });
 
@@ -515,7 +523,7 @@ describe('dc.sunburstChart', () => {
                      
             chart.selectAll('g.pie-slice path').each(function (d) {
                 this.dispatchEvent(event);
-                expect(clickHandlerSpy).toHaveBeenCalledWith(d);
+                expect(clickHandlerSpy).toHaveBeenCalledWith(d, event);
                 clickHandlerSpy.calls.reset();   
             });
         });
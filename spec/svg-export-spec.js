@@ -0,0 +1,136 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.svgExport', () => {
+    let data, stateDimension, stateGroup, valueDimension, valueGroup;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        stateDimension = data.dimension(d => d.state);
+        stateGroup = stateDimension.group();
+        valueDimension = data.dimension(d => +d.value);
+        valueGroup = valueDimension.group();
+    });
+
+    const buildBarChart = (id, chartGroup) => {
+        appendChartID(id);
+        return new dc.BarChart(`#${id}`, chartGroup)
+            .width(300)
+            .height(150)
+            .dimension(valueDimension)
+            .group(valueGroup)
+            .x(d3.scaleLinear().domain([20, 70]))
+            .transitionDuration(0);
+    };
+
+    describe('chart.toSVG', () => {
+        let chart;
+
+        beforeEach(() => {
+            chart = buildBarChart('export-bar-chart')
+                .legend(new dc.Legend());
+            chart.render();
+        });
+
+        it('should export the chart as a standalone svg document', () => {
+            const svg = chart.toSVG();
+            expect(svg).toMatch(/^<svg/);
+            expect(svg).toMatch(/xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+            expect(svg).toMatch(/width="300"/);
+            expect((svg.match(/<rect class="bar"/g) || []).length).toBe(5);
+        });
+
+        it('should write well-formed xml for characters which html writes as entities', () => {
+            chart.renderLabel(true).label(() => '1\u00a0000').render();
+            const doc = new DOMParser().parseFromString(chart.toSVG(), 'image/svg+xml');
+            expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+            expect(doc.querySelector('text.barLabel').textContent).toBe('1\u00a0000');
+        });
+
+        it('should include the legend', () => {
+            expect(chart.toSVG()).toMatch(/class="dc-legend"/);
+        });
+
+        it('should strip the brush unless asked not to', () => {
+            expect(chart.toSVG()).not.toMatch(/class="brush"/);
+            expect(chart.toSVG({stripBrush: false})).toMatch(/class="brush"/);
+        });
+
+        it('should not change the chart', () => {
+            chart.toSVG();
+            expect(chart.select('g.brush').empty()).toBeFalsy();
+            expect(chart.svg().attr('xmlns')).toBeNull();
+        });
+    });
+
+    describe('chart.toPNG', () => {
+        it('should resolve with a png image of the scaled size', done => {
+            const chart = buildBarChart('export-png-chart');
+            chart.render();
+            chart.toPNG({scale: 2}).then(blob => {
+                expect(blob.type).toBe('image/png');
+                const image = new Image();
+                image.onload = () => {
+                    expect(image.width).toBe(600);
+                    expect(image.height).toBe(300);
+                    done();
+                };
+                image.src = URL.createObjectURL(blob);
+            }, done.fail);
+        });
+    });
+
+    describe('a scatter plot drawn on a canvas', () => {
+        it('should composite the canvas as an image', () => {
+            appendChartID('export-scatter-plot');
+            const dimension = data.dimension(d => [+d.value, +d.nvalue]);
+            const chart = new dc.ScatterPlot('#export-scatter-plot')
+                .width(300)
+                .height(150)
+                .useCanvas(true)
+                .dimension(dimension)
+                .group(dimension.group())
+                .x(d3.scaleLinear().domain([0, 70]))
+                .transitionDuration(0);
+            chart.render();
+            expect(chart.toSVG()).toMatch(/<image [^>]*href="data:image\/png/);
+        });
+    });
+
+    describe('chart group export', () => {
+        beforeEach(() => {
+            buildBarChart('export-group-bar', 'export-group').render();
+            appendChartID('export-group-pie');
+            new dc.PieChart('#export-group-pie', 'export-group')
+                .width(200)
+                .height(100)
+                .dimension(stateDimension)
+                .group(stateGroup)
+                .transitionDuration(0)
+                .render();
+            appendChartID('export-group-count');
+            new dc.DataCount('#export-group-count', 'export-group')
+                .crossfilter(data)
+                .groupAll(data.groupAll())
+                .render();
+        });
+
+        afterEach(() => {
+            dc.deregisterAllCharts('export-group');
+        });
+
+        it('should stack the charts by default', () => {
+            const svg = dc.chartGroupToSVG('export-group');
+            expect(svg).toMatch(/^<svg[^>]* width="300" height="260"/);
+            expect((svg.match(/<svg/g) || []).length).toBe(3);
+        });
+
+        it('should lay the charts out in columns', () => {
+            const svg = dc.chartGroupToSVG('export-group', {columns: 2, padding: 20});
+            expect(svg).toMatch(/^<svg[^>]* width="520" height="150"/);
+            expect(svg).toMatch(/<svg[^>]* x="320" y="0"/);
+        });
+
+        it('should fail without charts rendered as svg', () => {
+            expect(() => dc.chartGroupToSVG('export-empty-group')).toThrowError(dc.InvalidStateException);
+        });
+    });
+});
@@ -70,6 +70,18 @@ describe('dc.textFilterWidget', () => {
             expect(chart.dimension().top(1000).length).toEqual(3);
         });
 
+        it('redraws the chart group once for several keystrokes', () => {
+            const redrawn = jasmine.createSpy('postRedraw');
+            dc.chartRegistry.on('postRedraw.spec', redrawn);
+            mockTyping('l');
+            mockTyping('li');
+            mockTyping('lif');
+            expect(redrawn).not.toHaveBeenCalled();
+            dc.redrawScheduler.flush();
+            expect(redrawn.calls.count()).toBe(1);
+            dc.chartRegistry.on('postRedraw.spec', null);
+        });
+
         it('filters the dimension in case insensitive way', () => {
             mockTyping('LiFo'); // Will match California
             expect(chart.dimension().top(1000).length).toEqual(3);
@@ -77,6 +89,13 @@ describe('dc.textFilterWidget', () => {
 
     });
 
+    describe('dispose', () => {
+        it('removes the input field', () => {
+            chart.dispose();
+            expect(d3.selectAll(`#${id} input`).empty()).toBeTruthy();
+        });
+    });
+
     afterEach(() => {
         dimension.filterAll();
     });
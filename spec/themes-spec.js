@@ -0,0 +1,142 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.themes', () => {
+    let dimension, group, theme;
+
+    beforeEach(() => {
+        const data = crossfilter(loadDateFixture());
+        dimension = data.dimension(d => +d.value);
+        group = dimension.group();
+        appendChartID('themed-bar');
+        appendChartID('themed-pie');
+
+        theme = {
+            options: {
+                '*': {transitionDuration: 0, ordinalColors: ['red', 'green']},
+                CoordinateGridMixin: {renderHorizontalGridLines: true, margins: {top: 1, right: 2, bottom: 3, left: 4}},
+                BarChart: {ordinalColors: ['blue']}
+            },
+            legend: {itemHeight: 20, gap: 9},
+            cssVariables: {'--dc-font-family': 'serif'}
+        };
+    });
+
+    afterEach(() => {
+        dc.config.theme(null);
+        dc.config.clearChartGroup('themed');
+    });
+
+    describe('global theme', () => {
+        let bar, pie;
+
+        beforeEach(() => {
+            dc.config.theme(theme);
+            bar = new dc.BarChart('#themed-bar');
+            pie = new dc.PieChart('#themed-pie');
+        });
+
+        it('should apply the options for all charts', () => {
+            expect(bar.transitionDuration()).toBe(0);
+            expect(pie.transitionDuration()).toBe(0);
+            expect(pie.colors().range()).toEqual(['red', 'green']);
+        });
+
+        it('should apply the options of base classes', () => {
+            expect(bar.renderHorizontalGridLines()).toBeTruthy();
+            expect(bar.margins()).toEqual({top: 1, right: 2, bottom: 3, left: 4});
+        });
+
+        it('should prefer the options of derived classes', () => {
+            expect(bar.colors().range()).toEqual(['blue']);
+        });
+
+        it('should copy object options', () => {
+            bar.margins().left = 40;
+            expect(theme.options.CoordinateGridMixin.margins.left).toBe(4);
+        });
+
+        it('should skip options the chart does not support', () => {
+            expect(pie.margins).toBeUndefined();
+        });
+
+        it('should set the css variables on the chart root', () => {
+            expect(bar.root().node().style.getPropertyValue('--dc-font-family')).toBe('serif');
+        });
+
+        it('should be overridden by options set after construction', () => {
+            bar.transitionDuration(100);
+            expect(bar.transitionDuration()).toBe(100);
+        });
+
+        describe('legend', () => {
+            it('should apply the legend settings', () => {
+                bar.legend(new dc.Legend());
+                expect(bar.legend().itemHeight()).toBe(20);
+                expect(bar.legend().gap()).toBe(9);
+            });
+
+            it('should keep legend settings which have been changed', () => {
+                bar.legend(new dc.Legend().itemHeight(13));
+                expect(bar.legend().itemHeight()).toBe(13);
+                expect(bar.legend().gap()).toBe(9);
+            });
+        });
+    });
+
+    describe('theme keys', () => {
+        afterEach(() => {
+            dc.chartTypeRegistry.deregister('ThemedPie');
+        });
+
+        it('should key chart classes by their registered name rather than the class name', () => {
+            // a minifier renames classes, so the class name must not matter
+            const Minified = class extends dc.PieChart {};
+            dc.chartTypeRegistry.register('ThemedPie', Minified);
+            theme.options.ThemedPie = {innerRadius: 7};
+            theme.options.Minified = {innerRadius: 9};
+            dc.config.theme(theme);
+            expect(new Minified('#themed-pie').innerRadius()).toBe(7);
+        });
+
+        it('should apply the options of mixins', () => {
+            theme.options.ColorMixin = {ordinalColors: ['yellow']};
+            dc.config.theme(theme);
+            expect(new dc.PieChart('#themed-pie').colors().range()).toEqual(['yellow']);
+        });
+    });
+
+    describe('chart group theme', () => {
+        let bar, pie;
+
+        beforeEach(() => {
+            dc.config.chartGroup('themed').theme(theme);
+            bar = new dc.BarChart('#themed-bar', 'themed');
+            pie = new dc.PieChart('#themed-pie');
+        });
+
+        it('should apply to charts of the chart group', () => {
+            expect(bar.transitionDuration()).toBe(0);
+        });
+
+        it('should not apply to other charts', () => {
+            expect(pie.transitionDuration()).toBe(350);
+        });
+    });
+
+    describe('built-in themes', () => {
+        ['light', 'dark', 'highContrast'].forEach(name => {
+            it(`should render a chart with the ${name} theme`, () => {
+                dc.config.theme(dc.themes[name]);
+                const bar = new dc.BarChart('#themed-bar')
+                    .transitionDuration(0)
+                    .dimension(dimension)
+                    .group(group)
+                    .x(d3.scaleLinear().domain([0, 100]));
+                bar.render();
+                expect(bar.colors().range()).toEqual(dc.themes[name].options['*'].ordinalColors);
+                expect(bar.root().node().style.getPropertyValue('--dc-text-color'))
+                    .toBe(dc.themes[name].cssVariables['--dc-text-color']);
+                expect(bar.selectAll('rect.bar').size()).toBeGreaterThan(0);
+            });
+        });
+    });
+});
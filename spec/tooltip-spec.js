@@ -0,0 +1,209 @@
+/* global appendChartID, loadDateFixture */
+describe('dc.Tooltip', () => {
+    let data, valueDimension, valueGroup;
+
+    beforeEach(() => {
+        data = crossfilter(loadDateFixture());
+        valueDimension = data.dimension(d => +d.value);
+        valueGroup = valueDimension.group();
+    });
+
+    afterEach(() => {
+        d3.select('div.dc-tooltip').remove();
+        dc.config.clearChartGroup('tooltip-config');
+    });
+
+    const tooltipDiv = () => d3.select('div.dc-tooltip');
+
+    const pointAt = (node, type) => {
+        node.dispatchEvent(new MouseEvent(type || 'mousemove', {bubbles: true, clientX: 50, clientY: 40}));
+    };
+
+    const buildBarChart = id => {
+        appendChartID(id);
+        return new dc.BarChart(`#${id}`)
+            .width(300)
+            .height(150)
+            .dimension(valueDimension)
+            .group(valueGroup, 'count')
+            .x(d3.scaleLinear().domain([20, 70]))
+            .transitionDuration(0);
+    };
+
+    describe('attached to a bar chart', () => {
+        let chart, tooltip;
+
+        beforeEach(() => {
+            tooltip = new dc.Tooltip();
+            chart = buildBarChart('tooltip-bar-chart').tooltip(tooltip);
+            chart.render();
+        });
+
+        it('should be the tooltip of the chart', () => {
+            expect(chart.tooltip()).toBe(tooltip);
+            expect(tooltip.parent()).toBe(chart);
+        });
+
+        it('should replace the title elements', () => {
+            expect(chart.selectAll('rect.bar title').empty()).toBeTruthy();
+            expect(buildBarChart('tooltip-no-tooltip').render().selectAll('rect.bar title').size()).toBe(5);
+        });
+
+        it('should show the title of the hovered element', () => {
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().style('display')).not.toBe('none');
+            expect(tooltipDiv().html()).toBe('22: 2');
+            expect(tooltipDiv().attr('role')).toBe('tooltip');
+        });
+
+        it('should follow the pointer', () => {
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().style('left')).toBe(`${window.pageXOffset + 50 + 12}px`);
+            expect(tooltipDiv().style('top')).toBe(`${window.pageYOffset + 40 + 12}px`);
+        });
+
+        it('should hide when the pointer leaves the element', () => {
+            pointAt(chart.select('rect.bar').node());
+            pointAt(chart.select('g.axis').node());
+            expect(tooltipDiv().style('display')).toBe('none');
+            pointAt(chart.select('rect.bar').node());
+            chart.root().node().dispatchEvent(new MouseEvent('mouseleave'));
+            expect(tooltipDiv().style('display')).toBe('none');
+        });
+
+        it('should escape titles and keep their line breaks', () => {
+            chart.title(d => `<${d.key}>\n${d.value}`).render();
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().html()).toBe('&lt;22&gt;<br>2');
+        });
+
+        it('should fill the template with the hovered item', () => {
+            const template = jasmine.createSpy('template').and.returnValue('<b>bar</b>');
+            tooltip.template(template);
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().html()).toBe('<b>bar</b>');
+            const item = template.calls.mostRecent().args[0][0];
+            expect(item.chart).toBe(chart);
+            expect(item.data).toEqual({key: 22, value: 2});
+            expect(item.key).toBe(22);
+            expect(item.title).toBe('22: 2');
+            expect(item.name).toBe('count');
+        });
+
+        it('should be shown for the focused element', () => {
+            const bar = chart.select('rect.bar').node();
+            bar.dispatchEvent(new FocusEvent('focusin', {bubbles: true}));
+            expect(tooltipDiv().style('display')).not.toBe('none');
+            expect(bar.getAttribute('aria-describedby')).toBe('dc-tooltip');
+            bar.dispatchEvent(new FocusEvent('focusout', {bubbles: true}));
+            expect(tooltipDiv().style('display')).toBe('none');
+            expect(bar.getAttribute('aria-describedby')).toBeNull();
+        });
+
+        it('should be shown when an element is tapped and hidden by taps elsewhere', () => {
+            chart.select('rect.bar').node().dispatchEvent(new Event('touchstart', {bubbles: true}));
+            expect(tooltipDiv().style('display')).not.toBe('none');
+            document.body.dispatchEvent(new Event('touchstart', {bubbles: true}));
+            expect(tooltipDiv().style('display')).toBe('none');
+        });
+
+        it('should stop showing once disposed', () => {
+            const bar = chart.select('rect.bar').node();
+            chart.dispose();
+            pointAt(bar);
+            expect(tooltipDiv().empty() || tooltipDiv().style('display') === 'none').toBeTruthy();
+            expect(tooltip.parent()).toBeUndefined();
+        });
+    });
+
+    describe('in shared mode', () => {
+        it('should list every stack at the hovered key', () => {
+            const chart = buildBarChart('tooltip-stacked-chart')
+                .stack(valueDimension.group().reduceSum(d => d.id), 'ids')
+                .tooltip(new dc.Tooltip().shared(true));
+            chart.render();
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().select('.dc-tooltip-key').text()).toBe('22');
+            const items = tooltipDiv().selectAll('.dc-tooltip-item').nodes().map(node => node.textContent);
+            expect(items).toEqual(['count: 22: 2', 'ids: 22: 9']);
+            expect(tooltipDiv().selectAll('.dc-tooltip-swatch').size()).toBe(2);
+        });
+
+        it('should only build the items at the hovered key', () => {
+            const title = jasmine.createSpy('title').and.returnValue('title');
+            const chart = buildBarChart('tooltip-keyed-chart')
+                .stack(valueDimension.group().reduceSum(d => d.id), 'ids')
+                .title(title)
+                .tooltip(new dc.Tooltip().shared(true));
+            chart.render();
+            title.calls.reset();
+            pointAt(chart.select('rect.bar').node());
+            expect(title.calls.allArgs().map(args => args[0].key)).toEqual([22, 22, 22]);
+        });
+
+        it('should follow the elements through a redraw', () => {
+            const chart = buildBarChart('tooltip-redrawn-chart')
+                .stack(valueDimension.group().reduceSum(d => d.id), 'ids')
+                .tooltip(new dc.Tooltip().shared(true));
+            chart.render();
+            chart.group(valueDimension.group().reduceSum(d => 10 * d.id), 'tens').redraw();
+            pointAt(chart.select('rect.bar').node());
+            const items = tooltipDiv().selectAll('.dc-tooltip-item').nodes().map(node => node.textContent);
+            expect(items).toEqual(['tens: 22: 90', 'ids: 22: 9']);
+        });
+
+        it('should print the key with the configuration of the chart', () => {
+            dc.config.chartGroup('tooltip-config').dateFormat = d3.utcFormat('%Y-%m-%d');
+            const dayDimension = data.dimension(d => d3.utcDay(new Date(d.date)));
+            appendChartID('tooltip-date-chart');
+            const chart = new dc.BarChart('#tooltip-date-chart', 'tooltip-config')
+                .width(300)
+                .height(150)
+                .dimension(dayDimension)
+                .group(dayDimension.group(), 'count')
+                .stack(dayDimension.group().reduceSum(d => d.id), 'ids')
+                .x(d3.scaleTime().domain([new Date(Date.UTC(2012, 4, 20)), new Date(Date.UTC(2013, 0, 1))]))
+                .transitionDuration(0)
+                .tooltip(new dc.Tooltip().shared(true));
+            chart.render();
+            pointAt(chart.select('rect.bar').node());
+            expect(tooltipDiv().select('.dc-tooltip-key').text()).toBe('2012-05-25');
+        });
+
+        it('should list every child of a composite chart', () => {
+            appendChartID('tooltip-composite-chart');
+            const chart = new dc.CompositeChart('#tooltip-composite-chart')
+                .width(300)
+                .height(150)
+                .dimension(valueDimension)
+                .x(d3.scaleLinear().domain([20, 70]))
+                .brushOn(false)
+                .transitionDuration(0)
+                .tooltip(new dc.Tooltip().shared(true));
+            chart.compose([
+                new dc.BarChart(chart).group(valueGroup, 'bars'),
+                new dc.LineChart(chart).group(valueDimension.group().reduceSum(d => d.id), 'ids')
+            ]);
+            chart.render();
+            expect(chart.selectAll('title').empty()).toBeTruthy();
+            pointAt(chart.select('circle.dot').node());
+            const items = tooltipDiv().selectAll('.dc-tooltip-item').nodes().map(node => node.textContent);
+            expect(items).toEqual(['bars: 22: 2', 'ids: 22: 9']);
+        });
+    });
+
+    describe('attached to a pie chart', () => {
+        it('should show the title of the slice', () => {
+            appendChartID('tooltip-pie-chart');
+            const stateDimension = data.dimension(d => d.state);
+            const chart = new dc.PieChart('#tooltip-pie-chart')
+                .dimension(stateDimension)
+                .group(stateDimension.group())
+                .transitionDuration(0)
+                .tooltip(new dc.Tooltip());
+            chart.render();
+            pointAt(chart.select('g.pie-slice path').node());
+            expect(tooltipDiv().html()).toBe('California: 3');
+        });
+    });
+});
@@ -37,6 +37,12 @@ describe('dc utils', () => {
         it('print date range', () => {
             expect(printer([makeDate(2012, 1, 1), makeDate(2012, 1, 15)])).toEqual('[02/01/2012 -> 02/15/2012]');
         });
+        it('print date with the date format of the given configuration', () => {
+            const groupConfig = dc.config.chartGroup('printer-group');
+            groupConfig.dateFormat = d3.utcFormat('%Y-%m-%d');
+            expect(printer(makeDate(2012, 1, 1), groupConfig)).toEqual('2012-02-01');
+            dc.config.clearChartGroup('printer-group');
+        });
         it('print single element array', () => {
             expect(printer([makeDate(2012, 1, 1)])).toEqual('02/01/2012');
         });
@@ -49,6 +55,23 @@ describe('dc utils', () => {
         it('print a multi-element array', () => {
             expect(printer(['this', 'that', 'and', 'the', 'other'])).toEqual('[this -> that -> and -> the -> other]');
         });
+        it('print set filters', () => {
+            expect(printer(dc.filters.InFilter(['a', makeDate(2012, 1, 1)]))).toEqual('in (a, 02/01/2012)');
+            expect(printer(dc.filters.NotInFilter(['a', 'b']))).toEqual('not in (a, b)');
+        });
+        it('print compound filters', () => {
+            const filter = dc.filters.Or(dc.filters.And(dc.filters.RangedFilter(0, 100), dc.filters.NotInFilter([50])), 'a');
+            expect(printer(filter)).toEqual('([0 -> 100) and not in (50)) or a');
+        });
+        it('print ranged filters in interval notation', () => {
+            expect(printer(dc.filters.RangedFilter(10, 30))).toEqual('[10 -> 30)');
+            expect(printer(dc.filters.RangedFilter(10, 30, '[]'))).toEqual('[10 -> 30]');
+            expect(printer(dc.filters.RangedFilter(10, 30, '()'))).toEqual('(10 -> 30)');
+            expect(printer(dc.filters.RangedTwoDimensionalFilter([[1, 2], [3, 4]], '(]'))).toEqual('(1,2 -> 3,4]');
+        });
+        it('print negated range', () => {
+            expect(printer(dc.filters.NotRangedFilter(10, 30))).toEqual('not [10 -> 30)');
+        });
     });
 
     describe('dc.utils.nameToId', () => {
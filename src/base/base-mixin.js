@@ -4,14 +4,23 @@ import {ascending} from 'd3-array';
 
 import {pluck, utils} from '../core/utils';
 import {instanceOfChart} from '../core/core';
-import {deregisterChart, redrawAll, registerChart, renderAll} from '../core/chart-registry';
+import {chartRegistry, deregisterChart, redrawAll, registerChart, renderAll} from '../core/chart-registry';
+import {config} from '../core/config';
 import {constants} from '../core/constants';
 import {events} from '../core/events';
 import {logger} from '../core/logger';
 import {printers} from '../core/printers';
+import {redrawScheduler} from '../core/redraw-scheduler';
+import {themes} from '../core/themes';
 import {InvalidStateException} from '../core/invalid-state-exception';
 import {BadArgumentException} from '../core/bad-argument-exception';
 import {adaptHandler} from '../core/d3compat';
+import {filters as dcFilters} from '../core/filters';
+import {exportRows} from '../core/data-export';
+import {rasterizeSvg, serializeSvg} from '../core/svg-export';
+import {removeAccessibleFallback, renderAccessibleFallback} from '../core/accessible-fallback';
+
+const isHalfOpen = range => !range.bounds || range.bounds === '[)';
 
 const _defaultFilterHandler = (dimension, filters) => {
     if (filters.length === 0) {
@@ -19,10 +28,11 @@ const _defaultFilterHandler = (dimension, filters) => {
     } else if (filters.length === 1 && !filters[0].isFiltered) {
         // single value and not a function-based filter
         dimension.filterExact(filters[0]);
-    } else if (filters.length === 1 && filters[0].filterType === 'RangedFilter') {
-        // single range-based filter
+    } else if (filters.length === 1 && filters[0].filterType === 'RangedFilter' && isHalfOpen(filters[0])) {
+        // single range-based filter, with the bounds crossfilter uses
         dimension.filterRange(filters[0]);
     } else {
+        // values and filter objects, including compound filters, are combined into one filter function
         dimension.filterFunction(d => {
             for (let i = 0; i < filters.length; i++) {
                 const filter = filters[i];
@@ -40,16 +50,46 @@ const _defaultFilterHandler = (dimension, filters) => {
     return filters;
 };
 
+// a key is "in" a set filter if the filter accepts it, so that charts highlight the keys accordingly,
+// and removing the key changes the set so that it no longer accepts the key
+const SET_FILTER_TYPES = ['InFilter', 'NotInFilter'];
+
+const isSetFilterOf = (f, key) => SET_FILTER_TYPES.indexOf(f.filterType) !== -1 && !key.isFiltered;
+
+// the set filter without the key, or null if the set accepts nothing else
+const removeFromSet = (f, key) => {
+    if (f.filterType === 'NotInFilter') {
+        return dcFilters.NotInFilter(f.concat([key]));
+    }
+    const rest = f.filter(v => v.isFiltered ? !v.isFiltered(key) : !(v <= key && v >= key));
+    return rest.length ? dcFilters.InFilter(rest) : null;
+};
+
 const _defaultHasFilterHandler = (filters, filter) => {
     if (filter === null || typeof (filter) === 'undefined') {
         return filters.length > 0;
     }
-    return filters.some(f => filter <= f && filter >= f);
+    return filters.some(f => {
+        if (isSetFilterOf(f, filter)) {
+            return f.isFiltered(filter);
+        }
+        return filter <= f && filter >= f;
+    });
 };
 
 const _defaultRemoveFilterHandler = (filters, filter) => {
     for (let i = 0; i < filters.length; i++) {
-        if (filters[i] <= filter && filters[i] >= filter) {
+        if (isSetFilterOf(filters[i], filter)) {
+            if (filters[i].isFiltered(filter)) {
+                const rest = removeFromSet(filters[i], filter);
+                if (rest) {
+                    filters[i] = rest;
+                } else {
+                    filters.splice(i, 1);
+                }
+                break;
+            }
+        } else if (filters[i] <= filter && filters[i] >= filter) {
             filters.splice(i, 1);
             break;
         }
@@ -64,6 +104,37 @@ const _defaultAddFilterHandler = (filters, filter) => {
 
 const _defaultResetFilterHandler = filters => [];
 
+const CHART_EVENTS = [
+    'preRender',
+    'postRender',
+    'preRedraw',
+    'postRedraw',
+    'filtered',
+    'zoomed',
+    'renderlet',
+    'pretransition',
+    'drillDown',
+    'drillUp'
+];
+
+const SELECTION_MODES = ['multi', 'single', 'replace-on-click-multi-on-shift'];
+
+// the settings a drill-down level can change, if the chart has them
+const DRILL_SETTINGS = ['keyAccessor', 'valueAccessor', 'ordering', 'x', 'xUnits'];
+
+// keys compared by value, so that dates can be looked up in sets
+const keyValue = key => key === null || key === undefined ? key : key.valueOf();
+
+// the moves of the keyboard focus between the data elements of a chart, by key
+const FOCUS_MOVES = {
+    ArrowRight: 1,
+    ArrowDown: 1,
+    ArrowLeft: -1,
+    ArrowUp: -1,
+    Home: -Infinity,
+    End: Infinity
+};
+
 /**
  * `BaseMixin` is an abstract functional object representing a basic `dc` chart object
  * for all chart and widget implementations. Methods from the {@link #BaseMixin BaseMixin} are inherited
@@ -75,6 +146,8 @@ export class BaseMixin {
         this.__dcFlag__ = utils.uniqueId();
         this._svgDescription = null
         this._keyboardAccessible = false;
+        this._accessibleTable = false;
+        this._autoSummary = false;
 
         this._dimension = undefined;
         this._group = undefined;
@@ -100,6 +173,10 @@ export class BaseMixin {
         this._width = undefined;
         this._height = undefined;
         this._useViewBoxResizing = false;
+        this._autoResize = false;
+        this._autoResizeDelay = 100;
+        this._resizeObserver = null;
+        this._resizeTimer = null;
 
         this._keyAccessor = pluck('key');
         this._valueAccessor = pluck('value');
@@ -123,23 +200,31 @@ export class BaseMixin {
 
         this._chartGroup = constants.DEFAULT_CHART_GROUP;
 
-        this._listeners = dispatch(
-            'preRender',
-            'postRender',
-            'preRedraw',
-            'postRedraw',
-            'filtered',
-            'zoomed',
-            'renderlet',
-            'pretransition');
+        this._listeners = dispatch(...CHART_EVENTS);
 
         this._legend = undefined;
+        this._tooltip = undefined;
+        this._themeApplied = false;
         this._commitHandler = undefined;
 
+        this._transitioning = false;
+        this._settleCallbacks = [];
+        this._disposed = false;
+
         this._defaultData = group => group.all();
         this._data = this._defaultData;
 
         this._filters = [];
+        this._excludeMode = false;
+        this._selectionMode = 'multi';
+        this._maxSelections = undefined;
+        this._hoverPreview = false;
+        this._previewed = undefined;
+        this._drillLevels = undefined;
+        this._drillPath = [];
+        this._drillDefaults = {};
+        this._drillFilter = true;
+        this._drillBreadcrumbs = false;
 
         this._filterHandler = _defaultFilterHandler;
         this._hasFilterHandler = _defaultHasFilterHandler;
@@ -270,6 +355,92 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * Turn on/off following the size of the anchor element. When enabled, the anchor is observed with a
+     * [ResizeObserver](https://developer.mozilla.org/en-US/docs/Web/API/ResizeObserver); when its size
+     * changes, the {@link BaseMixin#width width} and {@link BaseMixin#height height} are calculated
+     * again, respecting {@link BaseMixin#minWidth minWidth} and {@link BaseMixin#minHeight minHeight},
+     * and the chart is rescaled and redrawn without transitions. This also draws charts at their proper
+     * size which were rendered inside of hidden elements, e.g. tabs, once these are shown.
+     *
+     * Only sizes which are calculated are followed; a fixed width or height stays as it is. Resizing
+     * takes effect once the chart has been rendered.
+     * @example
+     * chart.width(null).height(null).autoResize(true);
+     * @param {Boolean} [autoResize=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    autoResize (autoResize) {
+        if (!arguments.length) {
+            return this._autoResize;
+        }
+        this._autoResize = autoResize;
+        this._observeResizing();
+        return this;
+    }
+
+    /**
+     * Set or get the number of milliseconds to wait for the size of the anchor to settle before
+     * {@link BaseMixin#autoResize resizing} the chart.
+     * @param {Number} [autoResizeDelay=100]
+     * @returns {Number|BaseMixin}
+     */
+    autoResizeDelay (autoResizeDelay) {
+        if (!arguments.length) {
+            return this._autoResizeDelay;
+        }
+        this._autoResizeDelay = autoResizeDelay;
+        return this;
+    }
+
+    _observeResizing () {
+        this._unobserveResizing();
+        if (!this._autoResize || this._isChild || !this._root) {
+            return;
+        }
+        if (typeof ResizeObserver !== 'function') {
+            logger.warnOnce('autoResize needs ResizeObserver, which is not supported here', {chart: this, event: 'autoResize'});
+            return;
+        }
+        this._resizeObserver = new ResizeObserver(() => {
+            clearTimeout(this._resizeTimer);
+            this._resizeTimer = setTimeout(() => {
+                this._resizeTimer = null;
+                this._autoResized();
+            }, this._autoResizeDelay);
+        });
+        this._resizeObserver.observe(this._root.node());
+    }
+
+    _unobserveResizing () {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        clearTimeout(this._resizeTimer);
+        this._resizeTimer = null;
+    }
+
+    _autoResized () {
+        if (!this._svg || !this._resize()) {
+            return;
+        }
+        if (this.rescale) {
+            this.rescale();
+        }
+        const transitionDuration = this.transitionDuration();
+        this.transitionDuration(0);
+        this.redraw();
+        this.transitionDuration(transitionDuration);
+    }
+
+    // calculate the size again; returns true if it has changed
+    _resize () {
+        const width = this.width(), height = this.height();
+        this._width = this._height = undefined;
+        return this.width() !== width || this.height() !== height;
+    }
+
     /**
      * **mandatory**
      *
@@ -373,10 +544,14 @@ export class BaseMixin {
 
     /**
      * Clear all filters associated with this chart. The same effect can be achieved by calling
-     * {@link BaseMixin#filter chart.filter(null)}.
+     * {@link BaseMixin#filter chart.filter(null)}, except that a chart which has
+     * {@link BaseMixin#drillDown drilled} into a key also drills back up to its first level.
      * @returns {BaseMixin}
      */
     filterAll () {
+        if (this.drillLevel()) {
+            return this.drillTo(0);
+        }
         return this.filter(null);
     }
 
@@ -448,6 +623,11 @@ export class BaseMixin {
             throw new BadArgumentException('parent must be defined');
         }
         this._chartGroup = chartGroup;
+        this._observeResizing();
+        if (!this._themeApplied) {
+            this._themeApplied = true;
+            themes.apply(this, this.chartConfig().theme());
+        }
         return this;
     }
 
@@ -541,6 +721,71 @@ export class BaseMixin {
         return this._svg;
     }
 
+    /**
+     * Export the chart as it is currently drawn as a self-contained SVG document, e.g. for downloading.
+     * The styles which apply to the elements, such as the rules of dc.css, are inlined, and the
+     * {@link Legend legend} is included.
+     *
+     * The options are:
+     * - `stripBrush`: leave out the brush. Defaults to `true`.
+     * - `inlineStyles`: copy the computed styles of the elements into their `style` attributes. Defaults
+     * to `true`.
+     * - `css`: a style sheet to embed in the SVG.
+     * @example
+     * var blob = new Blob([chart.toSVG()], {type: 'image/svg+xml'});
+     * link.href = URL.createObjectURL(blob);
+     * @see {@link chartGroupToSVG chartGroupToSVG}
+     * @param {{stripBrush: Boolean, inlineStyles: Boolean, css: String}} [options]
+     * @returns {String}
+     */
+    toSVG (options) {
+        return serializeSvg(this, options);
+    }
+
+    /**
+     * Export the chart as it is currently drawn as a PNG image, by drawing the {@link BaseMixin#toSVG SVG}
+     * onto a canvas. Besides the options of {@link BaseMixin#toSVG toSVG}, `scale` gives the number of
+     * pixels per unit of the chart, e.g. 2 for high resolution screens. Defaults to 1.
+     * @example
+     * chart.toPNG({scale: 2}).then(function (blob) {
+     *     link.href = URL.createObjectURL(blob);
+     * });
+     * @see {@link chartGroupToPNG chartGroupToPNG}
+     * @param {{scale: Number, stripBrush: Boolean, inlineStyles: Boolean, css: String}} [options]
+     * @returns {Promise<Blob>}
+     */
+    toPNG (options) {
+        return rasterizeSvg(this.toSVG(options), this.width(), this.height(), options && options.scale);
+    }
+
+    // called with the copy of the SVGElement being exported, for charts which draw outside of it
+    _prepareExport (svg) {
+    }
+
+    /**
+     * Export the data the chart shows, e.g. for downloading, as CSV, TSV or JSON. The rows are what is
+     * drawn: for charts based on a group, the keys and values after {@link CapMixin capping}, with a
+     * column for each visible {@link StackMixin#stack stack} or {@link SeriesChart series}; for the
+     * {@link DataTable DataTable}, the rows and {@link DataTable#columns columns} of the table.
+     *
+     * The options are:
+     * - `format`: one of `'csv'`, `'tsv'` and `'json'`. Defaults to `'csv'`.
+     * - `blob`: return a `Blob` of the matching type instead of a string. Defaults to `false`.
+     * @example
+     * var blob = chart.exportData({format: 'csv', blob: true});
+     * link.href = URL.createObjectURL(blob);
+     * @param {{format: String, blob: Boolean}} [options]
+     * @returns {String|Blob}
+     */
+    exportData (options) {
+        return exportRows(this._exportRows(), options);
+    }
+
+    // the rows of the exported data, as objects from column names to values
+    _exportRows () {
+        return this.data().map(d => ({key: this.keyAccessor()(d), value: this.valueAccessor()(d)}));
+    }
+
     /**
      * Set or get description text for the entire SVG graphic. If set, will create a `<desc>` element as the first
      * child of the SVG with the description text and also make the SVG focusable from keyboard.
@@ -556,9 +801,59 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * If set, a visually hidden table of the data the chart shows is rendered after the SVG, for screen
+     * readers. It has the same rows as {@link BaseMixin#exportData exportData}: the keys and values after
+     * {@link CapMixin capping}, with a column for each visible {@link StackMixin#stack stack}, and while the
+     * chart is filtered a column marking the selected keys. The table is updated on every redraw and sits
+     * in an `aria-live` region, so that screen readers announce the changes.
+     * @see {@link BaseMixin#autoSummary autoSummary}
+     * @param {Boolean} [accessibleTable=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    accessibleTable (accessibleTable) {
+        if (!arguments.length) {
+            return this._accessibleTable;
+        }
+        this._accessibleTable = accessibleTable;
+        return this;
+    }
+
+    /**
+     * If set, a visually hidden summary of the data the chart shows is written after the SVG, for screen
+     * readers: the number of items, the lowest and highest value and the total, the trend from the first
+     * to the last value if the keys are dates, and the current filters as printed by the
+     * {@link BaseMixin#filterPrinter filter printer}. Like the {@link BaseMixin#accessibleTable accessible
+     * table}, it is updated on every redraw in an `aria-live` region. The sentences are the `summary`
+     * strings of the {@link locales locale}.
+     * @example
+     * chart.autoSummary(true);
+     * // "5 items. The values range from 1 (66) to 3 (44), with a total of 10. Filtered to [44]."
+     * @param {Boolean} [autoSummary=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    autoSummary (autoSummary) {
+        if (!arguments.length) {
+            return this._autoSummary;
+        }
+        this._autoSummary = autoSummary;
+        return this;
+    }
+
+    _renderAccessibleFallback () {
+        if (this._svg && !this._isChild) {
+            renderAccessibleFallback(this, {table: this._accessibleTable, summary: this._autoSummary});
+        }
+    }
+
     /**
      * If set, interactive chart elements like individual bars in a bar chart or symbols in a scatter plot
      * will be focusable from keyboard and on pressing Enter or Space will behave as if clicked on.
+     *
+     * The elements make up a single tab stop: the arrow keys move the focus to the next or previous
+     * element, and Home and End to the first or last one. The brush of a
+     * {@link CoordinateGridMixin coordinate grid chart} is a tab stop of its own: the left and right
+     * arrow keys move the selection, with Shift they resize it, and Escape clears it.
      * 
      * If `svgDescription` has not been explicitly set, will also set SVG description text to the class
      * constructor name, like BarChart or HeatMap, and make the entire SVG focusable.
@@ -590,6 +885,8 @@ export class BaseMixin {
      *   return 'start ' + utils.printSingleValue(filters[0][0]) +
      *     ' extent ' + utils.printSingleValue(filters[0][1] - filters[0][0]);
      * });
+     * The function is called with the filters of the chart and the
+     * {@link BaseMixin#chartConfig configuration of the chart}.
      * @param {Function} [filterPrinterFunction=printers.filters]
      * @returns {Function|BaseMixin}
      */
@@ -624,13 +921,16 @@ export class BaseMixin {
      * * root.selectAll('.filter') elements are turned on if the chart has an active filter. The text
      * content of this element is then replaced with the current filter value using the filter printer
      * function. This type of element will be turned off automatically if the filter is cleared.
+     *
+     * A chart that has {@link BaseMixin#drillDown drilled} into a key counts as filtered, and its
+     * `.filter` text starts with the keys drilled into.
      * @returns {BaseMixin}
      */
     turnOnControls () {
         if (this._root) {
             const attribute = this.controlsUseVisibility() ? 'visibility' : 'display';
             this.selectAll('.reset').style(attribute, null);
-            this.selectAll('.filter').text(this._filterPrinter(this.filters())).style(attribute, null);
+            this.selectAll('.filter').text(this._printFilters()).style(attribute, null);
         }
         return this;
     }
@@ -652,12 +952,15 @@ export class BaseMixin {
 
     /**
      * Set or get the animation transition duration (in milliseconds) for this chart instance.
+     *
+     * Returns 0 while transitions are disabled in the {@link BaseMixin#chartConfig configuration}
+     * of the chart.
      * @param {Number} [duration=750]
      * @returns {Number|BaseMixin}
      */
     transitionDuration (duration) {
         if (!arguments.length) {
-            return this._transitionDuration;
+            return this.chartConfig().disableTransitions ? 0 : this._transitionDuration;
         }
         this._transitionDuration = duration;
         return this;
@@ -686,7 +989,9 @@ export class BaseMixin {
 
     checkForMandatoryAttributes (a) {
         if (!this[a] || !this[a]()) {
-            throw new InvalidStateException(`Mandatory attribute chart.${a} is missing on chart[#${this.anchorName()}]`);
+            const message = `Mandatory attribute chart.${a} is missing on chart[#${this.anchorName()}]`;
+            logger.error(message, {chart: this, event: 'render', attribute: a});
+            throw new InvalidStateException(message);
         }
     }
 
@@ -711,6 +1016,13 @@ export class BaseMixin {
             this._legend.render();
         }
 
+        if (this._tooltip && !this._isChild) {
+            this._tooltip.render();
+        }
+
+        this._bindPreview();
+        this._renderBreadcrumbs();
+        this._renderAccessibleFallback();
         this._activateRenderlets('postRender');
 
         return result;
@@ -718,44 +1030,100 @@ export class BaseMixin {
 
     _makeKeyboardAccessible (onClickFunction, ...onClickArgs) {
         // called from each chart module's render and redraw methods
-        const tabElements = this._svg
-            .selectAll('.dc-tabbable')
-            .attr('tabindex', 0);
-                
-        if (onClickFunction) {
-            tabElements.on('keydown', adaptHandler((d, event) => {
-                // trigger only if d is an object undestood by KeyAccessor()
-                if (event.keyCode === 13 && typeof d === 'object') {
-                    onClickFunction.call(this, d, ...onClickArgs)
-                } 
-                // special case for space key press - prevent scrolling
-                if (event.keyCode === 32 && typeof d === 'object') {
-                    onClickFunction.call(this, d, ...onClickArgs)
-                    event.preventDefault();                
-                }
-            
-            }));
+        const tabElements = this._svg.selectAll('.dc-tabbable');
+
+        // roving tabindex: only one element is a tab stop, the arrow keys move it between the elements
+        const tabStop = tabElements.filter(function () {
+            return this.getAttribute('tabindex') === '0';
+        }).node() || tabElements.node();
+        tabElements.attr('tabindex', function () {
+            return this === tabStop ? 0 : -1;
+        });
+
+        tabElements.on('keydown', adaptHandler((d, event) => {
+            if (this._moveFocus(event)) {
+                return;
+            }
+            // trigger only if d is an object undestood by KeyAccessor()
+            if (onClickFunction && event.keyCode === 13 && typeof d === 'object') {
+                onClickFunction.call(this, d, ...onClickArgs, event)
+            }
+            // special case for space key press - prevent scrolling
+            if (onClickFunction && event.keyCode === 32 && typeof d === 'object') {
+                onClickFunction.call(this, d, ...onClickArgs, event)
+                event.preventDefault();
+            }
+        }));
+    }
+
+    // move the tab stop to the next or previous element, or to the first or last one; returns whether the
+    // key was one moving the focus
+    _moveFocus (event) {
+        const move = FOCUS_MOVES[event.key];
+        if (move === undefined) {
+            return false;
         }
+        const tabElements = this._svg.selectAll('.dc-tabbable');
+        const nodes = tabElements.nodes();
+        const index = Math.max(0, Math.min(nodes.length - 1, nodes.indexOf(event.currentTarget) + move));
+        tabElements.attr('tabindex', (d, i) => i === index ? 0 : -1);
+        nodes[index].focus();
+        event.preventDefault();
+        return true;
     }
 
     _activateRenderlets (event) {
         this._listeners.call('pretransition', this, this);
         if (this.transitionDuration() > 0 && this._svg) {
+            this._transitioning = true;
             this._svg.transition().duration(this.transitionDuration()).delay(this.transitionDelay())
                 .on('end', () => {
                     this._listeners.call('renderlet', this, this);
                     if (event) {
                         this._listeners.call(event, this, this);
                     }
+                    this._settle();
                 });
         } else {
             this._listeners.call('renderlet', this, this);
             if (event) {
                 this._listeners.call(event, this, this);
             }
+            this._settle();
         }
     }
 
+    _settle () {
+        this._transitioning = false;
+        const callbacks = this._settleCallbacks;
+        this._settleCallbacks = [];
+        callbacks.forEach(callback => callback(this));
+    }
+
+    /**
+     * Returns a promise which resolves to the chart once the transitions of its latest render or
+     * redraw have finished, i.e. when the DOM has settled and the `renderlet` listeners have been
+     * invoked. If the chart is not transitioning, the promise resolves immediately.
+     *
+     * If another redraw starts before the transitions finish, the promise resolves once the
+     * transitions of that redraw have finished.
+     * @example
+     * chart.render();
+     * chart.settled().then(function (chart) {
+     *     exportImage(chart.svg());
+     * });
+     * @returns {Promise<BaseMixin>}
+     */
+    settled () {
+        return new Promise(resolve => {
+            if (this._transitioning) {
+                this._settleCallbacks.push(resolve);
+            } else {
+                resolve(this);
+            }
+        });
+    }
+
     /**
      * Calling redraw will cause the chart to re-render data changes incrementally. If there is no
      * change in the underlying data dimension then calling this method will have no effect on the
@@ -776,6 +1144,9 @@ export class BaseMixin {
             this._legend.render();
         }
 
+        this._bindPreview();
+        this._renderBreadcrumbs();
+        this._renderAccessibleFallback();
         this._activateRenderlets('postRedraw');
 
         return result;
@@ -810,7 +1181,7 @@ export class BaseMixin {
         if (this._commitHandler) {
             this._commitHandler(false, (error, result) => {
                 if (error) {
-                    console.log(error);
+                    logger.error('commitHandler failed', {chart: this, event: 'redrawGroup', error: error});
                 } else {
                     redrawAll(this.chartGroup());
                 }
@@ -821,6 +1192,27 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * Like {@link BaseMixin#redrawGroup redrawGroup}, but instead of redrawing right away the redraw
+     * is requested from the {@link RedrawScheduler redrawScheduler}, which merges it with other
+     * requests for the chart group. Use this for interactions which fire in rapid succession.
+     * @returns {BaseMixin}
+     */
+    scheduleRedrawGroup () {
+        if (this._commitHandler) {
+            this._commitHandler(false, (error, result) => {
+                if (error) {
+                    logger.error('commitHandler failed', {chart: this, event: 'scheduleRedrawGroup', error: error});
+                } else {
+                    redrawScheduler.requestRedraw(this.chartGroup());
+                }
+            });
+        } else {
+            redrawScheduler.requestRedraw(this.chartGroup());
+        }
+        return this;
+    }
+
     /**
      * Renders all charts in the same group as this chart. If the chart has a
      * {@link BaseMixin.commitFilter commitHandler}, it will be executed and waited for
@@ -830,7 +1222,7 @@ export class BaseMixin {
         if (this._commitHandler) {
             this._commitHandler(false, (error, result) => {
                 if (error) {
-                    console.log(error);
+                    logger.error('commitHandler failed', {chart: this, event: 'renderGroup', error: error});
                 } else {
                     renderAll(this.chartGroup());
                 }
@@ -841,9 +1233,62 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * Tear the chart down so that it can be garbage collected, e.g. when a single page application
+     * switches views. The chart is deregistered from its chart group, the DOM it created is removed,
+     * and its event listeners, its legend and its links to other charts are released.
+     *
+     * A disposed chart must not be used anymore. To tear down all charts of a chart group, use
+     * {@link disposeAll disposeAll}.
+     * @returns {BaseMixin}
+     */
+    dispose () {
+        if (this._disposed) {
+            return this;
+        }
+        this._disposed = true;
+
+        this._unobserveResizing();
+        if (!this._isChild) {
+            deregisterChart(this, this._chartGroup);
+        }
+        if (this._legend) {
+            this._legend.dispose();
+            this._legend = undefined;
+        }
+        if (this._tooltip && !this._isChild) {
+            this._tooltip.dispose();
+        }
+        this._tooltip = undefined;
+        if (!this._isChild && this._root) {
+            removeAccessibleFallback(this);
+            this._root.select('nav.dc-breadcrumbs').remove();
+        }
+        this._doDispose();
+        this._settle();
+        this._listeners = dispatch(...CHART_EVENTS);
+        this._svg = undefined;
+        this._root = undefined;
+        return this;
+    }
+
+    // Remove the DOM created by the chart. Override in charts which create more than their svg.
+    _doDispose () {
+        if (!this._isChild && this._root) {
+            if (this._svg) {
+                this._svg.remove();
+            }
+            this._root.classed(constants.CHART_CLASS, false);
+        }
+    }
+
     _invokeFilteredListener (f) {
         if (f !== undefined) {
             this._listeners.call('filtered', this, this, f);
+            if (!this._isChild) {
+                const chartGroup = this._chartGroup || constants.DEFAULT_CHART_GROUP;
+                chartRegistry._notify('filtered', chartGroup, this, this.filters(), chartGroup);
+            }
         }
     }
 
@@ -1006,6 +1451,43 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * Get or restore the filter state of the chart, an object holding the list of its `filters`, and
+     * the {@link BaseMixin#drillPath drillPath} if the chart has drilled into a key.
+     * Restoring replaces all filters of the chart at once, without redrawing it; this is how
+     * {@link restoreFilters restoreFilters} and {@link FilterHistory FilterHistory} put charts back.
+     * Restoring a different drill path re-renders the chart on its level, without firing the
+     * `drillDown` or `drillUp` events.
+     * @example
+     * var state = chart.filterState();
+     * // later
+     * chart.filterState(state).redrawGroup();
+     * @param {{filters: Array<*>, drillPath: Array<*>}} [state]
+     * @returns {{filters: Array<*>, drillPath: Array<*>}|BaseMixin}
+     */
+    filterState (state) {
+        if (!arguments.length) {
+            const current = {filters: this.filters().slice()};
+            if (this.drillLevel()) {
+                current.drillPath = this.drillPath();
+            }
+            return current;
+        }
+        const redrill = this._restoreDrillPath(state.drillPath || []);
+        const stateFilters = state.filters || [];
+        if (stateFilters.length === 0) {
+            this.replaceFilter(null);
+        } else if (stateFilters.length === 1) {
+            this.replaceFilter(stateFilters[0]);
+        } else {
+            this.replaceFilter([stateFilters]);
+        }
+        if (redrill && this._root) {
+            this.render();
+        }
+        return this;
+    }
+
     /**
      * Filter the chart by the given parameter, or return the current filter if no input parameter
      * is given.
@@ -1022,9 +1504,15 @@ export class BaseMixin {
      * {@link HeatMap heat map}
      *   * {@link filters.RangedTwoDimensionalFilter `filters.RangedTwoDimensionalFilter`}
      * for the {@link ScatterPlot scatter plot}
+     *   * {@link filters.InFilter `filters.InFilter`}, {@link filters.NotInFilter `filters.NotInFilter`}
+     * and {@link filters.NotRangedFilter `filters.NotRangedFilter`} for any chart
+     *   * compound {@link filters.And `filters.And`} and {@link filters.Or `filters.Or`} filters,
+     * which combine any of the above
      * * `null`: the filter will be reset using the
      * {@link BaseMixin#resetFilterHandler resetFilterHandler}
      *
+     * In {@link BaseMixin#excludeMode exclude mode}, single values toggle their exclusion instead.
+     *
      * Note that this is always a toggle (even when it doesn't make sense for the filter type). If
      * you wish to replace the current filter, either call `chart.filter(null)` first - or it's more
      * efficient to call {@link BaseMixin#replaceFilter `chart.replaceFilter(filter)`} instead.
@@ -1053,6 +1541,8 @@ export class BaseMixin {
      * // filter by range -- note the use of filters.RangedFilter, which is different
      * // from the syntax for filtering a crossfilter dimension directly, dimension.filter([15,20])
      * chart.filter(filters.RangedFilter(15,20));
+     * // filter by two ranges at once
+     * chart.filter(filters.Or(filters.RangedFilter(15,20), filters.RangedFilter(500, Infinity)));
      * @param {*} [filter]
      * @returns {BaseMixin}
      */
@@ -1064,25 +1554,17 @@ export class BaseMixin {
         if (filter instanceof Array && filter[0] instanceof Array && !filter.isFiltered) {
             // toggle each filter
             filter[0].forEach(f => {
-                if (this._hasFilterHandler(filters, f)) {
-                    filters = this._removeFilterHandler(filters, f);
-                } else {
-                    filters = this._addFilterHandler(filters, f);
-                }
+                filters = this._toggleFilter(filters, f);
             });
         } else if (filter === null) {
             filters = this._resetFilterHandler(filters);
         } else {
-            if (this._hasFilterHandler(filters, filter)) {
-                filters = this._removeFilterHandler(filters, filter);
-            } else {
-                filters = this._addFilterHandler(filters, filter);
-            }
+            filters = this._toggleFilter(filters, filter);
         }
         this._filters = this.applyFilters(filters);
         this._invokeFilteredListener(filter);
 
-        if (this._root !== null && this.hasFilter()) {
+        if (this._root !== null && (this.hasFilter() || this.drillLevel())) {
             this.turnOnControls();
         } else {
             this.turnOffControls();
@@ -1091,6 +1573,479 @@ export class BaseMixin {
         return this;
     }
 
+    _toggleFilter (filters, filter) {
+        if (this._excludeMode && !filter.isFiltered) {
+            return this._toggleExcluded(filters, filter);
+        }
+        if (this._hasFilterHandler(filters, filter)) {
+            return this._removeFilterHandler(filters, filter);
+        }
+        return this._addFilterHandler(filters, filter);
+    }
+
+    // in exclude mode the filters are a single NotInFilter holding the excluded keys
+    _toggleExcluded (filters, key) {
+        const excluded = filters.length === 1 && filters[0].filterType === 'NotInFilter' ? Array.from(filters[0]) : [];
+        const index = excluded.findIndex(k => k <= key && k >= key);
+        if (index === -1) {
+            excluded.push(key);
+        } else {
+            excluded.splice(index, 1);
+        }
+        filters = this._resetFilterHandler(filters);
+        return excluded.length ? this._addFilterHandler(filters, dcFilters.NotInFilter(excluded)) : filters;
+    }
+
+    /**
+     * Turn exclude mode on or off. In exclude mode, clicking an item of the chart, or calling
+     * {@link BaseMixin#filter filter} with a key, excludes that key instead of selecting it: the
+     * chart is filtered by a single {@link filters.NotInFilter NotInFilter} of the excluded keys.
+     * The highlighting is inverted accordingly: the excluded items are shown deselected and the
+     * others selected.
+     *
+     * Changing the mode does not change the current filters, so it is usually combined with
+     * `chart.filter(null)`.
+     * @example
+     * // clicking a slice hides it from the other charts
+     * pieChart.excludeMode(true);
+     * @param {Boolean} [excludeMode=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    excludeMode (excludeMode) {
+        if (!arguments.length) {
+            return this._excludeMode;
+        }
+        this._excludeMode = excludeMode;
+        return this;
+    }
+
+    /**
+     * Set or get how clicking the items of the chart changes the selection:
+     * - `'multi'`: each click adds the item to the selection or removes it, the default
+     * - `'single'`: a click selects only the item, or clears the selection if the item is the only one
+     * selected
+     * - `'replace-on-click-multi-on-shift'`: like `'single'`, but with the Shift, Ctrl or Cmd key
+     * pressed the click adds the item to the selection or removes it, like in `'multi'` mode
+     *
+     * The same applies to pressing Enter or Space on an item of a
+     * {@link BaseMixin#keyboardAccessible keyboard accessible} chart. The mode is honored by the charts
+     * whose items are selected by clicking: {@link BarChart BarChart} with an ordinal x axis,
+     * {@link PieChart PieChart}, {@link RowChart RowChart}, {@link HeatMap HeatMap},
+     * {@link SunburstChart SunburstChart}, {@link BubbleChart BubbleChart}, {@link BoxPlot BoxPlot} and
+     * {@link GeoChoroplethChart GeoChoroplethChart}. It does not apply in
+     * {@link BaseMixin#excludeMode exclude mode}.
+     * @example
+     * // select one bar at a time
+     * chart.selectionMode('single');
+     * @see {@link BaseMixin#maxSelections maxSelections}
+     * @param {String} [selectionMode='multi']
+     * @returns {String|BaseMixin}
+     */
+    selectionMode (selectionMode) {
+        if (!arguments.length) {
+            return this._selectionMode;
+        }
+        if (SELECTION_MODES.indexOf(selectionMode) === -1) {
+            throw new BadArgumentException(`selectionMode must be one of ${SELECTION_MODES.join(', ')}`);
+        }
+        this._selectionMode = selectionMode;
+        return this;
+    }
+
+    /**
+     * Set or get the maximum number of items which can be selected by clicking. When adding an item
+     * to the selection would exceed it, the items selected first are removed from the selection.
+     * By default there is no maximum.
+     * @example
+     * // compare at most three states
+     * chart.maxSelections(3);
+     * @param {Number} [maxSelections]
+     * @returns {Number|BaseMixin}
+     */
+    maxSelections (maxSelections) {
+        if (!arguments.length) {
+            return this._maxSelections;
+        }
+        this._maxSelections = maxSelections;
+        return this;
+    }
+
+    // whether a click with the given event adds to the selection or removes from it, rather than
+    // replacing it
+    _addsToSelection (event) {
+        if (this._selectionMode === 'multi') {
+            return true;
+        }
+        return this._selectionMode !== 'single' && !!event && !!(event.shiftKey || event.ctrlKey || event.metaKey);
+    }
+
+    // change the selection for a click on an item, which is selected by the given filters, according to
+    // the selection mode
+    _select (filters, event) {
+        const toggle = fs => this.filter(fs.length === 1 ? fs[0] : [fs]);
+        const selected = filters.every(f => this.hasFilter(f));
+        if (this._excludeMode) {
+            toggle(filters);
+        } else if (!this._addsToSelection(event)) {
+            if (selected && this._filters.length === filters.length) {
+                this.filter(null);
+            } else {
+                this._filters = this._resetFilterHandler(this._filters);
+                toggle(filters);
+            }
+        } else if (selected) {
+            toggle(filters);
+        } else {
+            const added = filters.filter(f => !this.hasFilter(f));
+            const kept = this._filters.slice();
+            while (this._maxSelections && kept.length && kept.length + added.length > this._maxSelections) {
+                kept.shift();
+            }
+            if (kept.length < this._filters.length) {
+                // evict and add in one go, so that the click only filters once
+                this.replaceFilter([kept.concat(added)]);
+            } else {
+                toggle(added);
+            }
+        }
+    }
+
+    /**
+     * Turn the hover preview on or off. While an item of the chart is hovered, the other charts of the
+     * chart group show which of their items the records of the hovered item fall into: those are
+     * highlighted and the others faded, with the same `selected` and `deselected` classes as when
+     * filtering. The chart is not filtered, no `filtered` events are triggered and nothing is redrawn;
+     * the preview is computed by filtering the dimension of the chart by the hovered key for a moment.
+     *
+     * Hovering previews, and the preview is shown in, the {@link BarChart BarChart},
+     * {@link PieChart PieChart}, {@link RowChart RowChart} and {@link BubbleChart BubbleChart}.
+     * @example
+     * // hovering a slice previews its records in the other charts
+     * pieChart.hoverPreview(true);
+     * @param {Boolean} [hoverPreview=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    hoverPreview (hoverPreview) {
+        if (!arguments.length) {
+            return this._hoverPreview;
+        }
+        this._hoverPreview = hoverPreview;
+        return this;
+    }
+
+    // the items of the chart taking part in the hover preview, as {items, record}, where record maps the
+    // datum of an item to the record of the group; override in charts which support it
+    _previewItems () {
+        return undefined;
+    }
+
+    _bindPreview () {
+        // the classes saved for the preview are stale after redrawing
+        this._previewed = undefined;
+        const preview = this._previewItems();
+        if (!preview) {
+            return;
+        }
+        if (this._hoverPreview) {
+            preview.items
+                .on('mouseenter.preview', adaptHandler(d => this._startPreview(preview.record(d))))
+                .on('mouseleave.preview', () => this._endPreview());
+        } else {
+            preview.items.on('.preview', null);
+        }
+    }
+
+    // preview the records with the key of the given record, or with the keys of an others record, in
+    // the other charts of the group
+    _startPreview (record) {
+        const dimension = this.dimension();
+        if (!dimension || !dimension.filterFunction) {
+            return;
+        }
+        const keys = record.others || [this.keyAccessor()(record)];
+        dimension.filterFunction(k => keys.some(key => k <= key && k >= key));
+        chartRegistry.list(this.chartGroup())
+            .filter(chart => chart !== this)
+            .forEach(chart => chart._preview());
+        this.applyFilters(this._filters);
+    }
+
+    _endPreview () {
+        chartRegistry.list(this.chartGroup()).forEach(chart => chart._unpreview());
+    }
+
+    // highlight the items which have values under the current filters of crossfilter, and fade the others
+    _preview () {
+        const preview = this._previewItems();
+        if (!preview || !this.group()) {
+            return;
+        }
+        const included = new Set();
+        this.group().all().forEach(d => {
+            if (this.valueAccessor()(d)) {
+                included.add(keyValue(this.keyAccessor()(d)));
+            }
+        });
+        const chart = this;
+        const previewed = this._previewed = this._previewed || new Map();
+        preview.items.each(function (d) {
+            const item = select(this);
+            if (!previewed.has(this)) {
+                previewed.set(this, [item.classed(constants.SELECTED_CLASS), item.classed(constants.DESELECTED_CLASS)]);
+            }
+            const record = preview.record(d);
+            const keys = record.others || [chart.keyAccessor()(record)];
+            if (keys.some(key => included.has(keyValue(key)))) {
+                chart.highlightSelected(this);
+            } else {
+                chart.fadeDeselected(this);
+            }
+        });
+    }
+
+    // restore the classes of the items from before the preview
+    _unpreview () {
+        if (this._previewed) {
+            this._previewed.forEach((classes, node) => {
+                select(node)
+                    .classed(constants.SELECTED_CLASS, classes[0])
+                    .classed(constants.DESELECTED_CLASS, classes[1]);
+            });
+            this._previewed = undefined;
+        }
+    }
+
+    /**
+     * Set or get the drill-down levels of the chart. Each level is an object with the `dimension` and
+     * `group` the chart shows on that level, and optionally the `name` of the group, a `keyAccessor`,
+     * `valueAccessor` and `ordering`, and for coordinate grid charts an `x` scale and `xUnits`; the
+     * settings a level leaves out are those the chart had when the levels were set. A `label` function
+     * formats the keys drilled into for the {@link BaseMixin#drillBreadcrumbs breadcrumbs}.
+     *
+     * Setting the levels shows the first level. Clicking an item drills into its key, showing the next
+     * level, and on the last level clicking filters as usual. With {@link BaseMixin#drillFilter drillFilter},
+     * the dimension of the level drilled from is filtered by the key, so that the next level shows only
+     * its records.
+     *
+     * The keys drilled into are part of the {@link BaseMixin#filterState filter state} of the chart: they
+     * are saved by {@link serializeFilters serializeFilters} and {@link FilterHistory FilterHistory},
+     * printed before the filters in the `.filter` element, and {@link BaseMixin#filterAll filterAll}
+     * drills back up to the first level. {@link BaseMixin#filters filters} holds only the filters of the
+     * current level.
+     *
+     * Drilling is supported by the charts whose clicks go through {@link BaseMixin#onClick onClick}:
+     * the {@link RowChart RowChart}, the {@link PieChart PieChart}, and the {@link BarChart BarChart} on
+     * levels with an ordinal `x` scale, since bar charts on continuous scales filter with the brush
+     * instead of clicks. Only the last level of a bar chart may use a continuous scale.
+     * The `drillDown` event is fired with the chart, the key and the new level after drilling into a key,
+     * and the `drillUp` event with the chart and the new level after drilling up.
+     * @example
+     * chart.x(d3.scaleBand())
+     *     .xUnits(dc.units.ordinal)
+     *     .drillDown([
+     *         {dimension: yearDimension, group: yearGroup, label: d3.timeFormat('%Y')},
+     *         {dimension: monthDimension, group: monthGroup, label: d3.timeFormat('%B')},
+     *         {dimension: dayDimension, group: dayGroup, x: d3.scaleTime(), xUnits: d3.timeDays}
+     *     ])
+     *     .drillBreadcrumbs(true);
+     * chart.on('drillDown', function (chart, key, level) {...});
+     * @param {Array<Object>} [levels]
+     * @returns {Array<Object>|BaseMixin}
+     */
+    drillDown (levels) {
+        if (!arguments.length) {
+            return this._drillLevels;
+        }
+        this._drillLevels = levels;
+        this._drillPath = [];
+        this._drillDefaults = {};
+        DRILL_SETTINGS.filter(setting => typeof this[setting] === 'function').forEach(setting => {
+            this._drillDefaults[setting] = this[setting]();
+        });
+        if (levels) {
+            this._applyDrillLevel();
+        }
+        return this;
+    }
+
+    /**
+     * Turn on/off filtering the dimension of the level drilled from by the key drilled into. On by default.
+     * @param {Boolean} [drillFilter=true]
+     * @returns {Boolean|BaseMixin}
+     */
+    drillFilter (drillFilter) {
+        if (!arguments.length) {
+            return this._drillFilter;
+        }
+        this._drillFilter = drillFilter;
+        return this;
+    }
+
+    /**
+     * Turn on/off the breadcrumbs above the chart, which show the keys drilled into and drill up to a
+     * level when clicked.
+     * @param {Boolean} [drillBreadcrumbs=false]
+     * @returns {Boolean|BaseMixin}
+     */
+    drillBreadcrumbs (drillBreadcrumbs) {
+        if (!arguments.length) {
+            return this._drillBreadcrumbs;
+        }
+        this._drillBreadcrumbs = drillBreadcrumbs;
+        return this;
+    }
+
+    /**
+     * Get the index of the {@link BaseMixin#drillDown drill-down level} the chart shows.
+     * @returns {Number}
+     */
+    drillLevel () {
+        return this._drillPath.length;
+    }
+
+    /**
+     * Get the keys drilled into, one for each level above the current one.
+     * @returns {Array<*>}
+     */
+    drillPath () {
+        return this._drillPath.slice();
+    }
+
+    /**
+     * Drill into the given key of the current level, showing the next level. Does nothing on the last
+     * level.
+     * @param {*} key
+     * @returns {BaseMixin}
+     */
+    drillInto (key) {
+        if (!this._drillLevels || this.drillLevel() >= this._drillLevels.length - 1) {
+            return this;
+        }
+        this._setDrillPath(this._drillPath.concat([key]));
+        this.filter(null);
+        this._drilled();
+        this._listeners.call('drillDown', this, this, key, this.drillLevel());
+        return this;
+    }
+
+    /**
+     * Drill up to the given level, which must be above the current one.
+     * @param {Number} level
+     * @returns {BaseMixin}
+     */
+    drillTo (level) {
+        if (!this._drillLevels || level < 0 || level >= this.drillLevel()) {
+            return this;
+        }
+        this._setDrillPath(this._drillPath.slice(0, level));
+        this.filter(null);
+        this._drilled();
+        this._listeners.call('drillUp', this, this, level);
+        return this;
+    }
+
+    /**
+     * Drill up one level.
+     * @returns {BaseMixin}
+     */
+    drillUp () {
+        return this.drillTo(this.drillLevel() - 1);
+    }
+
+    // clears the filters of the current level without events, and moves to the level of the path,
+    // so that the filter event fired next sees the chart on its new level
+    _setDrillPath (path) {
+        this._filters = this.applyFilters(this._resetFilterHandler(this._filters));
+        if (this._drillFilter) {
+            this._drillPath.forEach((key, i) => this._filterHandler(this._drillLevels[i].dimension, []));
+            path.forEach((key, i) => this._filterHandler(this._drillLevels[i].dimension, [key]));
+        }
+        this._drillPath = path.slice();
+        this._applyDrillLevel();
+    }
+
+    // moves to the level of a restored drill path, returning whether the path changed
+    _restoreDrillPath (drillPath) {
+        const path = this._drillLevels ? drillPath.slice(0, this._drillLevels.length - 1) : [];
+        if (utils.arraysEqual(path, this._drillPath)) {
+            return false;
+        }
+        this._setDrillPath(path);
+        return true;
+    }
+
+    _applyDrillLevel () {
+        const level = this._drillLevels[this.drillLevel()];
+        this.dimension(level.dimension);
+        this.group(level.group, level.name);
+        Object.keys(this._drillDefaults).forEach(setting => {
+            const value = setting in level ? level[setting] : this._drillDefaults[setting];
+            if (value !== undefined) {
+                this[setting](value);
+            }
+        });
+    }
+
+    _drilled () {
+        if (!this._root) {
+            return;
+        }
+        events.trigger(() => {
+            this.render();
+            this.redrawGroup();
+        });
+    }
+
+    _renderBreadcrumbs () {
+        if (!this._root) {
+            return;
+        }
+        let nav = this._root.select('nav.dc-breadcrumbs');
+        if (!this._drillBreadcrumbs || !this._drillLevels || this._isChild) {
+            nav.remove();
+            return;
+        }
+        const locale = this.chartConfig().locale();
+        if (nav.empty()) {
+            nav = this.root().insert('nav', ':first-child')
+                .attr('class', 'dc-breadcrumbs')
+                .attr('aria-label', locale.string('drillDown'));
+            nav.append('ol');
+        }
+        const crumbs = [locale.string('drillAll')].concat(this._drillLabels());
+        const items = nav.select('ol').selectAll('li').data(crumbs);
+        items.exit().remove();
+        const chart = this;
+        items.enter().append('li')
+            .merge(items)
+            .each(function (crumb, i) {
+                const item = select(this).html('');
+                if (i < crumbs.length - 1) {
+                    item.append('button')
+                        .attr('type', 'button')
+                        .text(crumb)
+                        .on('click', () => chart.drillTo(i));
+                } else {
+                    item.append('span')
+                        .attr('aria-current', 'location')
+                        .text(crumb);
+                }
+            });
+    }
+
+    _drillLabels () {
+        return this._drillPath.map((key, i) => {
+            const label = this._drillLevels[i].label;
+            return label ? label(key) : utils.printSingleValue(key, this.chartConfig());
+        });
+    }
+
+    // the keys drilled into followed by the printed filters, as shown in the .filter elements
+    _printFilters () {
+        const printed = this._filterPrinter(this.filters(), this.chartConfig());
+        return this._drillLabels().concat(printed ? [printed] : []).join(' / ');
+    }
+
     /**
      * Returns all current filters. This method does not perform defensive cloning of the internal
      * filter array before returning, therefore any modification of the returned array will effect the
@@ -1120,18 +2075,27 @@ export class BaseMixin {
      * This function is passed to d3 as the onClick handler for each chart. The default behavior is to
      * filter on the clicked datum (passed to the callback) and redraw the chart group.
      *
+     * With {@link BaseMixin#drillDown drill-down levels}, clicking drills into the clicked key instead,
+     * except on the last level.
+     *
      * This function can be replaced in order to change the click behavior (but first look at
      * @example
      * var oldHandler = chart.onClick;
      * chart.onClick = function(datum) {
      *   // use datum.
      * @param {*} datum
+     * @param {Event} [event] - the click or key press, whose modifier keys are used by the
+     * {@link BaseMixin#selectionMode selection mode}
      * @return {undefined}
      */
-    onClick (datum) {
+    onClick (datum, event) {
         const filter = this.keyAccessor()(datum);
+        if (this._drillLevels && this.drillLevel() < this._drillLevels.length - 1) {
+            this.drillInto(filter);
+            return;
+        }
         events.trigger(() => {
-            this.filter(filter);
+            this._select([filter], event);
             this.redrawGroup();
         });
     }
@@ -1151,11 +2115,13 @@ export class BaseMixin {
      *     } else if (filters.length === 1 && !filters[0].isFiltered) {
      *         // single value and not a function-based filter
      *         dimension.filterExact(filters[0]);
-     *     } else if (filters.length === 1 && filters[0].filterType === 'RangedFilter') {
-     *         // single range-based filter
+     *     } else if (filters.length === 1 && filters[0].filterType === 'RangedFilter' &&
+     *                (!filters[0].bounds || filters[0].bounds === '[)')) {
+     *         // single range-based filter, with the bounds crossfilter uses
      *         dimension.filterRange(filters[0]);
      *     } else {
-     *         // an array of values, or an array of filter objects
+     *         // an array of values, or an array of filter objects, which may be compound
+     *         // filters.And / filters.Or objects
      *         dimension.filterFunction(function (d) {
      *             for (var i = 0; i < filters.length; i++) {
      *                 var filter = filters[i];
@@ -1342,6 +2308,19 @@ export class BaseMixin {
         return this;
     }
 
+    // <title> elements are left out while a tooltip shows the titles
+    _renderTitleElements () {
+        return this.renderTitle() && !this._tooltip;
+    }
+
+    // let the tooltip show the titles of the elements of the selection; record maps the datum of an
+    // element to the record of the group which the title is computed from
+    _tooltipTargets (selection, title, record, name) {
+        if (this._tooltip) {
+            this._tooltip.addTargets(this, selection, title, record || (d => d), name);
+        }
+    }
+
     /**
      * Get or set the chart group to which this chart belongs. Chart groups are rendered or redrawn
      * together since it is expected they share the same underlying crossfilter data set.
@@ -1362,6 +2341,16 @@ export class BaseMixin {
         return this;
     }
 
+    /**
+     * Returns the configuration which applies to this chart: the configuration of its chart group,
+     * which falls back to the global {@link config config} for settings the group does not override.
+     * @see {@link Config#chartGroup Config.chartGroup}
+     * @returns {Config}
+     */
+    chartConfig () {
+        return config.chartGroup(this._chartGroup);
+    }
+
     /**
      * Expire the internal chart cache. dc charts cache some data internally on a per chart basis to
      * speed up rendering and avoid unnecessary calculation; however it might be useful to clear the
@@ -1378,7 +2367,8 @@ export class BaseMixin {
 
     /**
      * Attach a Legend widget to this chart. The legend widget will automatically draw legend labels
-     * based on the color setting and names associated with each group.
+     * based on the color setting and names associated with each group. The legend settings of the
+     * {@link themes theme} of the chart are applied to settings the legend has left at their defaults.
      * @example
      * chart.legend(new Legend().x(400).y(10).itemHeight(13).gap(5))
      * @param {Legend} [legend]
@@ -1390,6 +2380,33 @@ export class BaseMixin {
         }
         this._legend = legend;
         this._legend.parent(this);
+        themes.applyToLegend(this._legend, this.chartConfig().theme());
+        return this;
+    }
+
+    /**
+     * Attach a {@link Tooltip Tooltip} to this chart, which shows the {@link BaseMixin#title titles}
+     * in an HTML tooltip instead of SVG `<title>` elements. Children of a
+     * {@link CompositeChart CompositeChart} use the tooltip of their parent. Pass `null` to remove the
+     * tooltip; this takes effect on the next render.
+     * @example
+     * chart.tooltip(new Tooltip().template(function (items) {
+     *     return '<b>' + items[0].key + '</b><br>' + items[0].data.value;
+     * }));
+     * @param {Tooltip} [tooltip]
+     * @returns {Tooltip|BaseMixin}
+     */
+    tooltip (tooltip) {
+        if (!arguments.length) {
+            return this._tooltip;
+        }
+        if (this._tooltip && this._tooltip !== tooltip && !this._isChild) {
+            this._tooltip.dispose();
+        }
+        this._tooltip = tooltip;
+        if (this._tooltip && !this._isChild) {
+            this._tooltip.parent(this);
+        }
         return this;
     }
 
@@ -1430,7 +2447,7 @@ export class BaseMixin {
                     this[o].call(this, opts[o]);
                 }
             } else {
-                logger.debug(`Not a valid option setter name: ${o}`);
+                logger.warn(`Not a valid option setter name: ${o}`, {chart: this, event: 'options', option: o});
             }
         }
         return this;
@@ -1450,6 +2467,9 @@ export class BaseMixin {
      * including all renderlets' logic.
      * * `filtered` - This listener function will be invoked after a filter is applied, added or removed.
      * * `zoomed` - This listener function will be invoked after a zoom is triggered.
+     * * `drillDown` - This listener function will be invoked after {@link BaseMixin#drillDown drilling} into a
+     * key, with the key and the new level.
+     * * `drillUp` - This listener function will be invoked after drilling up, with the new level.
      * @see {@link https://github.com/d3/d3-dispatch/blob/master/README.md#dispatch_on d3.dispatch.on}
      * @example
      * .on('renderlet', function(chart, filter){...})
@@ -1460,6 +2480,8 @@ export class BaseMixin {
      * .on('postRedraw', function(chart){...})
      * .on('filtered', function(chart, filter){...})
      * .on('zoomed', function(chart, filter){...})
+     * .on('drillDown', function(chart, key, level){...})
+     * .on('drillUp', function(chart, level){...})
      * @param {String} event
      * @param {Function} listener
      * @returns {BaseMixin}
@@ -14,6 +14,14 @@ import {adaptHandler} from '../core/d3compat';
  * @returns {BubbleMixin}
  */
 export const BubbleMixin = Base => class extends ColorMixin(Base) {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'BubbleMixin';
+    }
+
     constructor () {
         super();
 
@@ -111,6 +119,14 @@ export const BubbleMixin = Base => class extends ColorMixin(Base) {
         return this;
     }
 
+    _exportRows () {
+        return this.data().map(d => ({
+            key: this.keyAccessor()(d),
+            value: this.valueAccessor()(d),
+            radius: this.radiusValueAccessor()(d)
+        }));
+    }
+
     rMin () {
         let values = this.data().map(this.radiusValueAccessor());
         if(this._excludeElasticZero) {
@@ -156,7 +172,7 @@ export const BubbleMixin = Base => class extends ColorMixin(Base) {
                 label = bubbleGEnter.append('text')
                         .attr('text-anchor', 'middle')
                         .attr('dy', '.3em')
-                        .on('click', adaptHandler(d => this.onClick(d)));
+                        .on('click', adaptHandler((d, event) => this.onClick(d, event)));
             }
 
             label
@@ -183,7 +199,7 @@ export const BubbleMixin = Base => class extends ColorMixin(Base) {
     }
 
     _doRenderTitles (g) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             const title = g.select('title');
 
             if (title.empty()) {
@@ -193,9 +209,10 @@ export const BubbleMixin = Base => class extends ColorMixin(Base) {
     }
 
     doUpdateTitles (g) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             g.select('title').text(d => this._titleFunction(d));
         }
+        this._tooltipTargets(g, d => this._titleFunction(d));
     }
 
     /**
@@ -299,10 +316,10 @@ export const BubbleMixin = Base => class extends ColorMixin(Base) {
         return this.hasFilter(d.key);
     }
 
-    onClick (d) {
+    onClick (d, event) {
         const filter = d.key;
         events.trigger(() => {
-            this.filter(filter);
+            this._select([filter], event);
             this.redrawGroup();
         });
     }
@@ -1,5 +1,7 @@
 import {sum} from 'd3-array';
 
+import {events} from '../core/events';
+
 /**
  * Cap is a mixin that groups small data elements below a _cap_ into an *others* grouping for both the
  * Row and Pie Charts.
@@ -13,12 +15,20 @@ import {sum} from 'd3-array';
  * @returns {CapMixin}
  */
 export const CapMixin = Base => class extends Base {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'CapMixin';
+    }
+
     constructor () {
         super();
 
         this._cap = Infinity;
         this._takeFront = true;
-        this._othersLabel = 'Others';
+        this._othersLabel = null;
 
         this._othersGrouper = (topItems, restItems) => {
             const restItemsSum = sum(restItems, this.valueAccessor()),
@@ -134,7 +144,8 @@ export const CapMixin = Base => class extends Base {
     }
 
     /**
-         * Get or set the label for *Others* slice when slices cap is specified.
+         * Get or set the label for *Others* slice when slices cap is specified. By default the
+         * `others` string of the {@link Locale locale} is used.
          * @memberof CapMixin
          * @instance
          * @param {String} [label="Others"]
@@ -142,7 +153,7 @@ export const CapMixin = Base => class extends Base {
          */
     othersLabel (label) {
         if (!arguments.length) {
-            return this._othersLabel;
+            return this._othersLabel === null ? this.chartConfig().locale().string('others') : this._othersLabel;
         }
         this._othersLabel = label;
         return this;
@@ -183,10 +194,16 @@ export const CapMixin = Base => class extends Base {
         return this;
     }
 
-    onClick (d) {
-        if (d.others) {
-            this.filter([d.others]);
+    onClick (d, event) {
+        if (!d.others) {
+            super.onClick(d, event);
+            return;
         }
-        super.onClick(d);
+        // the others item is selected together with the keys it stands for
+        const filters = d.others.concat([this.keyAccessor()(d)]);
+        events.trigger(() => {
+            this._select(filters, event);
+            this.redrawGroup();
+        });
     }
 };
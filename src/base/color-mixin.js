@@ -13,10 +13,19 @@ import {utils} from '../core/utils';
  * @returns {ColorMixin}
  */
 export const ColorMixin = Base => class extends Base {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'ColorMixin';
+    }
+
     constructor () {
         super();
 
         this._colors = scaleOrdinal(config.defaultColors());
+        this._colorsConfig = config;
 
         this._colorAccessor = d => this.keyAccessor()(d);
         this._colorCalculator = undefined;
@@ -43,6 +52,33 @@ export const ColorMixin = Base => class extends Base {
         }
     }
 
+    anchor (parent, chartGroup) {
+        if (!arguments.length) {
+            return super.anchor();
+        }
+        super.anchor(parent, chartGroup);
+        this._useConfigColors();
+        return this;
+    }
+
+    chartGroup (chartGroup) {
+        if (!arguments.length) {
+            return super.chartGroup();
+        }
+        super.chartGroup(chartGroup);
+        this._useConfigColors();
+        return this;
+    }
+
+    // the default colors depend on the chart group, which is only known once the chart is anchored
+    _useConfigColors () {
+        const chartConfig = this.chartConfig();
+        if (this._colorsConfig && this._colorsConfig !== chartConfig) {
+            this._colors = scaleOrdinal(chartConfig.defaultColors());
+            this._colorsConfig = chartConfig;
+        }
+    }
+
     /**
          * Set the domain by determining the min and max values as retrieved by
          * {@link ColorMixin#colorAccessor .colorAccessor} over the chart's dataset.
@@ -59,7 +95,9 @@ export const ColorMixin = Base => class extends Base {
 
     /**
          * Retrieve current color scale or set a new color scale. This methods accepts any function that
-         * operates like a d3 scale.
+         * operates like a d3 scale. By default an ordinal scale of the
+         * {@link Config#defaultColors default colors} of the {@link BaseMixin#chartConfig chart configuration}
+         * is used.
          * @memberof ColorMixin
          * @instance
          * @see {@link https://github.com/d3/d3-scale/blob/master/README.md d3.scale}
@@ -79,6 +117,7 @@ export const ColorMixin = Base => class extends Base {
         if (!arguments.length) {
             return this._colors;
         }
+        this._colorsConfig = null;
         if (colorScale instanceof Array) {
             this._colors = scaleQuantize().range(colorScale); // deprecated legacy support, note: this fails for ordinal domains
         } else {
@@ -24,6 +24,40 @@ const Y_AXIS_LABEL_CLASS = 'y-axis-label';
 const X_AXIS_LABEL_CLASS = 'x-axis-label';
 const CUSTOM_BRUSH_HANDLE_CLASS = 'custom-brush-handle';
 const DEFAULT_AXIS_LABEL_PADDING = 12;
+// the arrow keys move or resize the brush by this fraction of the width of the chart
+const BRUSH_KEY_STEP = 1 / 20;
+const BRUSH_KEY_MOVES = {ArrowLeft: -1, ArrowRight: 1};
+
+const isCompoundFilter = filter => filter.filterType === 'And' || filter.filterType === 'Or';
+
+// The brush can only show a single range. For a compound filter this is the intersection of the
+// ranges of an And, or the hull of the ranges of an Or; parts which are not ranges are ignored.
+const brushRange = filter => {
+    if (!filter || !isCompoundFilter(filter)) {
+        return filter;
+    }
+    const ranges = filter.map(brushRange).filter(range => range && range.filterType === 'RangedFilter');
+    if (!ranges.length) {
+        return null;
+    }
+    const range = filter.filterType === 'And' ?
+        [max(ranges, r => r[0]), min(ranges, r => r[1])] :
+        [min(ranges, r => r[0]), max(ranges, r => r[1])];
+    return range[0] < range[1] ? filters.RangedFilter(range[0], range[1]) : null;
+};
+
+// move the brush selection, in pixels, by dx or resize it by moving its end, staying within the chart
+const moveBrushSelection = (selection, dx, resize, width) => {
+    const step = Math.abs(dx);
+    if (!selection) {
+        return [0, step];
+    }
+    if (resize) {
+        return [selection[0], Math.min(width, Math.max(selection[0] + step, selection[1] + dx))];
+    }
+    dx = Math.max(-selection[0], Math.min(width - selection[1], dx));
+    return [selection[0] + dx, selection[1] + dx];
+};
 
 /**
  * Coordinate Grid is an abstract base chart designed to support a number of coordinate grid based
@@ -33,6 +67,14 @@ const DEFAULT_AXIS_LABEL_PADDING = 12;
  * @mixes MarginMixin
  */
 export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'CoordinateGridMixin';
+    }
+
     constructor () {
         super();
 
@@ -65,6 +107,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
 
         this._gBrush = undefined;
         this._brushOn = true;
+        this._brushBounds = '[)';
         this._parentBrushOn = false;
         this._round = undefined;
         this._ignoreBrushEvents = false; // ignore when carrying out programmatic brush operations
@@ -172,7 +215,9 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
             this._parent = parent;
         }
 
-        const href = window.location.href.split('#')[0];
+        // the document of the chart has no location outside of a browser, e.g. in Node
+        const location = this._parent.node().ownerDocument.location;
+        const href = location ? location.href.split('#')[0] : '';
 
         this._g = this._parent.append('g');
 
@@ -514,6 +559,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
             axisXLab.text(this.xAxisLabel());
         }
 
+        this.chartConfig().locale().localizeAxis(this._xAxis);
         transition(axisXG, this.transitionDuration(), this.transitionDelay())
             .attr('transform', `translate(${this.margins().left},${this._xAxisY()})`)
             .call(this._xAxis);
@@ -641,6 +687,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
                 .attr('transform', `translate(${position},${this.margins().top})`);
         }
 
+        this.chartConfig().locale().localizeAxis(axis);
         transition(axisYG, this.transitionDuration(), this.transitionDelay())
             .attr('transform', `translate(${position},${this.margins().top})`)
             .call(axis);
@@ -946,7 +993,36 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
             this.createBrushHandlePaths(this._gBrush, doTransition);
 
             this.redrawBrush(this.filter(), doTransition);
+
+            if (this._keyboardAccessible) {
+                this._makeBrushKeyboardAccessible();
+            }
+        }
+    }
+
+    _makeBrushKeyboardAccessible () {
+        this._gBrush
+            .attr('tabindex', 0)
+            .attr('role', 'group')
+            .attr('aria-label', this.chartConfig().locale().string('brush'))
+            .on('keydown', adaptHandler((d, event) => this._brushByKeyboard(event)));
+    }
+
+    // the arrow keys move the selection, with Shift they resize it, and Escape clears it
+    _brushByKeyboard (event) {
+        let selection;
+        if (event.key === 'Escape') {
+            selection = null;
+        } else if (BRUSH_KEY_MOVES[event.key]) {
+            const range = brushRange(this.filter());
+            const dx = BRUSH_KEY_MOVES[event.key] * BRUSH_KEY_STEP * this.effectiveWidth();
+            selection = moveBrushSelection(range && [this._x(range[0]), this._x(range[1])], dx, event.shiftKey,
+                                           this.effectiveWidth());
+        } else {
+            return;
         }
+        event.preventDefault();
+        this._gBrush.call(this._brush.move, selection);
     }
 
     createBrushHandlePaths (gBrush) {
@@ -988,17 +1064,18 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
 
         this.redrawBrush(brushSelection, false);
 
-        const rangedFilter = this.brushIsEmpty(brushSelection) ? null : filters.RangedFilter(brushSelection[0], brushSelection[1]);
+        const rangedFilter = this.brushIsEmpty(brushSelection) ?
+            null : filters.RangedFilter(brushSelection[0], brushSelection[1], this._brushBounds);
 
         events.trigger(() => {
             this.applyBrushSelection(rangedFilter);
-        }, constants.EVENT_DELAY);
+        }, constants.EVENT_DELAY, `brush${this.chartID()}`);
     }
 
     // This can be overridden in a derived chart. For example Composite chart overrides it
     applyBrushSelection (rangedFilter) {
         this.replaceFilter(rangedFilter);
-        this.redrawGroup();
+        this.scheduleRedrawGroup();
     }
 
     _withoutBrushEvents (closure) {
@@ -1028,7 +1105,8 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
                 this.setBrushExtents(doTransition);
             }
 
-            if (!brushSelection) {
+            const range = brushRange(brushSelection);
+            if (!range) {
                 this._withoutBrushEvents(() => {
                     this._gBrush
                         .call(this._brush.move, null);
@@ -1037,7 +1115,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
                 this._gBrush.selectAll(`path.${CUSTOM_BRUSH_HANDLE_CLASS}`)
                     .attr('display', 'none');
             } else {
-                const scaledSelection = [this._x(brushSelection[0]), this._x(brushSelection[1])];
+                const scaledSelection = [this._x(range[0]), this._x(range[1])];
 
                 const gBrush =
                     optionalTransition(doTransition, this.transitionDuration(), this.transitionDelay())(this._gBrush);
@@ -1049,7 +1127,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
 
                 gBrush.selectAll(`path.${CUSTOM_BRUSH_HANDLE_CLASS}`)
                     .attr('display', null)
-                    .attr('transform', (d, i) => `translate(${this._x(brushSelection[i])}, 0)`)
+                    .attr('transform', (d, i) => `translate(${this._x(range[i])}, 0)`)
                     .attr('d', d => this.resizeHandlePath(d));
             }
         }
@@ -1227,9 +1305,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
             }
 
             this._invokeZoomedListener();
-            events.trigger(() => {
-                this.redrawGroup();
-            }, constants.EVENT_DELAY);
+            this.scheduleRedrawGroup();
         }
     }
 
@@ -1277,7 +1353,7 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
         }
 
         if (ext[0] > outerLimits[1] || ext[1] < outerLimits[0]) {
-            console.warn('Could not intersect extents, will reset');
+            logger.warn('Could not intersect extents, will reset', {chart: this, event: 'focus'});
         }
         // Math.max does not work (as the values may be dates as well)
         return [ext[0] > outerLimits[0] ? ext[0] : outerLimits[0], ext[1] < outerLimits[1] ? ext[1] : outerLimits[1]];
@@ -1344,6 +1420,27 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
         return this;
     }
 
+    _doDispose () {
+        this._brush.on('start brush end', null);
+        this._zoom.on('zoom', null);
+        if (this.root() && !this._isChild) {
+            this.root().on('.zoom', null).property('__zoom', null);
+        }
+
+        if (this._rangeChart) {
+            this._rangeChart.on('filtered.dcjs-range-chart', null);
+            this._rangeChart._focusChart = undefined;
+            this._rangeChart = undefined;
+        }
+        if (this._focusChart) {
+            this._focusChart._rangeChart = undefined;
+            this._focusChart = undefined;
+        }
+        this._gBrush = undefined;
+        this._parent = undefined;
+        super._doDispose();
+    }
+
     /**
      * Turn on/off the brush-based range filter. When brushing is on then user can drag the mouse
      * across a chart with a quantitative scale to perform range filtering based on the extent of the
@@ -1362,6 +1459,24 @@ export class CoordinateGridMixin extends ColorMixin(MarginMixin) {
         return this;
     }
 
+    /**
+     * Set or get which bounds of the brushed range are included in the filter, in the interval
+     * notation of {@link filters.RangedFilter RangedFilter}: `'[)'` includes the lower bound but
+     * not the higher one, `'[]'` includes both, `'()'` excludes both and `'(]'` only includes the higher.
+     * @example
+     * // integer histogram, where brushing from 1 to 5 should include the bar of 5
+     * chart.round(Math.round).brushBounds('[]');
+     * @param {String} [brushBounds] - Defaults to `'[)'`.
+     * @returns {String|CoordinateGridMixin}
+     */
+    brushBounds (brushBounds) {
+        if (!arguments.length) {
+            return this._brushBounds;
+        }
+        this._brushBounds = brushBounds;
+        return this;
+    }
+
     /**
      * This will be internally used by composite chart onto children. Please go not invoke directly.
      *
@@ -8,6 +8,14 @@ import {BaseMixin} from './base-mixin';
  * @returns {MarginMixin}
  */
 export class MarginMixin extends BaseMixin {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'MarginMixin';
+    }
+
     constructor () {
         super();
 
@@ -10,6 +10,14 @@ import {CoordinateGridMixin} from './coordinate-grid-mixin';
  * @mixes CoordinateGridMixin
  */
 export class StackMixin extends CoordinateGridMixin {
+    /**
+     * The key of the options for this mixin and the charts built on it in a {@link themes theme}.
+     * @type {String}
+     */
+    static get themeKey () {
+        return 'StackMixin';
+    }
+
     constructor () {
         super();
 
@@ -290,6 +298,21 @@ export class StackMixin extends CoordinateGridMixin {
         return !l.hidden;
     }
 
+    // a column for each visible stack, which all share the keys
+    _exportRows () {
+        const layers = this.data();
+        if (!layers.length) {
+            return [];
+        }
+        return layers[0].values.map((v, i) => {
+            const row = {key: v.x};
+            layers.forEach(layer => {
+                row[layer.name] = layer.values[i].y;
+            });
+            return row;
+        });
+    }
+
     _ordinalXDomain () {
         const flat = this._flattenStack().map(pluck('data'));
         const ordered = this._computeOrderedGroups(flat);
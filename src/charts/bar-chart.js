@@ -6,6 +6,8 @@ import {constants} from '../core/constants';
 import {logger} from '../core/logger';
 import {pluck, utils} from '../core/utils';
 import {adaptHandler} from '../core/d3compat';
+import {filters} from '../core/filters';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const MIN_BAR_WIDTH = 1;
 const DEFAULT_GAP_BETWEEN_BARS = 2;
@@ -145,7 +147,7 @@ export class BarChart extends StackMixin {
             .merge(labels);
 
         if (this.isOrdinal()) {
-            labelsEnterUpdate.on('click', adaptHandler(d => this.onClick(d)));
+            labelsEnterUpdate.on('click', adaptHandler((d, event) => this.onClick(d, event)));
             labelsEnterUpdate.attr('cursor', 'pointer');
         }
 
@@ -185,12 +187,13 @@ export class BarChart extends StackMixin {
 
         const barsEnterUpdate = enter.merge(bars);
 
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             enter.append('title').text(pluck('data', this.title(data.name)));
         }
+        this._tooltipTargets(barsEnterUpdate, this.title(data.name), pluck('data'), data.name);
 
         if (this.isOrdinal()) {
-            barsEnterUpdate.on('click', adaptHandler(d => this.onClick(d)));
+            barsEnterUpdate.on('click', adaptHandler((d, event) => this.onClick(d, event)));
         }
 
         if (this._keyboardAccessible) {
@@ -250,11 +253,14 @@ export class BarChart extends StackMixin {
                 bars.classed(constants.DESELECTED_CLASS, false);
             }
         } else if (this.brushOn() || this.parentBrushOn()) {
-            if (!this.brushIsEmpty(brushSelection)) {
-                const start = brushSelection[0];
-                const end = brushSelection[1];
-
-                bars.classed(constants.DESELECTED_CLASS, d => d.x < start || d.x >= end);
+            if (brushSelection && brushSelection.isFiltered && brushSelection.filterType !== 'RangedFilter') {
+                // e.g. compound filters, which the brush only shows approximately
+                bars.classed(constants.DESELECTED_CLASS, d => !brushSelection.isFiltered(d.x));
+            } else if (!this.brushIsEmpty(brushSelection)) {
+                const range = filters.RangedFilter(brushSelection[0], brushSelection[1],
+                                                   brushSelection.bounds || this.brushBounds());
+
+                bars.classed(constants.DESELECTED_CLASS, d => !range.isFiltered(d.x));
             } else {
                 bars.classed(constants.DESELECTED_CLASS, false);
             }
@@ -274,8 +280,12 @@ export class BarChart extends StackMixin {
         return this;
     }
 
-    onClick (d) {
-        super.onClick(d.data);
+    _previewItems () {
+        return this.chartBodyG() && {items: this.chartBodyG().selectAll('rect.bar'), record: d => d.data};
+    }
+
+    onClick (d, event) {
+        super.onClick(d.data, event);
     }
 
     /**
@@ -373,3 +383,9 @@ export class BarChart extends StackMixin {
 }
 
 export const barChart = (parent, chartGroup) => new BarChart(parent, chartGroup);
+
+chartTypeRegistry.register('BarChart', BarChart, {
+    mandatoryAttributes: ['dimension', 'group', 'x'],
+    filterTypes: ['RangedFilter', 'value', 'NotInFilter'],
+    legendable: true
+});
@@ -8,6 +8,7 @@ import {transition} from '../core/core';
 import {units} from '../core/units';
 import {utils} from '../core/utils';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 // Returns a function to compute the interquartile range.
 function defaultWhiskersIQR (k) {
@@ -198,10 +199,7 @@ export class BoxPlot extends CoordinateGridMixin {
             .classed('dc-tabbable', this._keyboardAccessible)
             .attr('transform', (d, i) => this._boxTransform(d, i))
             .call(this._box)
-            .on('click', adaptHandler(d => {
-                this.filter(this.keyAccessor()(d));
-                this.redrawGroup();
-            }))
+            .on('click', adaptHandler((d, event) => this.onClick(d, event)))
             .selectAll('circle')
             .classed('dc-tabbable', this._keyboardAccessible);
 
@@ -240,8 +238,8 @@ export class BoxPlot extends CoordinateGridMixin {
         return ((this._maxDataValue() - this._minDataValue()) / this.effectiveHeight());
     }
 
-    onClick (d) {
-        this.filter(this.keyAccessor()(d));
+    onClick (d, event) {
+        this._select([this.keyAccessor()(d)], event);
         this.redrawGroup();
     }
 
@@ -408,3 +406,9 @@ export class BoxPlot extends CoordinateGridMixin {
 }
 
 export const boxPlot = (parent, chartGroup) => new BoxPlot(parent, chartGroup);
+
+chartTypeRegistry.register('BoxPlot', BoxPlot, {
+    mandatoryAttributes: ['dimension', 'group', 'x'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: false
+});
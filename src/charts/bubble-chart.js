@@ -2,6 +2,7 @@ import {BubbleMixin} from '../base/bubble-mixin';
 import {CoordinateGridMixin} from '../base/coordinate-grid-mixin';
 import {transition} from '../core/core';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * A concrete implementation of a general purpose bubble chart that allows data visualization using the
@@ -74,7 +75,7 @@ export class BubbleChart extends BubbleMixin(CoordinateGridMixin) {
             .attr('class', this.BUBBLE_NODE_CLASS)
             .attr('transform', d => this._bubbleLocator(d))
             .append('circle').attr('class', (d, i) => `${this.BUBBLE_CLASS} _${i}`)
-            .on('click', adaptHandler(d => this.onClick(d)))
+            .on('click', adaptHandler((d, event) => this.onClick(d, event)))
             .classed('dc-tabbable', this._keyboardAccessible)
             .attr('fill', this.getColor)
             .attr('r', 0);
@@ -113,6 +114,10 @@ export class BubbleChart extends BubbleMixin(CoordinateGridMixin) {
         bubbleG.exit().remove();
     }
 
+    _previewItems () {
+        return this.chartBodyG() && {items: this.chartBodyG().selectAll(`g.${this.BUBBLE_NODE_CLASS}`), record: d => d};
+    }
+
     _bubbleX (d) {
         let x = this.x()(this.keyAccessor()(d));
         if (isNaN(x) || !isFinite(x)) {
@@ -140,3 +145,9 @@ export class BubbleChart extends BubbleMixin(CoordinateGridMixin) {
 }
 
 export const bubbleChart = (parent, chartGroup) => new BubbleChart(parent, chartGroup);
+
+chartTypeRegistry.register('BubbleChart', BubbleChart, {
+    mandatoryAttributes: ['dimension', 'group', 'x'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: false
+});
@@ -6,6 +6,7 @@ import {transition} from '../core/core';
 import {constants} from '../core/constants';
 import {utils} from '../core/utils';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const BUBBLE_OVERLAY_CLASS = 'bubble-overlay';
 const BUBBLE_NODE_CLASS = 'node';
@@ -117,7 +118,7 @@ export class BubbleOverlay extends BubbleMixin(BaseMixin) {
                     .classed('dc-tabbable', this._keyboardAccessible)
                     .attr('r', 0)
                     .attr('fill', this.getColor)
-                    .on('click', adaptHandler(d => this.onClick(d)));
+                    .on('click', adaptHandler((d, event) => this.onClick(d, event)));
             }
 
             if (this._keyboardAccessible) {
@@ -165,6 +166,14 @@ export class BubbleOverlay extends BubbleMixin(BaseMixin) {
         return this;
     }
 
+    // the svg belongs to the page, only remove what was added to it
+    _doDispose () {
+        this.select(`g.${BUBBLE_OVERLAY_CLASS}`).remove();
+        this.select(`g.${constants.DEBUG_GROUP_CLASS}`).remove();
+        this._g = undefined;
+        this.root().classed(constants.CHART_CLASS, false);
+    }
+
     _updateBubbles () {
         const data = this._mapData();
         this.calculateRadiusDomain();
@@ -217,3 +226,9 @@ export class BubbleOverlay extends BubbleMixin(BaseMixin) {
 }
 
 export const bubbleOverlay = (parent, chartGroup) => new BubbleOverlay(parent, chartGroup);
+
+chartTypeRegistry.register('BubbleOverlay', BubbleOverlay, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: false
+});
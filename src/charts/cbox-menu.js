@@ -4,6 +4,7 @@ import {events} from '../core/events';
 import {BaseMixin} from '../base/base-mixin';
 import {utils} from '../core/utils'
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const GROUP_CSS_CLASS = 'dc-cbox-group';
 const ITEM_CSS_CLASS = 'dc-cbox-item';
@@ -38,7 +39,7 @@ export class CboxMenu extends BaseMixin {
         super();
 
         this._cbox = undefined;
-        this._promptText = 'Select all';
+        this._promptText = null;
         this._multiple = false;
         this._inputType = 'radio';
         this._promptValue = null;
@@ -90,6 +91,12 @@ export class CboxMenu extends BaseMixin {
         return this;
     }
 
+    _doDispose () {
+        this.select('ul').remove();
+        this._cbox = undefined;
+        super._doDispose();
+    }
+
     _renderOptions () {
         let options = this._cbox
             .selectAll(`li.${ITEM_CSS_CLASS}`)
@@ -120,7 +127,7 @@ export class CboxMenu extends BaseMixin {
                 .append('li')
                 .append('input')
                 .attr('type', 'reset')
-                .text(this._promptText)
+                .text(this.promptText())
                 .on('click', adaptHandler(function (d, evt) {
                     return chart._onChange(d, evt, this);
                 }));
@@ -134,7 +141,7 @@ export class CboxMenu extends BaseMixin {
                 .property('checked', true);
             li.append('label')
                 .attr('for', (d, i) => `input_${this._uniqueId}_all`)
-                .text(this._promptText);
+                .text(this.promptText());
         }
 
         this._cbox
@@ -205,7 +212,8 @@ export class CboxMenu extends BaseMixin {
     }
 
     /**
-     * Get or set the text displayed in the options used to prompt selection.
+     * Get or set the text displayed in the options used to prompt selection. By default the
+     * `selectAll` string of the {@link Locale locale} is used.
      * @param {String} [promptText='Select all']
      * @returns {String|CboxMenu}
      * @example
@@ -213,7 +221,7 @@ export class CboxMenu extends BaseMixin {
      */
     promptText (promptText) {
         if (!arguments.length) {
-            return this._promptText;
+            return this._promptText === null ? this.chartConfig().locale().string('selectAll') : this._promptText;
         }
         this._promptText = promptText;
         return this;
@@ -278,3 +286,9 @@ export class CboxMenu extends BaseMixin {
 }
 
 export const cboxMenu = (parent, chartGroup) => new CboxMenu(parent, chartGroup);
+
+chartTypeRegistry.register('CboxMenu', CboxMenu, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value'],
+    legendable: false
+});
@@ -3,7 +3,9 @@ import {scaleLinear} from 'd3-scale';
 import {axisRight} from 'd3-axis';
 
 import {utils} from '../core/utils';
+import {logger} from '../core/logger';
 import {CoordinateGridMixin} from '../base/coordinate-grid-mixin';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const SUB_CHART_CLASS = 'sub';
 const DEFAULT_RIGHT_Y_AXIS_LABEL_PADDING = 12;
@@ -99,6 +101,15 @@ export class CompositeChart extends CoordinateGridMixin {
         return this;
     }
 
+    _resize () {
+        const resized = super._resize();
+        if (resized) {
+            this._setChildrenProperty('width', this.width());
+            this._setChildrenProperty('height', this.height());
+        }
+        return resized;
+    }
+
     resizing (resizing) {
         if (!arguments.length) {
             return super.resizing();
@@ -357,11 +368,29 @@ export class CompositeChart extends CoordinateGridMixin {
             }
 
             child.options(this._childOptions);
+            child.tooltip(this.tooltip());
         });
         this.rescale();
         return this;
     }
 
+    _doDispose () {
+        this._children.forEach(child => {
+            child.dispose();
+        });
+        this._children = [];
+        super._doDispose();
+    }
+
+    tooltip (tooltip) {
+        if (!arguments.length) {
+            return super.tooltip();
+        }
+        super.tooltip(tooltip);
+        this._setChildrenProperty('tooltip', tooltip);
+        return this;
+    }
+
     _setChildrenProperty (prop, value) {
         this._children.forEach(child => {
             child[prop](value);
@@ -516,6 +545,28 @@ export class CompositeChart extends CoordinateGridMixin {
         return utils.add(max(this._getAllXAxisMaxFromChildCharts()), this.xAxisPadding(), this.xAxisPaddingUnit());
     }
 
+    // the rows of the children are merged by key, with a column for each of their stacks
+    _exportRows () {
+        const rows = [], rowsByKey = {}, columnChildren = {};
+        this._children.forEach((child, i) => {
+            child._exportRows().forEach(childRow => {
+                const key = String(childRow.key);
+                if (!rowsByKey[key]) {
+                    rowsByKey[key] = {key: childRow.key};
+                    rows.push(rowsByKey[key]);
+                }
+                Object.keys(childRow).filter(column => column !== 'key').forEach(column => {
+                    // e.g. unnamed stacks of different children would share a column otherwise
+                    const taken = column in columnChildren && columnChildren[column] !== i;
+                    const name = taken ? `${i}.${column}` : column;
+                    columnChildren[name] = i;
+                    rowsByKey[key][name] = childRow[column];
+                });
+            });
+        });
+        return rows;
+    }
+
     legendables () {
         return this._children.reduce((items, child) => {
             if (this._shareColors) {
@@ -541,7 +592,7 @@ export class CompositeChart extends CoordinateGridMixin {
     }
 
     legendToggle () {
-        console.log('composite should not be getting legendToggle itself');
+        logger.warn('composite should not be getting legendToggle itself', {chart: this, event: 'legendToggle'});
     }
 
     /**
@@ -582,3 +633,9 @@ export class CompositeChart extends CoordinateGridMixin {
 }
 
 export const compositeChart = (parent, chartGroup) => new CompositeChart(parent, chartGroup);
+
+chartTypeRegistry.register('CompositeChart', CompositeChart, {
+    mandatoryAttributes: [],
+    filterTypes: ['RangedFilter'],
+    legendable: true
+});
@@ -1,7 +1,6 @@
-import {format} from 'd3-format';
-
 import {logger} from '../core/logger';
 import {BaseMixin} from '../base/base-mixin';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * The data count widget is a simple widget designed to display the number of records selected by the
@@ -38,7 +37,7 @@ export class DataCount extends BaseMixin {
     constructor (parent, chartGroup) {
         super();
 
-        this._formatNumber = format(',d');
+        this._formatNumber = null;
         this._crossfilter = null;
         this._groupAll = null;
         this._html = {some: '', all: ''};
@@ -76,16 +75,17 @@ export class DataCount extends BaseMixin {
     }
 
     /**
-     * Gets or sets an optional function to format the filter count and total count.
+     * Gets or sets an optional function to format the filter count and total count. By default
+     * the format `',d'` of the {@link Locale locale} is used.
      * @see {@link https://github.com/d3/d3-format/blob/master/README.md#format d3.format}
      * @example
      * counter.formatNumber(d3.format('.2g'))
-     * @param {Function} [formatter=d3.format('.2g')]
+     * @param {Function} [formatter=d3.format(',d')]
      * @returns {Function|DataCount}
      */
     formatNumber (formatter) {
         if (!arguments.length) {
-            return this._formatNumber;
+            return this._formatNumber || this.chartConfig().locale().format(',d');
         }
         this._formatNumber = formatter;
         return this;
@@ -94,13 +94,18 @@ export class DataCount extends BaseMixin {
     _doRender () {
         const tot = this.crossfilter().size(),
             val = this.groupAll().value();
-        const all = this._formatNumber(tot);
-        const selected = this._formatNumber(val);
+        const all = this.formatNumber()(tot);
+        const selected = this.formatNumber()(val);
+        const locale = this.chartConfig().locale();
+        const html = {
+            all: this._html.all || locale.string('dataCountAll'),
+            some: this._html.some || locale.string('dataCountSome')
+        };
 
-        if ((tot === val) && (this._html.all !== '')) {
-            this.root().html(this._html.all.replace('%total-count', all).replace('%filter-count', selected));
-        } else if (this._html.some !== '') {
-            this.root().html(this._html.some.replace('%total-count', all).replace('%filter-count', selected));
+        if ((tot === val) && (html.all !== '')) {
+            this.root().html(html.all.replace('%total-count', all).replace('%filter-count', selected));
+        } else if (html.some !== '') {
+            this.root().html(html.some.replace('%total-count', all).replace('%filter-count', selected));
         } else {
             this.selectAll('.total-count').text(all);
             this.selectAll('.filter-count').text(selected);
@@ -108,6 +113,10 @@ export class DataCount extends BaseMixin {
         return this;
     }
 
+    _exportRows () {
+        return [{selected: this.groupAll().value(), total: this.crossfilter().size()}];
+    }
+
     _doRedraw () {
         return this._doRender();
     }
@@ -146,3 +155,9 @@ export class DataCount extends BaseMixin {
 }
 
 export const dataCount = (parent, chartGroup) => new DataCount(parent, chartGroup);
+
+chartTypeRegistry.register('DataCount', DataCount, {
+    mandatoryAttributes: ['crossfilter', 'groupAll'],
+    filterTypes: [],
+    legendable: false
+});
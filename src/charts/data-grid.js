@@ -3,6 +3,7 @@ import {ascending} from 'd3-array';
 import {logger} from '../core/logger';
 import {BaseMixin} from '../base/base-mixin';
 import {compatNestHelper} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const LABEL_CSS_CLASS = 'dc-grid-label';
 const ITEM_CSS_CLASS = 'dc-grid-item';
@@ -110,10 +111,20 @@ export class DataGrid extends BaseMixin {
         return items;
     }
 
+    // the records of all sections, as they are ordered in the grid
+    _exportRows () {
+        return this._nestEntries().reduce((rows, section) => rows.concat(section.values), []);
+    }
+
     _doRedraw () {
         return this._doRender();
     }
 
+    _doDispose () {
+        this.selectAll(`div.${GRID_CSS_CLASS}`).remove();
+        super._doDispose();
+    }
+
     /**
      * Get or set the section function for the data grid. The section function takes a data row and
      * returns the key to specify to {@link https://github.com/d3/d3-collection/blob/master/README.md#nest d3.nest}
@@ -272,3 +283,9 @@ export class DataGrid extends BaseMixin {
 }
 
 export const dataGrid = (parent, chartGroup) => new DataGrid(parent, chartGroup);
+
+chartTypeRegistry.register('DataGrid', DataGrid, {
+    mandatoryAttributes: ['dimension', 'section'],
+    filterTypes: [],
+    legendable: false
+});
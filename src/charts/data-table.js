@@ -3,6 +3,7 @@ import {ascending} from 'd3-array';
 import {logger} from '../core/logger';
 import {BaseMixin} from '../base/base-mixin';
 import {compatNestHelper} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const LABEL_CSS_CLASS = 'dc-table-label';
 const ROW_CSS_CLASS = 'dc-table-row';
@@ -203,10 +204,31 @@ export class DataTable extends BaseMixin {
         return rows;
     }
 
+    // the rows of all sections, with the columns as headed in the table
+    _exportRows () {
+        const rows = [];
+        this._nestEntries().forEach(section => {
+            section.values.forEach(d => {
+                const row = {};
+                this._columns.forEach(column => {
+                    row[this._doColumnHeaderFormat(column)] = this._doColumnValueFormat(column, d);
+                });
+                rows.push(row);
+            });
+        });
+        return rows;
+    }
+
     _doRedraw () {
         return this._doRender();
     }
 
+    _doDispose () {
+        this.selectAll('thead').remove();
+        this.selectAll('tbody').remove();
+        super._doDispose();
+    }
+
     /**
      * Get or set the section function for the data table. The section function takes a data row and
      * returns the key to specify to {@link https://github.com/d3/d3-collection/blob/master/README.md#nest d3.nest}
@@ -441,3 +463,9 @@ export class DataTable extends BaseMixin {
 }
 
 export const dataTable = (parent, chartGroup) => new DataTable(parent, chartGroup);
+
+chartTypeRegistry.register('DataTable', DataTable, {
+    mandatoryAttributes: ['dimension'],
+    filterTypes: [],
+    legendable: false
+});
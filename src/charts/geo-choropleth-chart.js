@@ -8,6 +8,7 @@ import {logger} from '../core/logger';
 import {events} from '../core/events';
 import {utils} from '../core/utils';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * The geo choropleth chart is designed as an easy way to create a crossfilter driven choropleth map
@@ -149,7 +150,7 @@ export class GeoChoroplethChart extends ColorMixin(BaseMixin) {
                 }
                 return 'none';
             })
-            .on('click', adaptHandler(d => this.onClick(d, layerIndex)));
+            .on('click', adaptHandler((d, event) => this.onClick(d, layerIndex, event)));
 
         if (this._keyboardAccessible) {
             this._makeKeyboardAccessible(this.onClick, layerIndex);
@@ -159,22 +160,24 @@ export class GeoChoroplethChart extends ColorMixin(BaseMixin) {
                    this.transitionDelay()).attr('fill', (d, i) => this.getColor(data[this._geoJson(layerIndex).keyAccessor(d)], i));
     }
 
-    onClick (d, layerIndex) {
+    onClick (d, layerIndex, event) {
         const selectedRegion = this._geoJson(layerIndex).keyAccessor(d);
         events.trigger(() => {
-            this.filter(selectedRegion);
+            this._select([selectedRegion], event);
             this.redrawGroup();
         });
     }
 
     _renderTitles (regionG, layerIndex, data) {
-        if (this.renderTitle()) {
-            regionG.selectAll('title').text(d => {
-                const key = this._getKey(layerIndex, d);
-                const value = data[key];
-                return this.title()({key: key, value: value});
-            });
+        const record = d => {
+            const key = this._getKey(layerIndex, d);
+            const value = data[key];
+            return {key: key, value: value};
+        };
+        if (this._renderTitleElements()) {
+            regionG.selectAll('title').text(d => this.title()(record(d)));
         }
+        this._tooltipTargets(regionG, this.title(), record);
     }
 
     _doRedraw () {
@@ -296,3 +299,9 @@ export class GeoChoroplethChart extends ColorMixin(BaseMixin) {
 }
 
 export const geoChoroplethChart = (parent, chartGroup) => new GeoChoroplethChart(parent, chartGroup);
+
+chartTypeRegistry.register('GeoChoroplethChart', GeoChoroplethChart, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: false
+});
@@ -8,6 +8,7 @@ import {events} from '../core/events';
 import {ColorMixin} from '../base/color-mixin';
 import {MarginMixin} from '../base/margin-mixin';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const DEFAULT_BORDER_RADIUS = 6.75;
 
@@ -58,10 +59,10 @@ export class HeatMap extends ColorMixin(MarginMixin) {
         this._yAxisOnClick = d => {
             this._filterAxis(1, d);
         };
-        this._boxOnClick = d => {
+        this._boxOnClick = (d, event) => {
             const filter = d.key;
             events.trigger(() => {
-                this.filter(filters.TwoDimensionalFilter(filter));
+                this._select([filters.TwoDimensionalFilter(filter)], event);
                 this.redrawGroup();
             });
         };
@@ -236,15 +237,16 @@ export class HeatMap extends ColorMixin(MarginMixin) {
             .on('click', adaptHandler(this.boxOnClick()));
 
         if (this._keyboardAccessible) {
-            this._makeKeyboardAccessible(this.boxOnClick);
+            this._makeKeyboardAccessible((d, event) => this.boxOnClick()(d, event));
         }
 
         boxes = gEnter.merge(boxes);
 
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             gEnter.append('title');
             boxes.select('title').text(this.title());
         }
+        this._tooltipTargets(boxes, this.title());
 
         transition(boxes.select('rect'), this.transitionDuration(), this.transitionDelay())
             .attr('x', (d, i) => cols(this.keyAccessor()(d, i)))
@@ -323,14 +325,15 @@ export class HeatMap extends ColorMixin(MarginMixin) {
     }
 
     /**
-     * Gets or sets the handler that fires when an individual cell is clicked in the heatmap.
-     * By default, filtering of the cell will be toggled.
+     * Gets or sets the handler that fires when an individual cell is clicked in the heatmap. It is
+     * called with the datum of the cell and the click or key press event.
+     * By default, the cell is selected according to the {@link BaseMixin#selectionMode selection mode}.
      * @example
-     * // default box on click handler
+     * // a box on click handler toggling the cell
      * chart.boxOnClick(function (d) {
      *     var filter = d.key;
      *     events.trigger(function () {
-     *         _chart.filter(filter);
+     *         _chart.filter(dc.filters.TwoDimensionalFilter(filter));
      *         _chart.redrawGroup();
      *     });
      * });
@@ -401,9 +404,23 @@ export class HeatMap extends ColorMixin(MarginMixin) {
         return this;
     }
 
+    _exportRows () {
+        return this.data().map(d => ({
+            column: this.keyAccessor()(d),
+            row: this.valueAccessor()(d),
+            value: this.colorAccessor()(d)
+        }));
+    }
+
     isSelectedNode (d) {
         return this.hasFilter(d.key);
     }
 }
 
 export const heatMap = (parent, chartGroup) => new HeatMap(parent, chartGroup);
+
+chartTypeRegistry.register('HeatMap', HeatMap, {
+    mandatoryAttributes: ['group'],
+    filterTypes: ['TwoDimensionalFilter'],
+    legendable: false
+});
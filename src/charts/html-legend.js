@@ -190,6 +190,18 @@ export class HtmlLegend {
         return this;
     }
 
+    /**
+     * Remove the legend from its container. This is called by {@link BaseMixin#dispose BaseMixin.dispose}.
+     * @returns {HtmlLegend}
+     */
+    dispose () {
+        if (this._container) {
+            this._container.select(`div.${this._htmlLegendDivCssClass}`).remove();
+        }
+        this._parent = undefined;
+        return this;
+    }
+
     _makeLegendKeyboardAccessible () {
 
         if (!this._parent._svgDescription) {
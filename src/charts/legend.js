@@ -216,6 +216,19 @@ export class Legend {
         return this;
     }
 
+    /**
+     * Remove the legend from its chart. This is called by {@link BaseMixin#dispose BaseMixin.dispose}.
+     * @returns {Legend}
+     */
+    dispose () {
+        if (this._g) {
+            this._g.remove();
+            this._g = undefined;
+        }
+        this._parent = undefined;
+        return this;
+    }
+
     // Implementation methods
 
     _legendItemHeight () {
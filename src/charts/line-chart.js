@@ -21,6 +21,7 @@ import {logger} from '../core/logger';
 import {pluck, utils} from '../core/utils';
 import {StackMixin} from '../base/stack-mixin';
 import {transition} from '../core/core';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const DEFAULT_DOT_RADIUS = 5;
 const TOOLTIP_G_CLASS = 'dc-tooltip';
@@ -402,8 +403,8 @@ export class LineChart extends StackMixin {
                 // special case for on-focus for line chart and its dots
                 if (this._keyboardAccessible) {
 
+                    this._makeKeyboardAccessible();
                     this._svg.selectAll('.dc-tabbable')
-                        .attr('tabindex', 0)
                         .on('focus', function () {
                             const dot = select(this);
                             chart._showDot(dot);
@@ -499,10 +500,11 @@ export class LineChart extends StackMixin {
     }
 
     _doRenderTitle (dot, d) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             dot.select('title').remove();
             dot.append('title').text(pluck('data', this.title(d.name)));
         }
+        this._tooltipTargets(dot, this.title(d.name), pluck('data'), d.name);
     }
 
     /**
@@ -599,3 +601,9 @@ export class LineChart extends StackMixin {
 }
 
 export const lineChart = (parent, chartGroup) => new LineChart(parent, chartGroup);
+
+chartTypeRegistry.register('LineChart', LineChart, {
+    mandatoryAttributes: ['dimension', 'group', 'x'],
+    filterTypes: ['RangedFilter'],
+    legendable: true
+});
@@ -1,8 +1,8 @@
-import {format} from 'd3-format';
 import {easeQuad} from 'd3-ease';
 import {interpolateNumber} from 'd3-interpolate';
 
 import {BaseMixin} from '../base/base-mixin';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const SPAN_CLASS = 'number-display';
 
@@ -37,7 +37,7 @@ export class NumberDisplay extends BaseMixin {
     constructor (parent, chartGroup) {
         super();
 
-        this._formatNumber = format('.2s');
+        this._formatNumber = null;
         this._html = {one: '', some: '', none: ''};
         this._lastValue = undefined;
         this._ariaLiveRegion = false;
@@ -105,6 +105,10 @@ export class NumberDisplay extends BaseMixin {
         return this.data();
     }
 
+    _exportRows () {
+        return [{value: this.value()}];
+    }
+
     _maxBin (all) {
         if (!all.length) {
             return null;
@@ -169,15 +173,21 @@ export class NumberDisplay extends BaseMixin {
         return this._doRender();
     }
 
+    _doDispose () {
+        this.selectAll(`.${SPAN_CLASS}`).remove();
+        super._doDispose();
+    }
+
     /**
-     * Get or set a function to format the value for the display.
+     * Get or set a function to format the value for the display. By default the format `'.2s'`
+     * of the {@link Locale locale} is used.
      * @see {@link https://github.com/d3/d3-format/blob/master/README.md#format d3.format}
      * @param {Function} [formatter=d3.format('.2s')]
      * @returns {Function|NumberDisplay}
      */
     formatNumber (formatter) {
         if (!arguments.length) {
-            return this._formatNumber;
+            return this._formatNumber || this.chartConfig().locale().format('.2s');
         }
         this._formatNumber = formatter;
         return this;
@@ -203,3 +213,9 @@ export class NumberDisplay extends BaseMixin {
 }
 
 export const numberDisplay = (parent, chartGroup) => new NumberDisplay(parent, chartGroup);
+
+chartTypeRegistry.register('NumberDisplay', NumberDisplay, {
+    mandatoryAttributes: ['group'],
+    filterTypes: [],
+    legendable: false
+});
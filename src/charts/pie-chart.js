@@ -8,6 +8,7 @@ import {ColorMixin} from '../base/color-mixin';
 import {BaseMixin} from '../base/base-mixin';
 import {transition} from '../core/core';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const DEFAULT_MIN_ANGLE_FOR_LABEL = 0.5;
 
@@ -46,7 +47,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
         this._sliceGroupCssClass = 'pie-slice-group';
         this._labelGroupCssClass = 'pie-label-group';
         this._emptyCssClass = 'empty-chart';
-        this._emptyTitle = 'empty';
+        this._emptyTitle = null;
 
         this._radius = undefined;
         this._givenRadius = undefined; // specified radius, if any
@@ -115,7 +116,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
         } else {
             // otherwise we'd be getting NaNs, so override
             // note: abuse others for its ignoring the value accessor
-            pieData = pieLayout([{key: this._emptyTitle, value: 1, others: [this._emptyTitle]}]);
+            pieData = pieLayout([{key: this.emptyTitle(), value: 1, others: [this.emptyTitle()]}]);
             this._g.classed(this._emptyCssClass, true);
         }
 
@@ -162,7 +163,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
     _createSlicePath (slicesEnter, arcs) {
         const slicePath = slicesEnter.append('path')
             .attr('fill', (d, i) => this._fill(d, i))
-            .on('click', adaptHandler(d => this._onClick(d)))
+            .on('click', adaptHandler((d, event) => this._onClick(d, event)))
             .attr('d', (d, i) => this._safeArc(d, i, arcs));
 
         if (this._keyboardAccessible) {
@@ -179,7 +180,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
     }
 
     _createTitles (slicesEnter) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             slicesEnter.append('title').text(d => this.title()(d.data));
         }
     }
@@ -219,7 +220,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
                     }
                     return classes;
                 })
-                .on('click', adaptHandler(d => this._onClick(d)))
+                .on('click', adaptHandler((d, event) => this._onClick(d, event)))
                 .on('mouseover', adaptHandler(d => {
                     this._highlightSlice(d.index, true);
                 }))
@@ -243,7 +244,7 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
             .enter()
             .append('polyline')
             .attr('class', (d, i) => `pie-path _${i} ${this._sliceCssClass}`)
-            .on('click', adaptHandler(d => this._onClick(d)))
+            .on('click', adaptHandler((d, event) => this._onClick(d, event)))
             .on('mouseover', adaptHandler(d => {
                 this._highlightSlice(d.index, true);
             }))
@@ -309,12 +310,13 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
     }
 
     _updateTitles (pieData) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             this._g.selectAll(`g.${this._sliceCssClass}`)
                 .data(pieData)
                 .select('title')
                 .text(d => this.title()(d.data));
         }
+        this._tooltipTargets(this._g.selectAll(`g.${this._sliceCssClass}`), this.title(), d => d.data);
     }
 
     _removeElements (slices, labels) {
@@ -457,9 +459,13 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
         return this.getColor(d.data, i);
     }
 
-    _onClick (d) {
+    _previewItems () {
+        return this._g && {items: this._g.selectAll(`g.${this._sliceCssClass}`), record: d => d.data};
+    }
+
+    _onClick (d, event) {
         if (this._g.attr('class') !== this._emptyCssClass) {
-            this.onClick(d.data);
+            this.onClick(d.data, event);
         }
     }
 
@@ -472,13 +478,14 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
     }
 
     /**
-     * Title to use for the only slice when there is no data.
-     * @param {String} [title]
+     * Title to use for the only slice when there is no data. By default the `empty` string of the
+     * {@link Locale locale} is used.
+     * @param {String} [title='empty']
      * @returns {String|PieChart}
      */
     emptyTitle (title) {
         if (arguments.length === 0) {
-            return this._emptyTitle;
+            return this._emptyTitle === null ? this.chartConfig().locale().string('empty') : this._emptyTitle;
         }
         this._emptyTitle = title;
         return this;
@@ -580,3 +587,9 @@ export class PieChart extends CapMixin(ColorMixin(BaseMixin)) {
 }
 
 export const pieChart = (parent, chartGroup) => new PieChart(parent, chartGroup);
+
+chartTypeRegistry.register('PieChart', PieChart, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: true
+});
@@ -7,6 +7,7 @@ import {MarginMixin} from '../base/margin-mixin';
 import {ColorMixin} from '../base/color-mixin';
 import {transition} from '../core/core';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * Concrete row chart implementation.
@@ -92,6 +93,7 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
         }
         axisG.attr('transform', `translate(0, ${this.effectiveHeight()})`);
 
+        this.chartConfig().locale().localizeAxis(this._xAxis);
         transition(axisG, this.transitionDuration(), this.transitionDelay())
             .call(this._xAxis);
     }
@@ -191,13 +193,13 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
         const rect = rows.attr('transform', (d, i) => `translate(0,${(i + 1) * this._gap + i * height})`).select('rect')
             .attr('height', height)
             .attr('fill', this.getColor)
-            .on('click', adaptHandler(d => this._onClick(d)))
+            .on('click', adaptHandler((d, event) => this._onClick(d, event)))
             .classed('dc-tabbable', this._keyboardAccessible)
             .classed('deselected', d => (this.hasFilter()) ? !this._isSelectedRow(d) : false)
             .classed('selected', d => (this.hasFilter()) ? this._isSelectedRow(d) : false);
 
         if (this._keyboardAccessible) {
-            this._makeKeyboardAccessible(adaptHandler(d => this._onClick(d)));
+            this._makeKeyboardAccessible((d, event) => this._onClick(d, event));
         }
 
         transition(rect, this.transitionDuration(), this.transitionDelay())
@@ -209,21 +211,22 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
     }
 
     _createTitles (rows) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             rows.select('title').remove();
             rows.append('title').text(this.title());
         }
+        this._tooltipTargets(rows, this.title());
     }
 
     _createLabels (rowEnter) {
         if (this.renderLabel()) {
             rowEnter.append('text')
-                .on('click', adaptHandler(d => this._onClick(d)));
+                .on('click', adaptHandler((d, event) => this._onClick(d, event)));
         }
         if (this.renderTitleLabel()) {
             rowEnter.append('text')
                 .attr('class', this._titleRowCssClass)
-                .on('click', adaptHandler(d => this._onClick(d)));
+                .on('click', adaptHandler((d, event) => this._onClick(d, event)));
         }
     }
 
@@ -233,7 +236,7 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
                 .attr('x', this._labelOffsetX)
                 .attr('y', this._labelOffsetY)
                 .attr('dy', this._dyOffset)
-                .on('click', adaptHandler(d => this._onClick(d)))
+                .on('click', adaptHandler((d, event) => this._onClick(d, event)))
                 .attr('class', (d, i) => `${this._rowCssClass} _${i}`)
                 .text(d => this.label()(d));
             transition(lab, this.transitionDuration(), this.transitionDelay())
@@ -245,7 +248,7 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
                 .attr('y', this._labelOffsetY)
                 .attr('dy', this._dyOffset)
                 .attr('text-anchor', 'end')
-                .on('click', adaptHandler(d => this._onClick(d)))
+                .on('click', adaptHandler((d, event) => this._onClick(d, event)))
                 .attr('class', (d, i) => `${this._titleRowCssClass} _${i}`)
                 .text(d => this.title()(d));
             transition(titlelab, this.transitionDuration(), this.transitionDelay())
@@ -266,8 +269,12 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
         return this;
     }
 
-    _onClick (d) {
-        this.onClick(d);
+    _previewItems () {
+        return this._g && {items: this._g.selectAll(`g.${this._rowCssClass} rect`), record: d => d};
+    }
+
+    _onClick (d, event) {
+        this.onClick(d, event);
     }
 
     _translateX (d) {
@@ -396,3 +403,9 @@ export class RowChart extends CapMixin(ColorMixin(MarginMixin)) {
 }
 
 export const rowChart = (parent, chartGroup) => new RowChart(parent, chartGroup);
+
+chartTypeRegistry.register('RowChart', RowChart, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value', 'NotInFilter'],
+    legendable: false
+});
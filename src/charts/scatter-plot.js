@@ -8,6 +8,7 @@ import {optionalTransition, transition} from '../core/core';
 import {filters} from '../core/filters';
 import {constants} from '../core/constants';
 import {events} from '../core/events';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * A scatter plot chart
@@ -161,6 +162,29 @@ export class ScatterPlot extends CoordinateGridMixin {
         }
     }
 
+    _doDispose () {
+        if (this._canvas) {
+            this._canvas.remove();
+            this._canvas = null;
+            this._context = null;
+        }
+        super._doDispose();
+    }
+
+    // the points drawn on the canvas are composited as an image behind the plot area
+    _prepareExport (svg) {
+        if (!this._canvas) {
+            return;
+        }
+        const image = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'image');
+        image.setAttribute('x', this.margins().left);
+        image.setAttribute('y', this.margins().top);
+        image.setAttribute('width', this.effectiveWidth());
+        image.setAttribute('height', this.effectiveHeight());
+        image.setAttribute('href', this._canvas.node().toDataURL('image/png'));
+        svg.insertBefore(image, svg.querySelector('g'));
+    }
+
     _resizeCanvas () {
         const width = this.effectiveWidth();
         const height = this.effectiveHeight();
@@ -347,10 +371,11 @@ export class ScatterPlot extends CoordinateGridMixin {
     }
 
     _renderTitles (_symbol, _d) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             _symbol.selectAll('title').remove();
             _symbol.append('title').text(d => this.title()(d));
         }
+        this._tooltipTargets(_symbol, this.title());
     }
 
     /**
@@ -600,6 +625,9 @@ export class ScatterPlot extends CoordinateGridMixin {
         return !brushSelection || brushSelection[0][0] >= brushSelection[1][0] || brushSelection[0][1] >= brushSelection[1][1];
     }
 
+    // the two dimensional brush is not operable from the keyboard
+    _makeBrushKeyboardAccessible () {}
+
     _brushing (evt) {
         if (this._ignoreBrushEvents) {
             return;
@@ -624,12 +652,12 @@ export class ScatterPlot extends CoordinateGridMixin {
 
         this.redrawBrush(brushSelection, false);
 
-        const ranged2DFilter = brushIsEmpty ? null : filters.RangedTwoDimensionalFilter(brushSelection);
+        const ranged2DFilter = brushIsEmpty ? null : filters.RangedTwoDimensionalFilter(brushSelection, this.brushBounds());
 
         events.trigger(() => {
             this.replaceFilter(ranged2DFilter);
-            this.redrawGroup();
-        }, constants.EVENT_DELAY);
+            this.scheduleRedrawGroup();
+        }, constants.EVENT_DELAY, `brush${this.chartID()}`);
     }
 
     redrawBrush (brushSelection, doTransition) {
@@ -667,3 +695,9 @@ export class ScatterPlot extends CoordinateGridMixin {
 }
 
 export const scatterPlot = (parent, chartGroup) => new ScatterPlot(parent, chartGroup);
+
+chartTypeRegistry.register('ScatterPlot', ScatterPlot, {
+    mandatoryAttributes: ['dimension', 'group', 'x'],
+    filterTypes: ['RangedTwoDimensionalFilter'],
+    legendable: true
+});
@@ -2,6 +2,7 @@ import {events} from '../core/events';
 import {BaseMixin} from '../base/base-mixin';
 import {logger} from '../core/logger';
 import {adaptHandler} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const SELECT_CSS_CLASS = 'dc-select-menu';
 const OPTION_CSS_CLASS = 'dc-select-option';
@@ -34,7 +35,7 @@ export class SelectMenu extends BaseMixin {
         super();
 
         this._select = undefined;
-        this._promptText = 'Select all';
+        this._promptText = null;
         this._multiple = false;
         this._promptValue = null;
         this._numberVisible = null;
@@ -60,7 +61,7 @@ export class SelectMenu extends BaseMixin {
         this.select('select').remove();
         this._select = this.root().append('select')
             .classed(SELECT_CSS_CLASS, true);
-        this._select.append('option').text(this._promptText).attr('value', '');
+        this._select.append('option').text(this.promptText()).attr('value', '');
 
         this._doRedraw();
         return this;
@@ -81,6 +82,12 @@ export class SelectMenu extends BaseMixin {
         return this;
     }
 
+    _doDispose () {
+        this.select('select').remove();
+        this._select = undefined;
+        super._doDispose();
+    }
+
     _renderOptions () {
         const options = this._select.selectAll(`option.${OPTION_CSS_CLASS}`)
             .data(this.data(), d => this.keyAccessor()(d));
@@ -169,7 +176,8 @@ export class SelectMenu extends BaseMixin {
     }
 
     /**
-     * Get or set the text displayed in the options used to prompt selection.
+     * Get or set the text displayed in the options used to prompt selection. By default the
+     * `selectAll` string of the {@link Locale locale} is used.
      * @param {String} [promptText='Select all']
      * @returns {String|SelectMenu}
      * @example
@@ -177,7 +185,7 @@ export class SelectMenu extends BaseMixin {
      */
     promptText (promptText) {
         if (!arguments.length) {
-            return this._promptText;
+            return this._promptText === null ? this.chartConfig().locale().string('selectAll') : this._promptText;
         }
         this._promptText = promptText;
         return this;
@@ -264,3 +272,9 @@ export class SelectMenu extends BaseMixin {
 }
 
 export const selectMenu = (parent, chartGroup) => new SelectMenu(parent, chartGroup);
+
+chartTypeRegistry.register('SelectMenu', SelectMenu, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['value'],
+    legendable: false
+});
@@ -4,6 +4,7 @@ import {CompositeChart} from './composite-chart';
 import {lineChart} from './line-chart';
 import {utils} from '../core/utils';
 import {compatNestHelper} from '../core/d3compat';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 /**
  * A series chart is a chart that shows multiple series of data overlaid on one chart, where the
@@ -101,6 +102,11 @@ export class SeriesChart extends CompositeChart {
         delete this._charts[c];
     }
 
+    _doDispose () {
+        super._doDispose();
+        this._charts = {};
+    }
+
     _resetChildren () {
         Object.keys(this._charts).map(this._clearChart.bind(this));
         this._charts = {};
@@ -189,3 +195,9 @@ export class SeriesChart extends CompositeChart {
 }
 
 export const seriesChart = (parent, chartGroup) => new SeriesChart(parent, chartGroup);
+
+chartTypeRegistry.register('SeriesChart', SeriesChart, {
+    mandatoryAttributes: ['seriesAccessor', 'chart'],
+    filterTypes: ['RangedFilter'],
+    legendable: true
+});
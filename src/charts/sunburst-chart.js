@@ -13,6 +13,7 @@ import {ColorMixin} from '../base/color-mixin';
 import {BaseMixin} from '../base/base-mixin';
 import {constants} from '../core/constants';
 import {BadArgumentException} from '../core/bad-argument-exception';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const DEFAULT_MIN_ANGLE_FOR_LABEL = 0.5;
 
@@ -50,7 +51,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
 
         this._sliceCssClass = 'pie-slice';
         this._emptyCssClass = 'empty-chart';
-        this._emptyTitle = 'empty';
+        this._emptyTitle = null;
 
         this._radius = undefined;
         this._givenRadius = undefined; // given radius, if any
@@ -172,7 +173,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
     _createSlicePath (slicesEnter, arcs) {
         const slicePath = slicesEnter.append('path')
             .attr('fill', (d, i) => this._fill(d, i))
-            .on('click', adaptHandler(d => this.onClick(d)))
+            .on('click', adaptHandler((d, event) => this.onClick(d, event)))
             .classed('dc-tabbable', this._keyboardAccessible)
             .attr('d', d => this._safeArc(arcs, d));
 
@@ -190,7 +191,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
     }
 
     _createTitles (slicesEnter) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             slicesEnter.append('title').text(d => this.title()(d));
         }
     }
@@ -225,7 +226,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
                     }
                     return classes;
                 })
-                .on('click', adaptHandler(d => this.onClick(d)));
+                .on('click', adaptHandler((d, event) => this.onClick(d, event)));
             this._positionLabels(labelsEnter, arcs);
         }
     }
@@ -260,12 +261,13 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
     }
 
     _updateTitles (sunburstData) {
-        if (this.renderTitle()) {
+        if (this._renderTitleElements()) {
             this._g.selectAll(`g.${this._sliceCssClass}`)
                 .data(sunburstData)
                 .select('title')
                 .text(d => this.title()(d));
         }
+        this._tooltipTargets(this._g.selectAll(`g.${this._sliceCssClass}`), this.title());
     }
 
     _removeElements (slices) {
@@ -358,13 +360,14 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
     }
 
     /**
-     * Title to use for the only slice when there is no data.
-     * @param {String} [title]
+     * Title to use for the only slice when there is no data. By default the `empty` string of the
+     * {@link Locale locale} is used.
+     * @param {String} [title='empty']
      * @returns {String|SunburstChart}
      */
     emptyTitle (title) {
         if (arguments.length === 0) {
-            return this._emptyTitle;
+            return this._emptyTitle === null ? this.chartConfig().locale().string('empty') : this._emptyTitle;
         }
         this._emptyTitle = title;
         return this;
@@ -604,7 +607,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
         return this.getColor(d.data, i);
     }
 
-    onClick (d) {
+    onClick (d, event) {
         if (this._g.attr('class') === this._emptyCssClass) {
             return;
         }
@@ -613,6 +616,14 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
         const path = d.path || d.key;
         const filter = filters.HierarchyFilter(path);
 
+        if (!this._addsToSelection(event)) {
+            events.trigger(() => {
+                this._select([filter], event);
+                this.redrawGroup();
+            });
+            return;
+        }
+
         // filters are equal to parents or children of the path.
         const filtersList = this._filtersForPath(path);
         let exactMatch = false;
@@ -627,7 +638,7 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
         events.trigger(() => {
             // if it is a new filter - put it in.
             if (!exactMatch) {
-                this.filter(filter);
+                this._select([filter], event);
             }
             this.redrawGroup();
         });
@@ -704,3 +715,9 @@ export class SunburstChart extends ColorMixin(BaseMixin) {
 }
 
 export const sunburstChart = (parent, chartGroup) => new SunburstChart(parent, chartGroup);
+
+chartTypeRegistry.register('SunburstChart', SunburstChart, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: ['HierarchyFilter'],
+    legendable: true
+});
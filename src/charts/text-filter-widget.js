@@ -1,6 +1,5 @@
 import {BaseMixin} from '../base/base-mixin';
-import {constants} from '../core/constants';
-import {events} from '../core/events';
+import {chartTypeRegistry} from '../core/chart-type-registry';
 
 const INPUT_CSS_CLASS = 'dc-text-filter-input';
 
@@ -45,7 +44,7 @@ export class TextFilterWidget extends BaseMixin {
             return d => this._normalize(d).indexOf(query) !== -1;
         };
 
-        this._placeHolder = 'search';
+        this._placeHolder = null;
 
         this.group(() => {
             throw 'the group function on textFilterWidget should never be called, please report the issue';
@@ -63,9 +62,7 @@ export class TextFilterWidget extends BaseMixin {
         const chart = this;
         this._input.on('input', function () {
             chart.dimension().filterFunction(chart._filterFunctionFactory(this.value));
-            events.trigger(() => {
-                chart.redrawGroup();
-            }, constants.EVENT_DELAY);
+            chart.scheduleRedrawGroup();
         });
 
         this._doRedraw();
@@ -73,13 +70,24 @@ export class TextFilterWidget extends BaseMixin {
         return this;
     }
 
+    // the widget does not show any data
+    _exportRows () {
+        return [];
+    }
+
     _doRedraw () {
         this.root().selectAll('input')
-            .attr('placeholder', this._placeHolder);
+            .attr('placeholder', this.placeHolder());
 
         return this;
     }
 
+    _doDispose () {
+        this.select('input').remove();
+        this._input = undefined;
+        super._doDispose();
+    }
+
     /**
      * This function will be called on values before calling the filter function.
      * @example
@@ -99,7 +107,8 @@ export class TextFilterWidget extends BaseMixin {
     }
 
     /**
-     * Placeholder text in the search box.
+     * Placeholder text in the search box. By default the `search` string of the
+     * {@link Locale locale} is used.
      * @example
      * // This is the default
      * chart.placeHolder('type to filter');
@@ -108,7 +117,7 @@ export class TextFilterWidget extends BaseMixin {
      */
     placeHolder (placeHolder) {
         if (!arguments.length) {
-            return this._placeHolder;
+            return this._placeHolder === null ? this.chartConfig().locale().string('search') : this._placeHolder;
         }
         this._placeHolder = placeHolder;
         return this;
@@ -138,3 +147,9 @@ export class TextFilterWidget extends BaseMixin {
 }
 
 export const textFilterWidget = (parent, chartGroup) => new TextFilterWidget(parent, chartGroup);
+
+chartTypeRegistry.register('TextFilterWidget', TextFilterWidget, {
+    mandatoryAttributes: ['dimension', 'group'],
+    filterTypes: [],
+    legendable: false
+});
@@ -0,0 +1,317 @@
+import {select} from 'd3-selection';
+
+import {adaptHandler} from '../core/d3compat';
+import {utils} from '../core/utils';
+
+const TOOLTIP_CLASS = 'dc-tooltip';
+const TOOLTIP_ID = 'dc-tooltip';
+
+// the elements showing titles, mapped to the chart, the record and the title function; children of
+// composite charts register their elements too, so this is shared by all tooltips
+const targets = new WeakMap();
+
+// the tooltip which is shown; the others leave it alone when they are hidden
+let shownTooltip;
+
+const escapeHtml = s => `${s}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const titleHtml = title => escapeHtml(title).replace(/\n/g, '<br>');
+
+const keyValue = key => key === null || key === undefined ? key : key.valueOf();
+
+const defaultTemplate = items => {
+    if (items.length === 1) {
+        return titleHtml(items[0].title);
+    }
+    const key = utils.printSingleValue(items[0].key, items[0].chart.chartConfig());
+    const header = `<div class="${TOOLTIP_CLASS}-key">${escapeHtml(key)}</div>`;
+    return header + items.map(item => {
+        const swatch = item.color ? `<span class="${TOOLTIP_CLASS}-swatch" style="background:${item.color}"></span>` : '';
+        const name = item.name ? `${escapeHtml(item.name)}: ` : '';
+        return `<div class="${TOOLTIP_CLASS}-item">${swatch}${name}${titleHtml(item.title)}</div>`;
+    }).join('');
+};
+
+// place the tooltip after the pointer, or before it where it would run off the page
+const place = (position, size, offset, end) => {
+    if (position + offset + size > end) {
+        return Math.max(0, position - offset - size);
+    }
+    return position + offset;
+};
+
+// the html element of the tooltip is shared by all charts of the page, since only one is shown at a time
+const tooltipDiv = doc => {
+    let div = select(doc.body).select(`div.${TOOLTIP_CLASS}`);
+    if (div.empty()) {
+        div = select(doc.body).append('div')
+            .attr('class', TOOLTIP_CLASS)
+            .attr('id', TOOLTIP_ID)
+            .attr('role', 'tooltip')
+            .style('position', 'absolute')
+            .style('pointer-events', 'none')
+            .style('display', 'none');
+    }
+    return div;
+};
+
+/**
+ * Tooltip is an attachable widget that shows the {@link BaseMixin#title titles} of a chart in an HTML
+ * tooltip following the pointer, instead of in SVG `<title>` elements. Unlike those, the tooltip
+ * appears immediately, can hold formatting, is shown when an element is tapped on touch devices, and
+ * when it gets the keyboard focus in a {@link BaseMixin#keyboardAccessible keyboard accessible} chart.
+ *
+ * In {@link Tooltip#shared shared} mode, the tooltip lists the items of every series at the hovered key,
+ * e.g. of all the stacks of a stacked chart or of all the children of a
+ * {@link CompositeChart CompositeChart} or {@link SeriesChart SeriesChart}.
+ *
+ * The tooltip is shown for bar, line (its data points), pie, row, sunburst, heat map, bubble, scatter
+ * (drawn as SVG) and geo choropleth charts.
+ * @example
+ * chart.tooltip(new Tooltip().shared(true))
+ * @returns {Tooltip}
+ */
+export class Tooltip {
+    constructor () {
+        this._parent = undefined;
+        this._template = defaultTemplate;
+        this._shared = false;
+        this._offset = 12;
+        this._focusedElement = undefined;
+        // the target elements by key, for the shared mode
+        this._targetsByKey = new Map();
+    }
+
+    parent (p) {
+        if (!arguments.length) {
+            return this._parent;
+        }
+        this._parent = p;
+        return this;
+    }
+
+    /**
+     * Set or get the function generating the HTML content of the tooltip. It is called with the array
+     * of hovered items: the one element hovered, or in {@link Tooltip#shared shared} mode the items of
+     * all series at the hovered key. Each item has the properties
+     * - `chart`: the chart which drew the element, e.g. a child of a composite chart,
+     * - `data`: the record of the group which the element shows,
+     * - `key`: the key of the record,
+     * - `title`: the {@link BaseMixin#title title} of the record,
+     * - `name`: the name of the stack or series, if any, and
+     * - `color`: the fill color of the element.
+     *
+     * The default template shows the title, with line breaks kept, or if there are several items the
+     * key followed by the color, name and title of each item. The content of the template is not escaped.
+     * @example
+     * tooltip.template(function (items) {
+     *     return '<b>' + items[0].key + '</b>: ' + items[0].data.value;
+     * });
+     * @param {Function} [template]
+     * @returns {Function|Tooltip}
+     */
+    template (template) {
+        if (!arguments.length) {
+            return this._template;
+        }
+        this._template = template;
+        return this;
+    }
+
+    /**
+     * Turn on/off the shared mode, in which the tooltip lists the items of all series of the chart at
+     * the hovered key.
+     * @param {Boolean} [shared=false]
+     * @returns {Boolean|Tooltip}
+     */
+    shared (shared) {
+        if (!arguments.length) {
+            return this._shared;
+        }
+        this._shared = shared;
+        return this;
+    }
+
+    /**
+     * Set or get the distance in pixels between the pointer and the tooltip.
+     * @param {Number} [offset=12]
+     * @returns {Number|Tooltip}
+     */
+    offset (offset) {
+        if (!arguments.length) {
+            return this._offset;
+        }
+        this._offset = offset;
+        return this;
+    }
+
+    // called by the charts with the elements showing titles; record maps the datum of an element to
+    // the record of the group
+    addTargets (chart, selection, title, record, name) {
+        this._pruneTargets();
+        const targetsByKey = this._targetsByKey;
+        selection.each(function (d) {
+            targets.set(this, {chart, title, record, name});
+            const key = keyValue(chart.keyAccessor()(record(d)));
+            if (!targetsByKey.has(key)) {
+                targetsByKey.set(key, new Set());
+            }
+            targetsByKey.get(key).add(this);
+        });
+        return this;
+    }
+
+    render () {
+        const root = this._parent.root();
+        const doc = root.node().ownerDocument;
+        root
+            .on('mouseover.tooltip mousemove.tooltip touchstart.tooltip', adaptHandler((d, event) => this._pointed(event)))
+            .on('mouseleave.tooltip', () => this.hide())
+            .on('focusin.tooltip', adaptHandler((d, event) => this._focus(event.target)))
+            .on('focusout.tooltip', () => this.hide());
+        // taps elsewhere hide the tooltip, since there is no pointer leaving the chart
+        select(doc).on(`touchstart.tooltip-${this._parent.chartID()}`, adaptHandler((d, event) => {
+            if (shownTooltip === this && !root.node().contains(event.target)) {
+                this.hide();
+            }
+        }));
+        return this;
+    }
+
+    /**
+     * Show the tooltip with the given items at the given page coordinates; see
+     * {@link Tooltip#template template} for the items.
+     * @param {Array<Object>} items
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {Tooltip}
+     */
+    show (items, x, y) {
+        const doc = this._parent.root().node().ownerDocument;
+        const div = tooltipDiv(doc)
+            .html(this._template(items))
+            .style('display', null);
+        shownTooltip = this;
+        const node = div.node();
+        const view = doc.defaultView;
+        const right = view.pageXOffset + (doc.documentElement.clientWidth || Infinity);
+        const bottom = view.pageYOffset + (doc.documentElement.clientHeight || Infinity);
+        div.style('left', `${place(x, node.offsetWidth, this._offset, right)}px`)
+            .style('top', `${place(y, node.offsetHeight, this._offset, bottom)}px`);
+        return this;
+    }
+
+    /**
+     * Hide the tooltip, if it is shown by this chart.
+     * @returns {Tooltip}
+     */
+    hide () {
+        if (this._focusedElement) {
+            select(this._focusedElement).attr('aria-describedby', null);
+            this._focusedElement = undefined;
+        }
+        if (shownTooltip === this) {
+            tooltipDiv(this._parent.root().node().ownerDocument).style('display', 'none');
+            shownTooltip = undefined;
+        }
+        return this;
+    }
+
+    /**
+     * Remove the tooltip from its chart. This is called by {@link BaseMixin#dispose BaseMixin.dispose}.
+     * @returns {Tooltip}
+     */
+    dispose () {
+        if (this._parent && this._parent.root()) {
+            this.hide();
+            const root = this._parent.root();
+            root.on('.tooltip', null);
+            select(root.node().ownerDocument).on(`touchstart.tooltip-${this._parent.chartID()}`, null);
+        }
+        this._parent = undefined;
+        this._targetsByKey.clear();
+        return this;
+    }
+
+    // forget the elements which were removed from the page
+    _pruneTargets () {
+        this._targetsByKey.forEach((nodes, key) => {
+            nodes.forEach(node => {
+                if (!node.isConnected) {
+                    nodes.delete(node);
+                }
+            });
+            if (!nodes.size) {
+                this._targetsByKey.delete(key);
+            }
+        });
+    }
+
+    _targetOf (node) {
+        const svg = this._parent.svg() && this._parent.svg().node();
+        while (node && node !== svg) {
+            if (targets.has(node)) {
+                return node;
+            }
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    _item (node) {
+        const target = targets.get(node);
+        const data = target.record(select(node).datum());
+        const shape = node.getAttribute('fill') ? node : node.querySelector('[fill]');
+        return {
+            chart: target.chart,
+            data,
+            key: target.chart.keyAccessor()(data),
+            title: target.title(data),
+            name: target.name,
+            color: shape ? shape.getAttribute('fill') : undefined
+        };
+    }
+
+    _items (node) {
+        const item = this._item(node);
+        if (!this._shared) {
+            return [item];
+        }
+        const key = keyValue(item.key);
+        const svg = this._parent.svg().node();
+        const nodes = Array.from(this._targetsByKey.get(key) || [])
+            .filter(n => svg.contains(n))
+            // in document order, as the series are drawn
+            .sort((a, b) => a.compareDocumentPosition(b) & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        // an element may show another key since it was registered
+        return nodes.map(n => this._item(n)).filter(i => keyValue(i.key) === key);
+    }
+
+    _pointed (event) {
+        const node = this._targetOf(event.target);
+        if (!node) {
+            this.hide();
+            return;
+        }
+        const point = event.touches && event.touches.length ? event.touches[0] : event;
+        const view = node.ownerDocument.defaultView;
+        this.show(this._items(node), point.clientX + view.pageXOffset, point.clientY + view.pageYOffset);
+    }
+
+    _focus (element) {
+        const node = this._targetOf(element);
+        if (!node) {
+            this.hide();
+            return;
+        }
+        const view = node.ownerDocument.defaultView;
+        const rect = node.getBoundingClientRect();
+        this.show(this._items(node), rect.left + view.pageXOffset + rect.width / 2, rect.top + view.pageYOffset + rect.height / 2);
+        this._focusedElement = element;
+        select(element).attr('aria-describedby', TOOLTIP_ID);
+    }
+}
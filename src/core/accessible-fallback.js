@@ -0,0 +1,156 @@
+import {ascending, max, min, sum} from 'd3-array';
+
+import {utils} from './utils';
+
+const FALLBACK_CLASS = 'dc-accessible-fallback';
+
+// the usual way of hiding content from view while leaving it to screen readers
+const VISUALLY_HIDDEN = {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    margin: '-1px',
+    padding: '0',
+    border: '0',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    'white-space': 'nowrap'
+};
+
+const fillTemplate = (template, values) => template.replace(/%([\w-]+)/g, (match, name) => name in values ? values[name] : match);
+
+// the columns of all rows, with the key first since stacks named by their index would come before it
+const columnsOf = rows => rows.reduce((columns, row) => columns.concat(Object.keys(row).filter(c => columns.indexOf(c) === -1)), [])
+    .sort((a, b) => (b === 'key') - (a === 'key'));
+
+// the key of a row, or for rows without one like those of heat maps, the other columns except the value
+const rowKey = row => {
+    if ('key' in row) {
+        return row.key;
+    }
+    return Object.keys(row).filter(c => c !== 'value').map(c => row[c]).join(' / ');
+};
+
+// the value of a row, or for stacked charts the total of the stacks
+const rowValue = row => {
+    if ('value' in row) {
+        return row.value;
+    }
+    return sum(Object.keys(row).filter(c => c !== 'key' && typeof row[c] === 'number'), c => row[c]);
+};
+
+const isSelected = (chart, key) => chart.filters().some(filter => {
+    if (filter && filter.isFiltered) {
+        return filter.isFiltered(key);
+    }
+    return filter <= key && filter >= key;
+});
+
+const trendString = (first, last) => {
+    if (last > first) {
+        return 'summaryRising';
+    }
+    return last < first ? 'summaryFalling' : 'summaryFlat';
+};
+
+// a summary of the data a chart shows in the language of the chart: the number of items, the lowest and
+// highest value and the total, the trend if the keys are dates, and the filters as the filter printer prints them
+export const chartSummary = function (chart) {
+    const locale = chart.chartConfig().locale();
+    const print = value => utils.printSingleValue(value, chart.chartConfig());
+    const rows = chart._exportRows();
+    const values = rows.map(rowValue);
+    const sentences = [fillTemplate(locale.string('summaryItems'), {count: rows.length})];
+
+    if (rows.length) {
+        const lowest = values.indexOf(min(values));
+        const highest = values.indexOf(max(values));
+        sentences.push(fillTemplate(locale.string('summaryValues'), {
+            min: print(values[lowest]),
+            'min-key': print(rowKey(rows[lowest])),
+            max: print(values[highest]),
+            'max-key': print(rowKey(rows[highest])),
+            total: print(sum(values))
+        }));
+    }
+    if (rows.length > 1 && rows[0].key instanceof Date) {
+        const series = rows.map((row, i) => ({key: row.key, value: values[i]}))
+            .sort((a, b) => ascending(a.key, b.key));
+        const first = series[0].value, last = series[series.length - 1].value;
+        sentences.push(fillTemplate(locale.string(trendString(first, last)), {first: print(first), last: print(last)}));
+    }
+    if (chart.hasFilter() || chart.drillLevel()) {
+        sentences.push(fillTemplate(locale.string('summaryFilter'), {filter: chart._printFilters()}));
+    }
+    return sentences.join(' ');
+};
+
+const renderSummary = (fallback, chart, summary) => {
+    const paragraph = fallback.selectAll('p.dc-summary').data(summary ? [chartSummary(chart)] : []);
+    paragraph.exit().remove();
+    paragraph.enter().insert('p', ':first-child')
+        .attr('class', 'dc-summary')
+        .merge(paragraph)
+        .text(d => d);
+};
+
+const renderTable = (fallback, chart, table) => {
+    const locale = chart.chartConfig().locale();
+    const rows = table ? chart._exportRows() : [];
+    const columns = columnsOf(rows);
+    const selected = chart.hasFilter() && columns.indexOf('key') !== -1;
+    const headers = columns.concat(selected ? [locale.string('selected')] : []);
+    const print = value => value === undefined ? '' : utils.printSingleValue(value, chart.chartConfig());
+
+    const tableSel = fallback.selectAll('table').data(table ? [0] : []);
+    tableSel.exit().remove();
+    const tableEnter = tableSel.enter().append('table');
+    tableEnter.append('caption');
+    tableEnter.append('thead').append('tr');
+    tableEnter.append('tbody');
+    const tableUpdate = tableEnter.merge(tableSel);
+    if (!table) {
+        return;
+    }
+    tableUpdate.select('caption').text(chart.svgDescription());
+
+    const th = tableUpdate.select('thead tr').selectAll('th').data(headers);
+    th.exit().remove();
+    th.enter().append('th')
+        .attr('scope', 'col')
+        .merge(th)
+        .text(d => d);
+
+    const tr = tableUpdate.select('tbody').selectAll('tr').data(rows);
+    tr.exit().remove();
+    const cells = tr.enter().append('tr')
+        .merge(tr)
+        .selectAll('td')
+        .data(row => columns.map(c => print(row[c]))
+            .concat(selected ? [isSelected(chart, row.key) ? locale.string('yes') : ''] : []));
+    cells.exit().remove();
+    cells.enter().append('td')
+        .merge(cells)
+        .text(d => d);
+};
+
+// render or update the visually hidden fallback of a chart for screen readers, after its svg
+export const renderAccessibleFallback = function (chart, options) {
+    let fallback = chart.root().select(`div.${FALLBACK_CLASS}`);
+    if (!options.table && !options.summary) {
+        fallback.remove();
+        return;
+    }
+    if (fallback.empty()) {
+        fallback = chart.root().append('div')
+            .attr('class', FALLBACK_CLASS)
+            .attr('aria-live', 'polite');
+        Object.keys(VISUALLY_HIDDEN).forEach(property => fallback.style(property, VISUALLY_HIDDEN[property]));
+    }
+    renderSummary(fallback, chart, options.summary);
+    renderTable(fallback, chart, options.table);
+};
+
+export const removeAccessibleFallback = function (chart) {
+    chart.root().select(`div.${FALLBACK_CLASS}`).remove();
+};
@@ -1,5 +1,18 @@
+import {dispatch} from 'd3-dispatch';
+
 import {constants} from './constants';
 import {config} from './config';
+import {serializers} from './serializers';
+
+const GROUP_EVENTS = [
+    'chartRegistered',
+    'chartDeregistered',
+    'filtered',
+    'preRender',
+    'postRender',
+    'preRedraw',
+    'postRedraw'
+];
 
 /**
  * The ChartRegistry maintains sets of all instantiated dc.js charts under named groups
@@ -11,11 +24,18 @@ import {config} from './config';
  * {@link renderAll renderAll}, {@link redrawAll redrawAll}, or chart functions
  * {@link baseMixin#renderGroup baseMixin.renderGroup},
  * {@link baseMixin#redrawGroup baseMixin.redrawGroup} are called.
+ *
+ * The registry also dispatches events for the chart groups as a whole; see
+ * {@link ChartRegistry#on ChartRegistry.on} and {@link ChartRegistry#onGroup ChartRegistry.onGroup}.
  */
 class ChartRegistry {
     constructor () {
         // chartGroup:string => charts:array
         this._chartMap = {};
+
+        this._listeners = dispatch(...GROUP_EVENTS);
+        // chartGroup:string => d3.dispatch
+        this._groupListeners = {};
     }
 
     _initializeChartGroup (group) {
@@ -55,6 +75,7 @@ class ChartRegistry {
         const _chartMap = this._chartMap;
         group = this._initializeChartGroup(group);
         _chartMap[group].push(chart);
+        this._notify('chartRegistered', group, chart, group);
     }
 
     /**
@@ -68,7 +89,8 @@ class ChartRegistry {
         group = this._initializeChartGroup(group);
         for (let i = 0; i < (this._chartMap)[group].length; i++) {
             if ((this._chartMap)[group][i].anchorName() === chart.anchorName()) {
-                (this._chartMap)[group].splice(i, 1);
+                const removed = (this._chartMap)[group].splice(i, 1)[0];
+                this._notify('chartDeregistered', group, removed, group);
                 break;
             }
         }
@@ -80,11 +102,12 @@ class ChartRegistry {
      * @return {undefined}
      */
     clear (group) {
-        if (group) {
-            delete (this._chartMap)[group];
-        } else {
-            this._chartMap = {};
-        }
+        const groups = group ? [group] : Object.keys(this._chartMap);
+        groups.forEach(g => {
+            const charts = (this._chartMap)[g] || [];
+            delete (this._chartMap)[g];
+            charts.forEach(chart => this._notify('chartDeregistered', g, chart, g));
+        });
     }
 
     /**
@@ -97,6 +120,65 @@ class ChartRegistry {
         group = this._initializeChartGroup(group);
         return (this._chartMap)[group];
     }
+
+    /**
+     * Attach a listener for events of all chart groups.
+     *
+     * Supports the following events:
+     * * `chartRegistered` - a chart has been added to a group, invoked with the chart and the group name.
+     * * `chartDeregistered` - a chart has been removed from a group, invoked with the chart and the group
+     * name.
+     * * `filtered` - the filters of a chart have changed, invoked with the source chart, its new filters
+     * and the group name.
+     * * `preRender`, `postRender` - invoked with the group name before and after
+     * {@link renderAll renderAll} renders the group.
+     * * `preRedraw`, `postRedraw` - invoked with the group name before and after
+     * {@link redrawAll redrawAll} redraws the group.
+     *
+     * As with {@link BaseMixin#on chart.on}, multiple listeners for the same event can be attached by
+     * giving each one a name, e.g. `filtered.myListener`; passing `null` removes the listener.
+     * The group name passed to listeners is `constants.DEFAULT_CHART_GROUP` for the default group.
+     * @see {@link https://github.com/d3/d3-dispatch/blob/master/README.md#dispatch_on d3.dispatch.on}
+     * @example
+     * chartRegistry.on('filtered.log', function (chart, filters, group) {
+     *     console.log(group, chart.anchorName(), filters);
+     * });
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {ChartRegistry}
+     */
+    on (event, listener) {
+        this._listeners.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Attach a listener for events of a single chart group. Supports the same events as
+     * {@link ChartRegistry#on ChartRegistry.on}.
+     * @example
+     * chartRegistry.onGroup('chartGroupA', 'postRedraw.summary', function (group) {
+     *     updateSummary();
+     * });
+     * @param {String} group - Group name; if falsy, the default group is used
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {ChartRegistry}
+     */
+    onGroup (group, event, listener) {
+        group = group || constants.DEFAULT_CHART_GROUP;
+        if (!(this._groupListeners)[group]) {
+            (this._groupListeners)[group] = dispatch(...GROUP_EVENTS);
+        }
+        (this._groupListeners)[group].on(event, listener);
+        return this;
+    }
+
+    _notify (event, group, ...args) {
+        this._listeners.apply(event, this, args);
+        if ((this._groupListeners)[group]) {
+            (this._groupListeners)[group].apply(event, this, args);
+        }
+    }
 }
 
 /**
@@ -149,6 +231,19 @@ export const deregisterAllCharts = function (group) {
     chartRegistry.clear(group);
 };
 
+/**
+ * {@link BaseMixin#dispose Dispose} all charts in the given chart group. If the chart group is not
+ * given then only charts that belong to the default chart group will be disposed.
+ * @function disposeAll
+ * @param {String} [group]
+ * @return {undefined}
+ */
+export const disposeAll = function (group) {
+    chartRegistry.list(group).slice().forEach(chart => {
+        chart.dispose();
+    });
+};
+
 /**
  * Clear all filters on all charts within the given chart group. If the chart group is not given then
  * only charts that belong to the default chart group will be reset.
@@ -182,12 +277,21 @@ export const refocusAll = function (group) {
 /**
  * Re-render all charts belong to the given chart group. If the chart group is not given then only
  * charts that belong to the default chart group will be re-rendered.
+ *
+ * Returns a promise which resolves once the transitions of every chart in the group have finished;
+ * see {@link BaseMixin#settled BaseMixin.settled}.
  * @function renderAll
+ * @example
+ * renderAll().then(function () {
+ *     // all charts have settled
+ * });
  * @param {String} [group]
- * @return {undefined}
+ * @returns {Promise}
  */
 export const renderAll = function (group) {
     const charts = chartRegistry.list(group);
+    const groupName = group || constants.DEFAULT_CHART_GROUP;
+    chartRegistry._notify('preRender', groupName, groupName);
     for (let i = 0; i < charts.length; ++i) {
         charts[i].render();
     }
@@ -195,6 +299,9 @@ export const renderAll = function (group) {
     if (config._renderlet !== null) {
         config._renderlet(group);
     }
+    chartRegistry._notify('postRender', groupName, groupName);
+
+    return settleAll(group);
 };
 
 /**
@@ -202,12 +309,17 @@ export const renderAll = function (group) {
  * that belong to the default chart group will be re-drawn. Redraw is different from re-render since
  * when redrawing dc tries to update the graphic incrementally, using transitions, instead of starting
  * from scratch.
+ *
+ * Returns a promise which resolves once the transitions of every chart in the group have finished;
+ * see {@link BaseMixin#settled BaseMixin.settled}.
  * @function redrawAll
  * @param {String} [group]
- * @return {undefined}
+ * @returns {Promise}
  */
 export const redrawAll = function (group) {
     const charts = chartRegistry.list(group);
+    const groupName = group || constants.DEFAULT_CHART_GROUP;
+    chartRegistry._notify('preRedraw', groupName, groupName);
     for (let i = 0; i < charts.length; ++i) {
         charts[i].redraw();
     }
@@ -215,4 +327,98 @@ export const redrawAll = function (group) {
     if (config._renderlet !== null) {
         config._renderlet(group);
     }
+    chartRegistry._notify('postRedraw', groupName, groupName);
+
+    return settleAll(group);
+};
+
+/**
+ * Serialize the filters of every chart in the given chart group into a JSON string, e.g. to
+ * bookmark or share the state of a dashboard. Typed filters such as
+ * {@link filters.RangedFilter RangedFilter} and dates are preserved; see {@link serializers}.
+ *
+ * Charts are keyed by {@link BaseMixin#chartID chartID} unless a `chartKey` function is given.
+ * Since chart IDs depend on the order in which charts are created, a key which is stable across page
+ * loads, such as the anchor name, is usually a better choice for bookmarks. Charts without filters
+ * are omitted. A chart which has {@link BaseMixin#drillDown drilled} into a key is saved as an object
+ * holding its `filters` and `drillPath` instead of the list of its filters. Pass the result through
+ * `encodeURIComponent` to put it in a URL.
+ * @function serializeFilters
+ * @example
+ * var state = serializeFilters(null, function (chart) { return chart.anchorName(); });
+ * window.location.hash = encodeURIComponent(state);
+ * @param {String} [group]
+ * @param {Function} [chartKey] - function taking a chart and returning its key
+ * @returns {String}
+ */
+export const serializeFilters = function (group, chartKey) {
+    chartKey = chartKey || (chart => chart.chartID());
+    const state = {};
+    const charts = chartRegistry.list(group);
+    for (let i = 0; i < charts.length; ++i) {
+        const chartState = charts[i].filterState();
+        if (chartState.drillPath) {
+            state[chartKey(charts[i])] = {
+                filters: serializers.filters(chartState.filters),
+                drillPath: serializers.filters(chartState.drillPath)
+            };
+        } else if (chartState.filters.length) {
+            state[chartKey(charts[i])] = serializers.filters(chartState.filters);
+        }
+    }
+    return JSON.stringify(state);
+};
+
+/**
+ * Restore the filters of every chart in the given chart group from a string produced by
+ * {@link serializeFilters serializeFilters}, then redraw the group once. Charts which do not appear
+ * in the state have their filters reset. The `chartKey` function must match the one used for
+ * serialization.
+ * @function restoreFilters
+ * @example
+ * restoreFilters(decodeURIComponent(window.location.hash.slice(1)), null, function (chart) {
+ *     return chart.anchorName();
+ * });
+ * @param {String|Object} state - a serialized string, or the result of parsing it
+ * @param {String} [group]
+ * @param {Function} [chartKey] - function taking a chart and returning its key
+ * @return {undefined}
+ */
+export const restoreFilters = function (state, group, chartKey) {
+    chartKey = chartKey || (chart => chart.chartID());
+    if (typeof state === 'string') {
+        state = JSON.parse(state);
+    }
+    const charts = chartRegistry.list(group);
+    for (let i = 0; i < charts.length; ++i) {
+        charts[i].filterState(parseChartState(state[chartKey(charts[i])]));
+    }
+    redrawAll(group);
+};
+
+// a chart is serialized as the list of its filters, or as an object if it has drilled into a key
+const parseChartState = function (chartState) {
+    if (!chartState) {
+        return {filters: []};
+    }
+    if (Array.isArray(chartState)) {
+        return {filters: serializers.parseFilters(chartState)};
+    }
+    return {
+        filters: serializers.parseFilters(chartState.filters || []),
+        drillPath: serializers.parseFilters(chartState.drillPath || [])
+    };
+};
+
+/**
+ * Returns a promise which resolves once the transitions of every chart in the given chart group have
+ * finished. If the chart group is not given then only charts that belong to the default chart group
+ * are waited for.
+ * @function settleAll
+ * @see {@link BaseMixin#settled BaseMixin.settled}
+ * @param {String} [group]
+ * @returns {Promise}
+ */
+export const settleAll = function (group) {
+    return Promise.all(chartRegistry.list(group).map(chart => chart.settled())).then(() => undefined);
 };
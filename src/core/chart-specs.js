@@ -0,0 +1,179 @@
+import {BadArgumentException} from './bad-argument-exception';
+import {chartTypeRegistry} from './chart-type-registry';
+
+const REF_KEY = '$ref';
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Chart specs describe charts as plain JSON compatible objects, so that dashboards can be stored
+ * and built at runtime without code per chart.
+ *
+ * A spec has the following members:
+ * - `type`: the name of the chart class, e.g. `'BarChart'`, as registered in the
+ * {@link ChartTypeRegistry chartTypeRegistry}.
+ * - `anchor`: the anchor of the chart, as accepted by {@link BaseMixin#anchor BaseMixin.anchor}. Not
+ * needed for children.
+ * - `chartGroup`: the optional chart group.
+ * - `options`: option values in the shape accepted by {@link BaseMixin#options BaseMixin.options}.
+ * - `children`: specs of the children of a {@link CompositeChart CompositeChart}. For a
+ * {@link SeriesChart SeriesChart} this holds a single spec, which is used for the chart of every series.
+ *
+ * Values which cannot be expressed in JSON, such as dimensions, groups, scales and accessor functions,
+ * are given as named references `{"$ref": "name"}`. References are resolved from the `refs` passed to
+ * {@link chartSpecs.build build}, then from the references registered with
+ * {@link chartSpecs.register register}.
+ * @example
+ * chartSpecs.register('dateDimension', dateDimension)
+ *     .register('volumeByDay', volumeByDayGroup)
+ *     .register('dateScale', d3.scaleTime().domain([new Date(2020, 0, 1), new Date(2021, 0, 1)]));
+ * var chart = chartSpecs.build({
+ *     type: 'BarChart',
+ *     anchor: '#volume-chart',
+ *     chartGroup: 'dashboard',
+ *     options: {
+ *         width: 600,
+ *         height: 200,
+ *         dimension: {$ref: 'dateDimension'},
+ *         group: {$ref: 'volumeByDay'},
+ *         x: {$ref: 'dateScale'},
+ *         margins: {top: 10, right: 10, bottom: 20, left: 40}
+ *     }
+ * });
+ * @namespace chartSpecs
+ * @type {{}}
+ */
+export const chartSpecs = {};
+
+const _refs = {};
+
+/**
+ * Register a value which specs can reference by name.
+ * @method register
+ * @memberof chartSpecs
+ * @param {String} name
+ * @param {*} value
+ * @returns {chartSpecs}
+ */
+chartSpecs.register = function (name, value) {
+    _refs[name] = value;
+    return chartSpecs;
+};
+
+/**
+ * Remove a registered reference, or all references if no name is given.
+ * @method deregister
+ * @memberof chartSpecs
+ * @param {String} [name]
+ * @returns {chartSpecs}
+ */
+chartSpecs.deregister = function (name) {
+    if (arguments.length) {
+        delete _refs[name];
+    } else {
+        Object.keys(_refs).forEach(key => {
+            delete _refs[key];
+        });
+    }
+    return chartSpecs;
+};
+
+/**
+ * Look up a reference, first in the given `refs`, then in the registered references.
+ * @method ref
+ * @memberof chartSpecs
+ * @param {String} name
+ * @param {Object} [refs]
+ * @returns {*}
+ */
+chartSpecs.ref = function (name, refs) {
+    if (refs && Object.prototype.hasOwnProperty.call(refs, name)) {
+        return refs[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(_refs, name)) {
+        return _refs[name];
+    }
+    throw new BadArgumentException(`Unknown chart spec reference ${name}`);
+};
+
+/**
+ * Replace the references `{"$ref": "name"}` in a value, including in nested arrays and objects,
+ * by the values they refer to.
+ * @method resolve
+ * @memberof chartSpecs
+ * @param {*} value
+ * @param {Object} [refs]
+ * @returns {*}
+ */
+chartSpecs.resolve = function (value, refs) {
+    if (value instanceof Array) {
+        return value.map(v => chartSpecs.resolve(v, refs));
+    }
+    if (isPlainObject(value)) {
+        if (typeof value[REF_KEY] === 'string') {
+            return chartSpecs.ref(value[REF_KEY], refs);
+        }
+        const resolved = {};
+        Object.keys(value).forEach(key => {
+            resolved[key] = chartSpecs.resolve(value[key], refs);
+        });
+        return resolved;
+    }
+    return value;
+};
+
+const buildChildren = (chart, childSpecs, refs) => {
+    // duck typed, so that custom classes derived from the composite and series charts work too
+    if (typeof chart.seriesAccessor === 'function') {
+        if (childSpecs.length !== 1) {
+            throw new BadArgumentException('A SeriesChart spec needs exactly one child spec');
+        }
+        chart.chart(parent => chartSpecs.build(childSpecs[0], refs, parent));
+    } else if (typeof chart.compose === 'function') {
+        chart.compose(childSpecs.map(childSpec => chartSpecs.build(childSpec, refs, chart)));
+    } else {
+        throw new BadArgumentException(`${chart.constructor.name} does not have children`);
+    }
+};
+
+/**
+ * Build a chart from a spec.
+ * @method build
+ * @memberof chartSpecs
+ * @param {Object|String} spec - The spec, or its JSON string.
+ * @param {Object} [refs] - References used in addition to the registered ones.
+ * @param {BaseMixin} [parent] - The parent chart when building a child; used instead of the anchor
+ * given in the spec.
+ * @returns {BaseMixin}
+ */
+chartSpecs.build = function (spec, refs, parent) {
+    if (typeof spec === 'string') {
+        spec = JSON.parse(spec);
+    }
+    const ChartType = chartTypeRegistry.chartType(spec.type);
+
+    const anchor = parent || chartSpecs.resolve(spec.anchor, refs);
+    const chart = new ChartType(anchor, spec.chartGroup);
+    chart.options(chartSpecs.resolve(spec.options || {}, refs));
+
+    if (spec.children) {
+        buildChildren(chart, spec.children, refs);
+    }
+    return chart;
+};
+
+/**
+ * Build the charts of several specs, e.g. of a whole dashboard.
+ * @method buildAll
+ * @memberof chartSpecs
+ * @param {Array<Object>|String} specs - The specs, or their JSON string.
+ * @param {Object} [refs]
+ * @returns {Array<BaseMixin>}
+ */
+chartSpecs.buildAll = function (specs, refs) {
+    if (typeof specs === 'string') {
+        specs = JSON.parse(specs);
+    }
+    return specs.map(spec => chartSpecs.build(spec, refs));
+};
@@ -0,0 +1,134 @@
+import {BadArgumentException} from './bad-argument-exception';
+
+/**
+ * The ChartTypeRegistry lets chart classes be discovered by name, e.g. by
+ * {@link chartSpecs.build chartSpecs.build}, devtools and documentation. All charts shipped with
+ * dc.js register themselves; third-party chart classes can be added the same way.
+ *
+ * Every entry has the following members; any further metadata given at registration is kept as well:
+ * - `name`: the name the chart class was registered under.
+ * - `chartType`: the chart class.
+ * - `mandatoryAttributes`: the attributes which must be set before rendering, as listed by
+ * `_mandatoryAttributes`. Defaults to `['dimension', 'group']`.
+ * - `filterTypes`: the kinds of filters the chart creates: `'value'` for plain key values, or the
+ * `filterType` of the {@link filters filter objects}, such as `'RangedFilter'`. Defaults to `['value']`.
+ * - `legendable`: whether the chart provides items for a {@link Legend Legend}. Defaults to `false`.
+ * @example
+ * class MyChart extends CapMixin(ColorMixin(MarginMixin)) {
+ *     ...
+ * }
+ * chartTypeRegistry.register('MyChart', MyChart, {
+ *     mandatoryAttributes: ['dimension', 'group'],
+ *     filterTypes: ['value'],
+ *     legendable: true
+ * });
+ * // later, e.g. in a chart spec
+ * var ChartType = chartTypeRegistry.chartType('MyChart');
+ */
+export class ChartTypeRegistry {
+    constructor () {
+        this._types = {};
+    }
+
+    /**
+     * Register a chart class under a name. Registering a different class under a name which is
+     * already taken is an error; {@link ChartTypeRegistry#deregister deregister} the old class first.
+     * @param {String} name
+     * @param {Function} chartType - The chart class, whose constructor takes the parent and the chart group.
+     * @param {Object} [metadata]
+     * @returns {ChartTypeRegistry}
+     */
+    register (name, chartType, metadata) {
+        if (typeof chartType !== 'function') {
+            throw new BadArgumentException(`Chart type ${name} must be a class`);
+        }
+        const existing = this._types[name];
+        if (existing && existing.chartType !== chartType) {
+            throw new BadArgumentException(`Chart type ${name} is already registered`);
+        }
+        this._types[name] = Object.assign({
+            mandatoryAttributes: ['dimension', 'group'],
+            filterTypes: ['value'],
+            legendable: false
+        }, metadata, {
+            name: name,
+            chartType: chartType
+        });
+        return this;
+    }
+
+    /**
+     * Remove a chart class from the registry.
+     * @param {String} name
+     * @returns {ChartTypeRegistry}
+     */
+    deregister (name) {
+        delete this._types[name];
+        return this;
+    }
+
+    /**
+     * Returns true if a chart class is registered under the name.
+     * @param {String} name
+     * @returns {Boolean}
+     */
+    has (name) {
+        return Object.prototype.hasOwnProperty.call(this._types, name);
+    }
+
+    /**
+     * Returns the registry entry of a chart class, with its metadata.
+     * @param {String} name
+     * @returns {Object}
+     */
+    get (name) {
+        if (!this.has(name)) {
+            throw new BadArgumentException(`Unknown chart type ${name}`);
+        }
+        return this._types[name];
+    }
+
+    /**
+     * Returns the chart class registered under the name.
+     * @param {String} name
+     * @returns {Function}
+     */
+    chartType (name) {
+        return this.get(name).chartType;
+    }
+
+    /**
+     * Returns the registry entries of all chart classes, sorted by name.
+     * @returns {Array<Object>}
+     */
+    list () {
+        return Object.keys(this._types).sort().map(name => this._types[name]);
+    }
+
+    /**
+     * Returns the name a chart class is registered under, or undefined if it is not registered. Unlike
+     * the `name` of the class itself, this survives minification.
+     * @param {Function} chartType
+     * @returns {String|undefined}
+     */
+    nameOf (chartType) {
+        const entry = this.list().find(e => e.chartType === chartType);
+        return entry && entry.name;
+    }
+
+    /**
+     * Returns the registry entry of the class of the given chart, or undefined if the class is not
+     * registered.
+     * @param {BaseMixin} chart
+     * @returns {Object|undefined}
+     */
+    entryOf (chart) {
+        return this.list().find(entry => entry.chartType === chart.constructor);
+    }
+}
+
+/**
+ * The chart type registry used by dc.
+ * @type {ChartTypeRegistry}
+ */
+export const chartTypeRegistry = new ChartTypeRegistry();
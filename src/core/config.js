@@ -1,20 +1,19 @@
-import {timeFormat} from 'd3-time-format';
-
+import {constants} from './constants';
+import {locales} from './locale';
 import {logger} from './logger';
 
 /**
  * General configuration
+ *
+ * The {@link config global configuration} applies to all charts. Each chart group can have its own
+ * configuration layered on top of it, see {@link Config#chartGroup chartGroup}.
  */
 export class Config {
     constructor () {
         this._defaultColors = Config._schemeCategory20c;
 
-        /**
-         * The default date format for dc.js
-         * @type {Function}
-         * @default d3.timeFormat('%m/%d/%Y')
-         */
-        this.dateFormat = timeFormat('%m/%d/%Y');
+        this._dateFormat = null;
+        this._locale = locales.en;
 
         this._renderlet = null;
 
@@ -25,6 +24,92 @@ export class Config {
          * @default false
          */
         this.disableTransitions = false;
+
+        this._theme = null;
+
+        this._globalConfig = this;
+        this._chartGroupConfigs = {};
+    }
+
+    /**
+     * The default date format for dc.js. Unless it is set, dates are formatted by the
+     * {@link Config#locale locale}.
+     * @type {Function}
+     * @default d3.timeFormat('%m/%d/%Y')
+     */
+    get dateFormat () {
+        return this._dateFormat || this._locale.dateFormat();
+    }
+
+    set dateFormat (dateFormat) {
+        this._dateFormat = dateFormat;
+    }
+
+    /**
+     * Set or get the {@link Locale locale}, which provides the default number and date formats and
+     * the user interface strings of the charts.
+     * @example
+     * config.locale(locales.fr);
+     * config.chartGroup('tokyo').locale(locales.ja);
+     * @param {Locale} [locale=locales.en]
+     * @returns {Locale|Config}
+     */
+    locale (locale) {
+        if (!arguments.length) {
+            return this._locale;
+        }
+        this._locale = locale;
+        return this;
+    }
+
+    /**
+     * Set or get the {@link themes theme} which is applied to charts when they are constructed.
+     * @example
+     * config.theme(themes.dark);
+     * config.chartGroup('print').theme(themes.highContrast);
+     * @param {Object|null} [theme=null]
+     * @returns {Object|null|Config}
+     */
+    theme (theme) {
+        if (!arguments.length) {
+            return this._theme;
+        }
+        this._theme = theme;
+        return this;
+    }
+
+    /**
+     * Get the configuration of a chart group, creating it if necessary. Settings which have not been
+     * changed on the chart group configuration are read from the global configuration, so that a
+     * chart group only needs to override what differs. Charts read their defaults through
+     * {@link BaseMixin#chartConfig chartConfig}.
+     *
+     * The default chart group uses the global configuration itself.
+     * @example
+     * config.chartGroup('dashboardA').defaultColors(d3.schemeSet1);
+     * config.chartGroup('dashboardA').disableTransitions = true;
+     * @param {String} [chartGroup]
+     * @returns {Config}
+     */
+    chartGroup (chartGroup) {
+        const globalConfig = this._globalConfig;
+        if (!chartGroup || chartGroup === constants.DEFAULT_CHART_GROUP) {
+            return globalConfig;
+        }
+        if (!globalConfig._chartGroupConfigs[chartGroup]) {
+            globalConfig._chartGroupConfigs[chartGroup] = Object.create(globalConfig);
+        }
+        return globalConfig._chartGroupConfigs[chartGroup];
+    }
+
+    /**
+     * Remove the configuration of a chart group, so that it uses the global configuration again.
+     * @param {String} chartGroup
+     * @returns {Config}
+     */
+    clearChartGroup (chartGroup) {
+        delete this._globalConfig._chartGroupConfigs[chartGroup];
+        return this;
     }
 
     /**
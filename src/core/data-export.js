@@ -0,0 +1,54 @@
+import {csvFormat, tsvFormat} from 'd3-dsv';
+
+import {BadArgumentException} from './bad-argument-exception';
+
+const FORMATS = {
+    csv: {
+        type: 'text/csv',
+        format: csvFormat
+    },
+    tsv: {
+        type: 'text/tab-separated-values',
+        format: tsvFormat
+    },
+    json: {
+        type: 'application/json',
+        format: rows => JSON.stringify(rows)
+    }
+};
+
+// the columns of all rows, in the order they first appear
+const columnsOf = rows => {
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(column => {
+            if (columns.indexOf(column) === -1) {
+                columns.push(column);
+            }
+        });
+    });
+    return columns;
+};
+
+/**
+ * Format rows of data, e.g. the {@link BaseMixin#exportData data shown by a chart}, as CSV, TSV or JSON.
+ *
+ * The options are:
+ * - `format`: one of `'csv'`, `'tsv'` and `'json'`. Defaults to `'csv'`.
+ * - `blob`: return a `Blob` of the matching type instead of a string, e.g. for downloading. Defaults to
+ * `false`.
+ * @example
+ * exportRows([{key: 'a', value: 1}, {key: 'b', value: 2}], {format: 'tsv'}); // 'key\tvalue\na\t1\nb\t2'
+ * @param {Array<Object>} rows - The rows, as objects from column names to values.
+ * @param {{format: String, blob: Boolean}} [options]
+ * @returns {String|Blob}
+ */
+export const exportRows = function (rows, options) {
+    options = Object.assign({format: 'csv', blob: false}, options);
+    const format = FORMATS[options.format];
+    if (!format) {
+        throw new BadArgumentException(`Unknown data export format ${options.format}`);
+    }
+    const text = format.format(rows, columnsOf(rows));
+    return options.blob ? new Blob([text], {type: format.type}) : text;
+};
@@ -1,13 +1,23 @@
+const DEFAULT_EVENT_KEY = '__default_event__';
+
 export const events = {
     current: null
 };
 
+const pendingEvents = {};
+
 /**
  * This function triggers a throttled event function with a specified delay (in milli-seconds).  Events
  * that are triggered repetitively due to user interaction such brush dragging might flood the library
  * and invoke more renders than can be executed in time. Using this function to wrap your event
  * function allows the library to smooth out the rendering by throttling events and only responding to
  * the most recent event.
+ *
+ * Delayed events only replace earlier events with the same `key`. Events triggered without a key
+ * share one default key, so independent sources of events, such as two charts being brushed at the same
+ * time, should pass their own keys in order not to cancel each other.
+ *
+ * To batch the resulting redraws, use the {@link RedrawScheduler redrawScheduler}.
  * @name events.trigger
  * @example
  * chart.on('renderlet', function(chart) {
@@ -19,18 +29,24 @@ export const events = {
  * })
  * @param {Function} closure
  * @param {Number} [delay]
+ * @param {String} [key]
  * @return {undefined}
  */
-events.trigger = function (closure, delay) {
+events.trigger = function (closure, delay, key) {
     if (!delay) {
         closure();
         return;
     }
 
-    events.current = closure;
+    key = key || DEFAULT_EVENT_KEY;
+    if (key === DEFAULT_EVENT_KEY) {
+        events.current = closure;
+    }
+    pendingEvents[key] = closure;
 
     setTimeout(() => {
-        if (closure === events.current) {
+        if (closure === pendingEvents[key]) {
+            delete pendingEvents[key];
             closure();
         }
     }, delay);
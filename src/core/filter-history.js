@@ -0,0 +1,241 @@
+import {dispatch} from 'd3-dispatch';
+
+import {chartRegistry, redrawAll} from './chart-registry';
+import {serializers} from './serializers';
+import {utils} from './utils';
+
+const DEFAULT_MERGE_DELAY = 500;
+
+/**
+ * FilterHistory records the filter changes of all charts in a chart group, so that they can be
+ * undone and redone.
+ *
+ * Every change raised through the `filtered` event of a chart is recorded. Changes of the same chart
+ * which follow each other within {@link FilterHistory#mergeDelay mergeDelay} milliseconds are merged
+ * into one history step, so that a brush drag can be undone in one go. A change of another chart starts
+ * a new step, except for changes made together in one go, such as a call to {@link filterAll filterAll}.
+ * @example
+ * var history = new FilterHistory('chartGroupA');
+ * history.on('change', function (h) {
+ *     undoButton.disabled = !h.canUndo();
+ *     redoButton.disabled = !h.canRedo();
+ * });
+ * undoButton.onclick = function () { history.undo(); };
+ * redoButton.onclick = function () { history.redo(); };
+ */
+export class FilterHistory {
+    /**
+     * Create a filter history for a chart group
+     * @param {String} [chartGroup] - The name of the chart group to record. If not given, the default
+     * chart group is used.
+     */
+    constructor (chartGroup) {
+        this._chartGroup = chartGroup;
+        this._eventName = `filtered.filterHistory${utils.uniqueId()}`;
+        this._mergeDelay = DEFAULT_MERGE_DELAY;
+        this._listeners = dispatch('change');
+
+        this._undoStack = [];
+        this._redoStack = [];
+        this._pendingTimer = null;
+        this._pendingChart = null;
+        this._pendingSnapshot = null;
+        this._actionTimer = null;
+        this._restoring = false;
+
+        this._current = this._snapshot();
+        chartRegistry.onGroup(this._chartGroup, this._eventName, chart => this._onFiltered(chart));
+    }
+
+    /**
+     * Set or get the time in milliseconds during which consecutive filter changes of the same chart
+     * are merged into one history step.
+     * @param {Number} [mergeDelay=500]
+     * @returns {Number|FilterHistory}
+     */
+    mergeDelay (mergeDelay) {
+        if (!arguments.length) {
+            return this._mergeDelay;
+        }
+        this._mergeDelay = mergeDelay;
+        return this;
+    }
+
+    /**
+     * Returns true if there is a step to undo.
+     * @returns {Boolean}
+     */
+    canUndo () {
+        return this._undoStack.length > 0 || this._pendingTimer !== null;
+    }
+
+    /**
+     * Returns true if there is a step to redo.
+     * @returns {Boolean}
+     */
+    canRedo () {
+        return this._redoStack.length > 0 && this._pendingTimer === null;
+    }
+
+    /**
+     * Restore the filters as they were before the last history step, and redraw the chart group.
+     * @returns {FilterHistory}
+     */
+    undo () {
+        this.commit();
+        if (this._undoStack.length) {
+            this._redoStack.push(this._current);
+            this._restore(this._undoStack.pop());
+        }
+        return this;
+    }
+
+    /**
+     * Restore the filters of the last undone history step, and redraw the chart group.
+     * @returns {FilterHistory}
+     */
+    redo () {
+        this.commit();
+        if (this._redoStack.length) {
+            this._undoStack.push(this._current);
+            this._restore(this._redoStack.pop());
+        }
+        return this;
+    }
+
+    /**
+     * Record pending filter changes as a history step immediately, without waiting for
+     * {@link FilterHistory#mergeDelay mergeDelay}.
+     * @returns {FilterHistory}
+     */
+    commit () {
+        return this._commit(this._snapshot());
+    }
+
+    /**
+     * Forget all history steps. The current filters become the starting point of the history.
+     * @returns {FilterHistory}
+     */
+    clear () {
+        if (this._pendingTimer !== null) {
+            clearTimeout(this._pendingTimer);
+            this._pendingTimer = null;
+        }
+        this._undoStack = [];
+        this._redoStack = [];
+        this._current = this._snapshot();
+        this._listeners.call('change', this, this);
+        return this;
+    }
+
+    /**
+     * Stop recording filter changes. Changes which are still pending are not recorded.
+     * @returns {FilterHistory}
+     */
+    detach () {
+        chartRegistry.onGroup(this._chartGroup, this._eventName, null);
+        clearTimeout(this._pendingTimer);
+        clearTimeout(this._actionTimer);
+        this._pendingTimer = null;
+        this._actionTimer = null;
+        return this;
+    }
+
+    /**
+     * Attach a listener. The only event is `change`, which is invoked with the history whenever
+     * a step is recorded, undone or redone, or the history is cleared.
+     * @example
+     * history.on('change', function (history) { ... });
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {FilterHistory}
+     */
+    on (event, listener) {
+        this._listeners.on(event, listener);
+        return this;
+    }
+
+    _commit (snapshot) {
+        if (this._pendingTimer !== null) {
+            clearTimeout(this._pendingTimer);
+            this._pendingTimer = null;
+
+            if (!this._sameSnapshot(snapshot, this._current)) {
+                this._undoStack.push(this._current);
+                this._redoStack = [];
+                this._current = snapshot;
+            }
+            this._listeners.call('change', this, this);
+        }
+        return this;
+    }
+
+    _onFiltered (chart) {
+        if (this._restoring) {
+            return;
+        }
+        // changes of several charts in one go, such as filterAll, make up one step
+        const inAction = this._actionTimer !== null;
+        if (!inAction) {
+            this._actionTimer = setTimeout(() => {
+                this._actionTimer = null;
+            }, 0);
+        }
+        if (this._pendingTimer !== null && chart !== this._pendingChart && !inAction) {
+            // the step of the other chart ends with the filters as they were before this change
+            this._commit(this._pendingSnapshot);
+        }
+        const notify = this._pendingTimer === null;
+        if (notify) {
+            this._pendingChart = chart;
+        } else {
+            clearTimeout(this._pendingTimer);
+            if (chart !== this._pendingChart) {
+                this._pendingChart = null;
+            }
+        }
+        this._pendingSnapshot = this._snapshot();
+        this._pendingTimer = setTimeout(() => this.commit(), this._mergeDelay);
+        if (notify) {
+            this._listeners.call('change', this, this);
+        }
+    }
+
+    _snapshot () {
+        return chartRegistry.list(this._chartGroup).map(chart => ({
+            chart: chart,
+            state: chart.filterState()
+        }));
+    }
+
+    _sameSnapshot (a, b) {
+        const key = snapshot => JSON.stringify(snapshot
+            .filter(s => s.state.filters.length || s.state.drillPath)
+            .map(s => [s.chart.chartID(), serializers.filters(s.state.filters), serializers.filters(s.state.drillPath || [])]));
+        return key(a) === key(b);
+    }
+
+    _restore (snapshot) {
+        this._restoring = true;
+        try {
+            // charts registered after the snapshot was taken had no filters then
+            chartRegistry.list(this._chartGroup).forEach(chart => {
+                const saved = snapshot.find(s => s.chart === chart);
+                chart.filterState(saved ? saved.state : {filters: []});
+            });
+        } finally {
+            this._restoring = false;
+        }
+        this._current = this._snapshot();
+        redrawAll(this._chartGroup);
+        this._listeners.call('change', this, this);
+    }
+}
+
+/**
+ * Create a {@link FilterHistory FilterHistory} for a chart group.
+ * @function filterHistory
+ * @param {String} [chartGroup]
+ * @returns {FilterHistory}
+ */
+export const filterHistory = chartGroup => new FilterHistory(chartGroup);
@@ -1,3 +1,5 @@
+import {BadArgumentException} from './bad-argument-exception';
+
 /**
  * The dc.js filters are functions which are passed into crossfilter to chose which records will be
  * accumulated to produce values for the charts.  In the crossfilter model, any filters applied on one
@@ -19,28 +21,177 @@
  */
 export const filters = {};
 
+const BOUNDS = ['[)', '[]', '()', '(]'];
+
+const checkBounds = bounds => {
+    if (BOUNDS.indexOf(bounds) === -1) {
+        throw new BadArgumentException(`Invalid bounds ${bounds}, expected one of ${BOUNDS.join(' ')}`);
+    }
+    return bounds;
+};
+
+// returns a function which tests whether a value lies between low and high, honoring the bounds
+const rangeTest = bounds => {
+    const lowInclusive = bounds[0] === '[', highInclusive = bounds[1] === ']';
+    return (value, low, high) => (lowInclusive ? value >= low : value > low) &&
+        (highInclusive ? value <= high : value < high);
+};
+
 /**
  * RangedFilter is a filter which accepts keys between `low` and `high`.  It is used to implement X
  * axis brushing for the {@link CoordinateGridMixin coordinate grid charts}.
  *
+ * By default `low` is included and `high` is excluded. The `bounds` change this using interval
+ * notation: `'[)'` (the default), `'[]'` to include both bounds, `'()'` to exclude both, or `'(]'`.
+ * They are kept as the `bounds` property of the filter.
+ *
  * Its `filterType` is 'RangedFilter'
  * @name RangedFilter
  * @memberof filters
+ * @example
+ * // integer histogram bins 1 to 5, both included
+ * chart.filter(filters.RangedFilter(1, 5, '[]'));
  * @param {Number} low
  * @param {Number} high
+ * @param {String} [bounds] - Defaults to `'[)'`.
  * @returns {Array<Number>}
  * @constructor
  */
-filters.RangedFilter = function (low, high) {
+filters.RangedFilter = function (low, high, bounds) {
     const range = new Array(low, high);
+    const inRange = rangeTest(checkBounds(bounds || '[)'));
     range.isFiltered = function (value) {
-        return value >= this[0] && value < this[1];
+        return inRange(value, this[0], this[1]);
     };
     range.filterType = 'RangedFilter';
+    range.bounds = bounds || '[)';
 
     return range;
 };
 
+/**
+ * NotRangedFilter is the negation of the {@link filters.RangedFilter RangedFilter}: it accepts keys
+ * below `low` or from `high` on.
+ *
+ * Its `filterType` is 'NotRangedFilter'
+ * @name NotRangedFilter
+ * @memberof filters
+ * @param {Number} low
+ * @param {Number} high
+ * @returns {Array<Number>}
+ * @constructor
+ */
+filters.NotRangedFilter = function (low, high) {
+    const range = new Array(low, high);
+    range.isFiltered = function (value) {
+        return value < this[0] || value >= this[1];
+    };
+    range.filterType = 'NotRangedFilter';
+
+    return range;
+};
+
+const acceptsValue = (filter, value) => filter.isFiltered ? filter.isFiltered(value) : filter <= value && filter >= value;
+
+const includesValue = (values, value) => values.some(v => acceptsValue(v, value));
+
+/**
+ * InFilter is a filter which accepts any of the given keys. Unlike a list of plain values, it is a
+ * single filter, so a set of keys can be added, removed or replaced at once.
+ *
+ * Keys are compared like the plain filter values, so dates are equal if they denote the same time.
+ *
+ * Its `filterType` is 'InFilter'
+ * @name InFilter
+ * @memberof filters
+ * @param {Array<*>} values
+ * @returns {Array<*>}
+ * @constructor
+ */
+filters.InFilter = function (values) {
+    const f = values.slice(0);
+    f.isFiltered = function (value) {
+        return includesValue(f, value);
+    };
+    f.filterType = 'InFilter';
+
+    return f;
+};
+
+/**
+ * NotInFilter is a filter which accepts all keys except the given ones. It is used by charts in
+ * {@link BaseMixin#excludeMode exclude mode}, where clicking an item excludes its key.
+ *
+ * Since a record passes if any of the filters of a chart accept it, a NotInFilter is normally the
+ * only filter of a chart.
+ *
+ * Its `filterType` is 'NotInFilter'
+ * @name NotInFilter
+ * @memberof filters
+ * @param {Array<*>} values
+ * @returns {Array<*>}
+ * @constructor
+ */
+filters.NotInFilter = function (values) {
+    const f = values.slice(0);
+    f.isFiltered = function (value) {
+        return !includesValue(f, value);
+    };
+    f.filterType = 'NotInFilter';
+
+    return f;
+};
+
+/**
+ * And is a compound filter which accepts the keys accepted by all of the given filters. The parts
+ * can be any dc filter objects, including other compound filters, or plain values, which accept
+ * equal keys.
+ *
+ * Its `filterType` is 'And'
+ * @name And
+ * @memberof filters
+ * @example
+ * // keys in 2019 Q1 which are not weekends
+ * chart.filter(filters.And(
+ *     filters.RangedFilter(new Date(2019, 0, 1), new Date(2019, 3, 1)),
+ *     filters.NotInFilter(weekendDays)));
+ * @param {...(filters|*)} parts
+ * @returns {Array<filters|*>}
+ * @constructor
+ */
+filters.And = function (...parts) {
+    parts.isFiltered = function (value) {
+        return parts.every(part => acceptsValue(part, value));
+    };
+    parts.filterType = 'And';
+
+    return parts;
+};
+
+/**
+ * Or is a compound filter which accepts the keys accepted by any of the given filters. The parts
+ * can be any dc filter objects, including other compound filters, or plain values, which accept
+ * equal keys.
+ *
+ * Its `filterType` is 'Or'
+ * @name Or
+ * @memberof filters
+ * @example
+ * // values from 10 to 20, or from 500 on
+ * chart.filter(filters.Or(filters.RangedFilter(10, 20), filters.RangedFilter(500, Infinity)));
+ * @param {...(filters|*)} parts
+ * @returns {Array<filters|*>}
+ * @constructor
+ */
+filters.Or = function (...parts) {
+    parts.isFiltered = function (value) {
+        return parts.some(part => acceptsValue(part, value));
+    };
+    parts.filterType = 'Or';
+
+    return parts;
+};
+
 /**
  * TwoDimensionalFilter is a filter which accepts a single two-dimensional value.  It is used by the
  * {@link HeatMap heat map chart} to include particular cells as they are clicked.  (Rows and columns are
@@ -78,17 +229,24 @@ filters.TwoDimensionalFilter = function (filter) {
  * two x coordinates `x1` and `x2` and returns a filter which accepts any points for which `x1 <= x <
  * x2`.
  *
+ * The `bounds` change which of the lower and higher values are included, in both dimensions, like the
+ * bounds of the {@link filters.RangedFilter RangedFilter}. If they are not given, the `bounds` of the
+ * filter argument are kept, so that an existing filter can be passed again.
+ *
  * Its `filterType` is 'RangedTwoDimensionalFilter'
  * @name RangedTwoDimensionalFilter
  * @memberof filters
  * @param {Array<Array<Number>>} filter
+ * @param {String} [bounds] - Defaults to `'[)'`.
  * @returns {Array<Array<Number>>}
  * @constructor
  */
-filters.RangedTwoDimensionalFilter = function (filter) {
+filters.RangedTwoDimensionalFilter = function (filter, bounds) {
     if (filter === null) { return null; }
 
     const f = filter;
+    f.bounds = checkBounds(bounds || f.bounds || '[)');
+    const inRange = rangeTest(f.bounds);
     let fromBottomLeft;
 
     if (f[0] instanceof Array) {
@@ -101,18 +259,13 @@ filters.RangedTwoDimensionalFilter = function (filter) {
     }
 
     f.isFiltered = function (value) {
-        let x, y;
-
-        if (value instanceof Array) {
-            x = value[0];
-            y = value[1];
-        } else {
-            x = value;
-            y = fromBottomLeft[0][1];
+        if (!(value instanceof Array)) {
+            // a single value is only compared with the x coordinates
+            return inRange(value, fromBottomLeft[0][0], fromBottomLeft[1][0]);
         }
 
-        return x >= fromBottomLeft[0][0] && x < fromBottomLeft[1][0] &&
-               y >= fromBottomLeft[0][1] && y < fromBottomLeft[1][1];
+        return inRange(value[0], fromBottomLeft[0][0], fromBottomLeft[1][0]) &&
+               inRange(value[1], fromBottomLeft[0][1], fromBottomLeft[1][1]);
     };
     f.filterType = 'RangedTwoDimensionalFilter';
 
@@ -126,6 +279,7 @@ filters.RangedTwoDimensionalFilter = function (filter) {
  * child of, the given path. It is used by the {@link SunburstChart sunburst chart} to include particular cells and all
  * their children as they are clicked.
  *
+ * Its `filterType` is 'HierarchyFilter'
  * @name HierarchyFilter
  * @memberof filters
  * @param {String} path
@@ -151,5 +305,7 @@ filters.HierarchyFilter = function (path) {
 
         return true;
     };
+    filter.filterType = 'HierarchyFilter';
+
     return filter;
 };
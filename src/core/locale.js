@@ -0,0 +1,423 @@
+import {format, formatLocale, formatSpecifier, precisionFixed, precisionPrefix, precisionRound} from 'd3-format';
+import {timeFormat, timeFormatLocale, utcFormat} from 'd3-time-format';
+import {
+    timeDay, timeHour, timeMinute, timeMonth, timeSecond, timeWeek, timeYear,
+    utcDay, utcHour, utcMinute, utcMonth, utcSecond, utcWeek, utcYear
+} from 'd3-time';
+import {tickStep} from 'd3-array';
+
+const DEFAULT_STRINGS = {
+    selectAll: 'Select all',
+    search: 'search',
+    empty: 'empty',
+    others: 'Others',
+    dataCountSome: '',
+    dataCountAll: '',
+    in: 'in',
+    notIn: 'not in',
+    not: 'not',
+    and: 'and',
+    or: 'or',
+    brush: 'Range selection: the arrow keys move it, with Shift they resize it, Escape clears it',
+    selected: 'Selected',
+    yes: 'yes',
+    summaryItems: '%count items.',
+    summaryValues: 'The values range from %min (%min-key) to %max (%max-key), with a total of %total.',
+    summaryRising: 'Over time they rise from %first to %last.',
+    summaryFalling: 'Over time they fall from %first to %last.',
+    summaryFlat: 'Over time they stay at %first.',
+    summaryFilter: 'Filtered to %filter.',
+    drillDown: 'Drill-down',
+    drillAll: 'All'
+};
+
+// the formats d3 uses for the ticks of time scales
+const DEFAULT_TIME_TICK_FORMATS = {
+    millisecond: '.%L',
+    second: ':%S',
+    minute: '%I:%M',
+    hour: '%I %p',
+    day: '%a %d',
+    week: '%b %d',
+    month: '%B',
+    year: '%Y'
+};
+
+const LOCAL_INTERVALS = [timeSecond, timeMinute, timeHour, timeDay, timeWeek, timeMonth, timeYear];
+const UTC_INTERVALS = [utcSecond, utcMinute, utcHour, utcDay, utcWeek, utcMonth, utcYear];
+
+const isMissing = value => value === undefined || value === null;
+
+// the precision of tick labels, chosen like d3-scale does for linear scales
+const tickPrecision = (type, step, value) => {
+    if (type === 's') {
+        return precisionPrefix(step, value);
+    }
+    if (['', 'e', 'g', 'p', 'r'].indexOf(type) !== -1) {
+        return precisionRound(step, value) - (type === 'e' ? 1 : 0);
+    }
+    if (type === 'f' || type === '%') {
+        return precisionFixed(step) - (type === '%' ? 2 : 0);
+    }
+    return NaN;
+};
+
+// time scales format their ticks in local time, utc scales in UTC; midnight UTC tells them apart
+const isUtcScale = scale => scale.tickFormat(1, '%H')(new Date(Date.UTC(2000, 0, 1))) === '00';
+
+/**
+ * A locale holds the number and date formats and the user interface strings which charts use by
+ * default: dates and numbers in {@link printers filter printers}, axis ticks, the numbers of the
+ * {@link DataCount DataCount} and {@link NumberDisplay NumberDisplay} widgets, and texts such as the
+ * {@link SelectMenu#promptText prompt of menus} or the {@link CapMixin#othersLabel label of the others slice}.
+ * Values set on a chart take precedence over its locale.
+ *
+ * A locale is set globally or for a chart group with {@link Config#locale config.locale}. The
+ * definition has the following optional members:
+ * - `number`: a [d3-format locale definition](https://github.com/d3/d3-format#formatLocale).
+ * - `time`: a [d3-time-format locale definition](https://github.com/d3/d3-time-format#timeFormatLocale).
+ * - `dateFormat`: the specifier for printing dates in filters. Defaults to `'%x'` if `time` is given,
+ * otherwise to `'%m/%d/%Y'`.
+ * - `floatFormat`: the specifier for printing fractional numbers in filters. Defaults to `'.2f'`.
+ * - `timeTickFormats`: the specifiers of the ticks of time axes, keyed by the interval the tick falls
+ * on, from `millisecond` to `year`. Defaults to those of d3.
+ * - `strings`: the user interface strings; see {@link locales.en locales.en} for the keys.
+ *
+ * Without `number` or `time` definitions the locale uses the default locale of d3, and leaves the
+ * tick formats of the axes to d3.
+ * @example
+ * config.chartGroup('reports').locale(new Locale({
+ *     number: {decimal: ',', thousands: '.', grouping: [3], currency: ['', '\u00a0€']},
+ *     strings: {others: 'Sonstige'}
+ * }));
+ */
+export class Locale {
+    /**
+     * Create a new locale.
+     * @param {Object} [definition]
+     */
+    constructor (definition) {
+        definition = definition || {};
+        this._definition = definition;
+        this._numberLocale = definition.number ? formatLocale(definition.number) : null;
+        this._timeLocale = definition.time ? timeFormatLocale(definition.time) : null;
+        this._strings = Object.assign({}, DEFAULT_STRINGS, definition.strings);
+        this._timeTickFormats = Object.assign({}, DEFAULT_TIME_TICK_FORMATS, definition.timeTickFormats);
+        this._dateFormat = this.timeFormat(definition.dateFormat || (definition.time ? '%x' : '%m/%d/%Y'));
+        this._floatFormat = this.format(definition.floatFormat || '.2f');
+    }
+
+    /**
+     * Returns the definition the locale was created with.
+     * @returns {Object}
+     */
+    definition () {
+        return this._definition;
+    }
+
+    /**
+     * Returns a number format function for the specifier, like
+     * [d3.format](https://github.com/d3/d3-format#format).
+     * @param {String} specifier
+     * @returns {Function}
+     */
+    format (specifier) {
+        return this._numberLocale ? this._numberLocale.format(specifier) : format(specifier);
+    }
+
+    /**
+     * Returns a date format function for the specifier, in local time, like
+     * [d3.timeFormat](https://github.com/d3/d3-time-format#timeFormat).
+     * @param {String} specifier
+     * @returns {Function}
+     */
+    timeFormat (specifier) {
+        return this._timeLocale ? this._timeLocale.format(specifier) : timeFormat(specifier);
+    }
+
+    /**
+     * Returns a date format function for the specifier, in UTC, like
+     * [d3.utcFormat](https://github.com/d3/d3-time-format#utcFormat).
+     * @param {String} specifier
+     * @returns {Function}
+     */
+    utcFormat (specifier) {
+        return this._timeLocale ? this._timeLocale.utcFormat(specifier) : utcFormat(specifier);
+    }
+
+    /**
+     * Returns the function formatting dates as they are printed in filters.
+     * @returns {Function}
+     */
+    dateFormat () {
+        return this._dateFormat;
+    }
+
+    /**
+     * Format a date as it is printed in filters.
+     * @param {Date} date
+     * @returns {String}
+     */
+    formatDate (date) {
+        return this._dateFormat(date);
+    }
+
+    /**
+     * Format a fractional number as it is printed in filters.
+     * @param {Number} value
+     * @returns {String}
+     */
+    formatFloat (value) {
+        return this._floatFormat(value);
+    }
+
+    /**
+     * Returns a user interface string of the locale.
+     * @param {String} key
+     * @returns {String}
+     */
+    string (key) {
+        return this._strings[key];
+    }
+
+    /**
+     * Returns the tick format for an axis using the scale and the
+     * [tick arguments](https://github.com/d3/d3-axis#axis_tickArguments), which formats the ticks
+     * like d3 does, but with the number and time definitions of the locale. Returns null if the
+     * default tick format of d3 should be used, e.g. for ordinal and logarithmic scales.
+     * @param {d3.scale} scale
+     * @param {Array} [tickArguments]
+     * @returns {Function|null}
+     */
+    tickFormat (scale, tickArguments) {
+        const count = tickArguments && !isMissing(tickArguments[0]) ? tickArguments[0] : 10;
+        const specifier = tickArguments ? tickArguments[1] : undefined;
+        if (!scale.ticks || typeof scale.base === 'function') {
+            return null;
+        }
+        const domain = scale.domain();
+        if (domain[0] instanceof Date) {
+            return this._timeLocale ? this._timeTickFormat(isUtcScale(scale), specifier) : null;
+        }
+        return this._numberLocale ? this._numberTickFormat(domain[0], domain[domain.length - 1], count, specifier) : null;
+    }
+
+    /**
+     * Set the tick format of a d3 axis to the {@link Locale#tickFormat tick format} of the locale,
+     * unless a tick format has been set on the axis otherwise.
+     * @param {d3.axis} axis
+     * @returns {d3.axis}
+     */
+    localizeAxis (axis) {
+        const current = axis.tickFormat();
+        if (current !== null && current !== axis._localeTickFormat) {
+            return axis;
+        }
+        axis._localeTickFormat = this.tickFormat(axis.scale(), axis.tickArguments());
+        return axis.tickFormat(axis._localeTickFormat);
+    }
+
+    _timeTickFormat (utc, specifier) {
+        const timeFormatFn = spec => utc ? this.utcFormat(spec) : this.timeFormat(spec);
+        if (!isMissing(specifier)) {
+            return timeFormatFn(specifier);
+        }
+        const [second, minute, hour, day, week, month, year] = utc ? UTC_INTERVALS : LOCAL_INTERVALS;
+        const formats = {};
+        Object.keys(this._timeTickFormats).forEach(key => {
+            formats[key] = timeFormatFn(this._timeTickFormats[key]);
+        });
+        // the format of the largest interval the date does not fall on, like d3 does
+        const formatters = [
+            [second, () => formats.millisecond],
+            [minute, () => formats.second],
+            [hour, () => formats.minute],
+            [day, () => formats.hour],
+            [month, date => week(date) < date ? formats.day : formats.week],
+            [year, () => formats.month]
+        ];
+        return date => {
+            const match = formatters.find(formatter => formatter[0](date) < date);
+            return (match ? match[1](date) : formats.year)(date);
+        };
+    }
+
+    _numberTickFormat (start, stop, count, specifier) {
+        const step = tickStep(start, stop, count);
+        specifier = formatSpecifier(isMissing(specifier) ? ',f' : specifier);
+        const value = Math.max(Math.abs(start), Math.abs(stop));
+        const precision = tickPrecision(specifier.type, step, value);
+        if (isMissing(specifier.precision) && !isNaN(precision)) {
+            specifier.precision = precision;
+        }
+        return specifier.type === 's' ?
+            this._numberLocale.formatPrefix(specifier, value) : this._numberLocale.format(specifier);
+    }
+}
+
+/**
+ * The built-in locales. `en` is the default locale; it uses the default locale of d3 for numbers,
+ * dates and axis ticks, so setting
+ * [d3.formatDefaultLocale](https://github.com/d3/d3-format#formatDefaultLocale) or
+ * [d3.timeFormatDefaultLocale](https://github.com/d3/d3-time-format#timeFormatDefaultLocale) still
+ * works as before.
+ * @example
+ * config.locale(locales.de);
+ * config.chartGroup('tokyo').locale(locales.ja);
+ * @namespace locales
+ * @type {{}}
+ */
+export const locales = {};
+
+/**
+ * English, the default. Its strings are
+ * `{selectAll: 'Select all', search: 'search', empty: 'empty', others: 'Others', dataCountSome: '',
+ * dataCountAll: '', in: 'in', notIn: 'not in', not: 'not', and: 'and', or: 'or', brush: 'Range selection: the arrow
+ * keys move it, with Shift they resize it, Escape clears it', selected: 'Selected', yes: 'yes', summaryItems:
+ * '%count items.', summaryValues: 'The values range from %min (%min-key) to %max (%max-key), with a total of
+ * %total.', summaryRising: 'Over time they rise from %first to %last.', summaryFalling: 'Over time they fall from
+ * %first to %last.', summaryFlat: 'Over time they stay at %first.', summaryFilter: 'Filtered to %filter.',
+ * drillDown: 'Drill-down', drillAll: 'All'}`.
+ * The `brush` string labels the {@link BaseMixin#keyboardAccessible keyboard accessible} brush of coordinate
+ * grid charts. The `selected` and `yes` strings mark the selected keys in the
+ * {@link BaseMixin#accessibleTable accessible table}, and the `summary` templates make up the
+ * {@link BaseMixin#autoSummary automatic summary}. The `drillDown` string labels the
+ * {@link BaseMixin#drillBreadcrumbs drill-down breadcrumbs}, whose first item is `drillAll`. The empty
+ * `dataCountSome` and `dataCountAll` templates make the {@link DataCount DataCount} fill in the
+ * markup of the page.
+ * @name en
+ * @memberof locales
+ * @type {Locale}
+ */
+locales.en = new Locale();
+
+/**
+ * German.
+ * @name de
+ * @memberof locales
+ * @type {Locale}
+ */
+locales.de = new Locale({
+    number: {decimal: ',', thousands: '.', grouping: [3], currency: ['', '\u00a0€']},
+    time: {
+        dateTime: '%A, der %e. %B %Y, %X',
+        date: '%d.%m.%Y',
+        time: '%H:%M:%S',
+        periods: ['AM', 'PM'],
+        days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+        shortDays: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'],
+        months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September',
+                 'Oktober', 'November', 'Dezember'],
+        shortMonths: ['Jan', 'Feb', 'Mrz', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez']
+    },
+    timeTickFormats: {minute: '%H:%M', hour: '%H:%M', day: '%a %d.', week: '%d. %b'},
+    strings: {
+        selectAll: 'Alle auswählen',
+        search: 'Suchen',
+        empty: 'leer',
+        others: 'Andere',
+        in: 'in',
+        notIn: 'nicht in',
+        not: 'nicht',
+        and: 'und',
+        or: 'oder',
+        brush: 'Bereichsauswahl: die Pfeiltasten verschieben sie, mit Umschalt ändern sie ihre Größe, Escape hebt sie auf',
+        selected: 'Ausgewählt',
+        yes: 'ja',
+        summaryItems: '%count Einträge.',
+        summaryValues: 'Die Werte reichen von %min (%min-key) bis %max (%max-key), insgesamt %total.',
+        summaryRising: 'Im Zeitverlauf steigen sie von %first auf %last.',
+        summaryFalling: 'Im Zeitverlauf fallen sie von %first auf %last.',
+        summaryFlat: 'Im Zeitverlauf bleiben sie bei %first.',
+        summaryFilter: 'Gefiltert auf %filter.',
+        drillDown: 'Drilldown',
+        drillAll: 'Alle'
+    }
+});
+
+/**
+ * French.
+ * @name fr
+ * @memberof locales
+ * @type {Locale}
+ */
+locales.fr = new Locale({
+    number: {decimal: ',', thousands: '\u00a0', grouping: [3], currency: ['', '\u00a0€'], percent: '\u202f%'},
+    time: {
+        dateTime: '%A %e %B %Y à %X',
+        date: '%d/%m/%Y',
+        time: '%H:%M:%S',
+        periods: ['AM', 'PM'],
+        days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+        shortDays: ['dim.', 'lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.'],
+        months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre',
+                 'octobre', 'novembre', 'décembre'],
+        shortMonths: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.']
+    },
+    timeTickFormats: {minute: '%H:%M', hour: '%H:%M', day: '%a %d', week: '%d %b'},
+    strings: {
+        selectAll: 'Tout sélectionner',
+        search: 'rechercher',
+        empty: 'vide',
+        others: 'Autres',
+        in: 'dans',
+        notIn: 'hors de',
+        not: 'sauf',
+        and: 'et',
+        or: 'ou',
+        brush: 'Sélection de plage : les flèches la déplacent, avec Maj elles la redimensionnent, Échap l\'efface',
+        selected: 'Sélectionné',
+        yes: 'oui',
+        summaryItems: '%count éléments.',
+        summaryValues: 'Les valeurs vont de %min (%min-key) à %max (%max-key), pour un total de %total.',
+        summaryRising: 'Au fil du temps, elles augmentent de %first à %last.',
+        summaryFalling: 'Au fil du temps, elles baissent de %first à %last.',
+        summaryFlat: 'Au fil du temps, elles restent à %first.',
+        summaryFilter: 'Filtré sur %filter.',
+        drillDown: 'Exploration',
+        drillAll: 'Tout'
+    }
+});
+
+/**
+ * Japanese.
+ * @name ja
+ * @memberof locales
+ * @type {Locale}
+ */
+locales.ja = new Locale({
+    number: {decimal: '.', thousands: ',', grouping: [3], currency: ['', '円']},
+    time: {
+        dateTime: '%x %a %X',
+        date: '%Y/%m/%d',
+        time: '%H:%M:%S',
+        periods: ['AM', 'PM'],
+        days: ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'],
+        shortDays: ['日', '月', '火', '水', '木', '金', '土'],
+        months: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+        shortMonths: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月']
+    },
+    timeTickFormats: {minute: '%H:%M', hour: '%H時', day: '%d日(%a)', week: '%m/%d', month: '%b', year: '%Y年'},
+    strings: {
+        selectAll: 'すべて選択',
+        search: '検索',
+        empty: '空',
+        others: 'その他',
+        in: '含む',
+        notIn: '除外',
+        not: '範囲外',
+        and: 'かつ',
+        or: 'または',
+        brush: '範囲選択：矢印キーで移動、Shift と矢印キーでサイズ変更、Escape で解除',
+        selected: '選択',
+        yes: 'はい',
+        summaryItems: '%count 件。',
+        summaryValues: '値は %min（%min-key）から %max（%max-key）まで、合計 %total。',
+        summaryRising: '時間とともに %first から %last に増加。',
+        summaryFalling: '時間とともに %first から %last に減少。',
+        summaryFlat: '時間を通じて %first で横ばい。',
+        summaryFilter: 'フィルター：%filter。',
+        drillDown: 'ドリルダウン',
+        drillAll: 'すべて'
+    }
+});
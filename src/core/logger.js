@@ -1,73 +1,236 @@
+import {BadArgumentException} from './bad-argument-exception';
+import {chartTypeRegistry} from './chart-type-registry';
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const chartTypeName = chart => {
+    for (let proto = Object.getPrototypeOf(chart); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        const name = chartTypeRegistry.nameOf(proto.constructor);
+        if (name) {
+            return name;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * The default sink of the {@link Logger logger}, which puts the message of a record to the console,
+ * using the console method of the level, or `console.log` if that method is not available.
+ * @param {Object} record
+ * @returns {undefined}
+ */
+export const consoleSink = function (record) {
+    if (console) {
+        const method = console[record.level] ? record.level : 'log';
+        if (console[method]) {
+            if (record.error) {
+                console[method](record.message, record.error);
+            } else {
+                console[method](record.message);
+            }
+        }
+    }
+};
+
 /**
  * Provides basis logging and deprecation utilities
+ *
+ * Messages are logged at the levels `'error'`, `'warn'`, `'info'` and `'debug'`. Messages at or
+ * above the {@link Logger#level level} of the logger are passed as records to its sinks; by default
+ * the only sink is the {@link consoleSink consoleSink}. A record has the following members:
+ * - `level`: the level of the message.
+ * - `message`: the message.
+ * - `timestamp`: the `Date` the message was logged.
+ * - `chartID`, `chartClass` and `anchor`: the {@link BaseMixin#chartID id}, the chart type and the
+ * {@link BaseMixin#anchorName anchor name} of the chart concerned, if any. The chart type is the name
+ * the class of the chart, or else the nearest class it derives from, is registered under in the
+ * {@link ChartTypeRegistry chart type registry}, since class names do not survive minification.
+ * - `event`: what the chart was doing, e.g. `'render'`, if known.
+ * - `error`: the error which was caught, if any.
+ *
+ * Any further members of the context passed along with a message are kept in the record as well.
+ * @example
+ * // send warnings and errors to the telemetry as well as to the console
+ * logger.addSink(function (record) {
+ *     telemetry.track('dc.' + record.level, {message: record.message, chart: record.chartClass});
+ * });
+ * // log everything but debug messages
+ * logger.level('info');
  */
 export class Logger {
 
     constructor () {
         /**
-         * Enable debug level logging. Set to `false` by default.
+         * Enable debug level logging. Set to `false` by default. Debug messages are logged if either this
+         * is set, or the {@link Logger#level level} is `'debug'`.
          * @name enableDebugLog
          * @memberof Logger
          * @instance
          */
         this.enableDebugLog = false;
 
+        this._level = 'warn';
+        this._sinks = [consoleSink];
         this._alreadyWarned = {};
     }
 
     /**
-     * Put a warning message to console
-     * @example
-     * logger.warn('Invalid use of .tension on CurveLinear');
-     * @param {String} [msg]
+     * Get or set the level of the logger. Messages below it are dropped.
+     * @param {String} [level='warn'] - One of `'error'`, `'warn'`, `'info'` and `'debug'`.
+     * @returns {String|Logger}
+     */
+    level (level) {
+        if (!arguments.length) {
+            return this._level;
+        }
+        if (LEVELS.indexOf(level) === -1) {
+            throw new BadArgumentException(`Unknown log level ${level}`);
+        }
+        this._level = level;
+        return this;
+    }
+
+    /**
+     * Add a sink, a function which receives every record logged.
+     * @param {Function} sink
      * @returns {Logger}
      */
-    warn (msg) {
-        if (console) {
-            if (console.warn) {
-                console.warn(msg);
-            } else if (console.log) {
-                console.log(msg);
-            }
+    addSink (sink) {
+        this._sinks.push(sink);
+        return this;
+    }
+
+    /**
+     * Remove a sink, e.g. the {@link consoleSink consoleSink} to keep the console quiet.
+     * @param {Function} sink
+     * @returns {Logger}
+     */
+    removeSink (sink) {
+        this._sinks = this._sinks.filter(s => s !== sink);
+        return this;
+    }
+
+    /**
+     * Get or set all sinks at once.
+     * @param {Array<Function>} [sinks=[consoleSink]]
+     * @returns {Array<Function>|Logger}
+     */
+    sinks (sinks) {
+        if (!arguments.length) {
+            return this._sinks;
         }
+        this._sinks = sinks;
+        return this;
+    }
 
+    /**
+     * Returns true if messages at the level are logged.
+     * @param {String} level
+     * @returns {Boolean}
+     */
+    isEnabled (level) {
+        return LEVELS.indexOf(level) <= LEVELS.indexOf(this._level) || (level === 'debug' && !!this.enableDebugLog);
+    }
+
+    /**
+     * Log a message at the given level.
+     * @example
+     * logger.log('info', 'Rendered the dashboard', {event: 'render'});
+     * @param {String} level
+     * @param {String} msg
+     * @param {Object} [context] - The `chart` concerned, the `event` and the `error`, and any further
+     * members to be kept in the record.
+     * @returns {Logger}
+     */
+    log (level, msg, context) {
+        if (this.isEnabled(level)) {
+            const record = this._record(level, msg, context);
+            this._sinks.forEach(sink => sink(record));
+        }
         return this;
     }
 
+    _record (level, msg, context) {
+        const record = Object.assign({}, context, {
+            level: level,
+            message: msg,
+            timestamp: new Date()
+        });
+        delete record.chart;
+        const chart = context && context.chart;
+        if (chart) {
+            record.chartID = chart.chartID();
+            record.chartClass = chartTypeName(chart);
+            record.anchor = chart.anchorName();
+        }
+        return record;
+    }
+
+    /**
+     * Put an error message to the sinks.
+     * @example
+     * logger.error('commitHandler failed', {chart: chart, event: 'redrawGroup', error: error});
+     * @param {String} [msg]
+     * @param {Object} [context] - See {@link Logger#log log}.
+     * @returns {Logger}
+     */
+    error (msg, context) {
+        return this.log('error', msg, context);
+    }
+
+    /**
+     * Put a warning message to the sinks.
+     * @example
+     * logger.warn('Invalid use of .tension on CurveLinear');
+     * @param {String} [msg]
+     * @param {Object} [context] - See {@link Logger#log log}.
+     * @returns {Logger}
+     */
+    warn (msg, context) {
+        return this.log('warn', msg, context);
+    }
+
     /**
-     * Put a warning message to console. It will warn only on unique messages.
+     * Put a warning message to the sinks. It will warn only on unique messages.
      * @example
      * logger.warnOnce('Invalid use of .tension on CurveLinear');
      * @param {String} [msg]
+     * @param {Object} [context] - See {@link Logger#log log}.
      * @returns {Logger}
      */
-    warnOnce (msg) {
+    warnOnce (msg, context) {
         if (!this._alreadyWarned[msg]) {
             this._alreadyWarned[msg] = true;
 
-            logger.warn(msg);
+            logger.warn(...arguments);
         }
 
         return this;
     }
 
     /**
-     * Put a debug message to console. It is controlled by `logger.enableDebugLog`
+     * Put an informational message to the sinks.
      * @example
-     * logger.debug('Total number of slices: ' + numSlices);
+     * logger.info('Loaded 4 chart specs');
      * @param {String} [msg]
+     * @param {Object} [context] - See {@link Logger#log log}.
      * @returns {Logger}
      */
-    debug (msg) {
-        if (this.enableDebugLog && console) {
-            if (console.debug) {
-                console.debug(msg);
-            } else if (console.log) {
-                console.log(msg);
-            }
-        }
+    info (msg, context) {
+        return this.log('info', msg, context);
+    }
 
-        return this;
+    /**
+     * Put a debug message to the sinks. It is controlled by `logger.enableDebugLog`
+     * and the {@link Logger#level level}.
+     * @example
+     * logger.debug('Total number of slices: ' + numSlices);
+     * @param {String} [msg]
+     * @param {Object} [context] - See {@link Logger#log log}.
+     * @returns {Logger}
+     */
+    debug (msg, context) {
+        return this.log('debug', msg, context);
     }
 }
 
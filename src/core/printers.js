@@ -1,3 +1,4 @@
+import {config} from './config';
 import {utils} from './utils';
 
 /**
@@ -6,21 +7,62 @@ import {utils} from './utils';
  */
 export const printers = {};
 
+const localeString = (chartConfig, key) => (chartConfig || config).locale().string(key);
+
+// nested compound filters are parenthesized
+const printParts = (filter, chartConfig, operator) => filter.map(part => {
+    const s = printers.filter(part, chartConfig);
+    return part && (part.filterType === 'And' || part.filterType === 'Or') ? `(${s})` : s;
+}).join(` ${localeString(chartConfig, operator)} `);
+
+// ranges are printed in interval notation, e.g. [1 -> 5)
+const printRange = (filter, chartConfig) => {
+    const bounds = filter.bounds || '[)';
+    return `${bounds[0]}${filter.map(e => utils.printSingleValue(e, chartConfig)).join(' -> ')}${bounds[1]}`;
+};
+
+const printValues = (filter, chartConfig) => filter.map(e => utils.printSingleValue(e, chartConfig)).join(', ');
+
+/**
+ * Print functions for the {@link filters dc filter objects}, keyed by `filterType`. Each function
+ * receives the filter and the chart configuration and returns a string. Filters without an entry are
+ * printed like plain values or arrays. Custom filters can be given their own notation by adding an
+ * entry here.
+ * @example
+ * printers.filterTypes.MyFilter = function (filter, chartConfig) {
+ *     return `near ${utils.printSingleValue(filter[0], chartConfig)}`;
+ * };
+ * @name filterTypes
+ * @memberof printers
+ * @type {Object<String, Function>}
+ */
+printers.filterTypes = {
+    RangedFilter: printRange,
+    RangedTwoDimensionalFilter: printRange,
+    InFilter: (filter, chartConfig) => `${localeString(chartConfig, 'in')} (${printValues(filter, chartConfig)})`,
+    NotInFilter: (filter, chartConfig) => `${localeString(chartConfig, 'notIn')} (${printValues(filter, chartConfig)})`,
+    NotRangedFilter: (filter, chartConfig) => `${localeString(chartConfig, 'not')} ${printRange(filter, chartConfig)}`,
+    And: (filter, chartConfig) => printParts(filter, chartConfig, 'and'),
+    Or: (filter, chartConfig) => printParts(filter, chartConfig, 'or')
+};
+
 /**
  * Converts a list of filters into a readable string.
  * @method filters
  * @memberof printers
  * @param {Array<filters>} filters
+ * @param {Config} [chartConfig] - The configuration whose date format and {@link Locale locale} are
+ * used; see {@link utils.printSingleValue printSingleValue}.
  * @returns {String}
  */
-printers.filters = function (filters) {
+printers.filters = function (filters, chartConfig) {
     let s = '';
 
     for (let i = 0; i < filters.length; ++i) {
         if (i > 0) {
             s += ', ';
         }
-        s += printers.filter(filters[i]);
+        s += printers.filter(filters[i], chartConfig);
     }
 
     return s;
@@ -31,20 +73,24 @@ printers.filters = function (filters) {
  * @method filter
  * @memberof printers
  * @param {filters|any|Array<any>} filter
+ * @param {Config} [chartConfig] - The configuration whose date format and {@link Locale locale} are
+ * used; see {@link utils.printSingleValue printSingleValue}.
  * @returns {String}
  */
-printers.filter = function (filter) {
+printers.filter = function (filter, chartConfig) {
     let s = '';
 
     if (typeof filter !== 'undefined' && filter !== null) {
-        if (filter instanceof Array) {
+        if (filter.filterType && printers.filterTypes[filter.filterType]) {
+            s = printers.filterTypes[filter.filterType](filter, chartConfig);
+        } else if (filter instanceof Array) {
             if (filter.length >= 2) {
-                s = `[${filter.map(e => utils.printSingleValue(e)).join(' -> ')}]`;
+                s = `[${filter.map(e => utils.printSingleValue(e, chartConfig)).join(' -> ')}]`;
             } else if (filter.length >= 1) {
-                s = utils.printSingleValue(filter[0]);
+                s = utils.printSingleValue(filter[0], chartConfig);
             }
         } else {
-            s = utils.printSingleValue(filter);
+            s = utils.printSingleValue(filter, chartConfig);
         }
     }
 
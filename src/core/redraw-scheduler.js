@@ -0,0 +1,154 @@
+import {constants} from './constants';
+import {redrawAll, renderAll} from './chart-registry';
+
+const REDRAW = 'redraw';
+const RENDER = 'render';
+
+const nextFrame = callback => {
+    if (typeof requestAnimationFrame === 'function') {
+        const id = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(id);
+    }
+    const id = setTimeout(callback, 0);
+    return () => clearTimeout(id);
+};
+
+/**
+ * The redraw scheduler batches redraw and render requests per chart group. Requests for the same
+ * group are merged, and a pending render supersedes a pending redraw, so that each chart group is
+ * drawn at most once per flush no matter how many interactions asked for it.
+ *
+ * By default the pending requests are flushed on the next animation frame. Setting a
+ * {@link RedrawScheduler#delay delay} flushes them instead once no request has been made for that
+ * many milliseconds.
+ *
+ * dc uses the scheduler for continuous interactions such as brushing, zooming and typing into a
+ * {@link TextFilterWidget TextFilterWidget}; see {@link BaseMixin#scheduleRedrawGroup scheduleRedrawGroup}.
+ * @example
+ * redrawScheduler.requestRedraw('chartGroupA');
+ * redrawScheduler.requestRedraw('chartGroupA'); // merged with the previous request
+ * redrawScheduler.requestRender('chartGroupB');
+ * // in a test, draw immediately instead of waiting for the next frame
+ * redrawScheduler.flush();
+ */
+export class RedrawScheduler {
+    constructor () {
+        this._delay = null;
+        this._pending = {};
+        this._cancelFlush = null;
+    }
+
+    /**
+     * Set or get the debounce delay in milliseconds. When `null`, pending requests are flushed on
+     * the next animation frame (or on the next tick where `requestAnimationFrame` is not available).
+     * @param {Number|null} [delay=null]
+     * @returns {Number|null|RedrawScheduler}
+     */
+    delay (delay) {
+        if (!arguments.length) {
+            return this._delay;
+        }
+        this._delay = delay;
+        return this;
+    }
+
+    /**
+     * Request a redraw of all charts in the given chart group.
+     * @param {String} [group]
+     * @returns {RedrawScheduler}
+     */
+    requestRedraw (group) {
+        return this._request(group, REDRAW);
+    }
+
+    /**
+     * Request a render of all charts in the given chart group. A pending redraw of the group is
+     * replaced by the render.
+     * @param {String} [group]
+     * @returns {RedrawScheduler}
+     */
+    requestRender (group) {
+        return this._request(group, RENDER);
+    }
+
+    /**
+     * Returns true if a redraw or render of the given chart group is waiting to be flushed.
+     * @param {String} [group]
+     * @returns {Boolean}
+     */
+    isPending (group) {
+        return !!this._pending[group || constants.DEFAULT_CHART_GROUP];
+    }
+
+    /**
+     * Execute all pending requests immediately.
+     * @returns {RedrawScheduler}
+     */
+    flush () {
+        this._cancelScheduledFlush();
+        const pending = this._pending;
+        this._pending = {};
+        Object.keys(pending).forEach(name => {
+            const request = pending[name];
+            if (request.kind === RENDER) {
+                renderAll(request.group);
+            } else {
+                redrawAll(request.group);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Drop all pending requests without executing them.
+     * @returns {RedrawScheduler}
+     */
+    cancel () {
+        this._cancelScheduledFlush();
+        this._pending = {};
+        return this;
+    }
+
+    _request (group, kind) {
+        const name = group || constants.DEFAULT_CHART_GROUP;
+        const request = this._pending[name];
+        if (!request) {
+            this._pending[name] = {group, kind};
+        } else if (kind === RENDER) {
+            request.kind = RENDER;
+        }
+        this._scheduleFlush();
+        return this;
+    }
+
+    _scheduleFlush () {
+        if (this._delay === null) {
+            if (!this._cancelFlush) {
+                this._cancelFlush = nextFrame(() => {
+                    this._cancelFlush = null;
+                    this.flush();
+                });
+            }
+        } else {
+            this._cancelScheduledFlush();
+            const id = setTimeout(() => {
+                this._cancelFlush = null;
+                this.flush();
+            }, this._delay);
+            this._cancelFlush = () => clearTimeout(id);
+        }
+    }
+
+    _cancelScheduledFlush () {
+        if (this._cancelFlush) {
+            this._cancelFlush();
+            this._cancelFlush = null;
+        }
+    }
+}
+
+/**
+ * The default redraw scheduler instance used by dc.
+ * @type {RedrawScheduler}
+ */
+export const redrawScheduler = new RedrawScheduler();
@@ -0,0 +1,85 @@
+import {timerFlush} from 'd3-timer';
+
+import {serializeSvg} from './svg-export';
+
+// transitions which do not go through the chart's transition duration, e.g. of the box plot, end
+// within a few timer ticks when their duration is zero
+const MAX_TIMER_FLUSHES = 4;
+
+const flushTransitions = () => {
+    for (let i = 0; i < MAX_TIMER_FLUSHES; ++i) {
+        timerFlush();
+    }
+};
+
+// render without transitions and without the brush
+const renderStatic = chart => {
+    const transitionDuration = chart.transitionDuration();
+    const brushOn = chart.brushOn ? chart.brushOn() : false;
+    chart.transitionDuration(0);
+    if (brushOn) {
+        chart.brushOn(false);
+    }
+    try {
+        chart.render();
+        flushTransitions();
+    } finally {
+        chart.transitionDuration(transitionDuration);
+        if (brushOn) {
+            chart.brushOn(true);
+        }
+    }
+};
+
+/**
+ * Render a chart and return its SVGElement serialized as a standalone SVG document string. This works
+ * with the SVG-based charts, such as the {@link BarChart BarChart}, {@link LineChart LineChart},
+ * {@link PieChart PieChart}, {@link RowChart RowChart} or {@link HeatMap HeatMap}, anywhere a DOM
+ * document is at hand, e.g. in Node with [jsdom](https://github.com/jsdom/jsdom), where there is no
+ * `window` and elements have no layout.
+ *
+ * Anchor the chart at an element of the document, instead of at a selector, since selectors are looked
+ * up in the global `document`. The chart is rendered without transitions and without its brush, which
+ * is only useful for interaction. The transitions, the brush and the size of the chart are restored
+ * afterwards, so the `width` and `height` options only apply to the returned SVG.
+ *
+ * The options are:
+ * - `width`, `height`: the size of the chart. Give these unless the chart has a fixed size, since
+ * without layout the size of the anchor can not be measured and the chart falls back to its
+ * {@link BaseMixin#minWidth minWidth} and {@link BaseMixin#minHeight minHeight}.
+ * - `inlineStyles`: copy the computed styles of the elements, e.g. from dc.css, into their `style`
+ * attributes, so that the SVG looks the same outside of the page. Defaults to `true`; it has no effect
+ * if the document does not compute styles.
+ * - `css`: a style sheet to embed in the SVG, e.g. the contents of dc.css when the document does not
+ * compute styles.
+ * @example
+ * // in Node
+ * var JSDOM = require('jsdom').JSDOM;
+ * var document = new JSDOM('<div id="chart"></div>').window.document;
+ * var chart = new dc.BarChart(document.getElementById('chart'))
+ *     .dimension(dimension)
+ *     .group(group)
+ *     .x(d3.scaleLinear().domain([0, 20]));
+ * fs.writeFileSync('chart.svg', dc.renderSvgString(chart, {width: 600, height: 300}));
+ * @param {BaseMixin} chart
+ * @param {{width: Number, height: Number, inlineStyles: Boolean, css: String}} [options]
+ * @returns {String}
+ */
+export const renderSvgString = function (chart, options) {
+    options = options || {};
+    const widthCalc = chart._widthCalc;
+    const heightCalc = chart._heightCalc;
+    if (options.width) {
+        chart.width(options.width);
+    }
+    if (options.height) {
+        chart.height(options.height);
+    }
+
+    try {
+        renderStatic(chart);
+        return serializeSvg(chart, options);
+    } finally {
+        chart.width(widthCalc).height(heightCalc);
+    }
+};
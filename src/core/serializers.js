@@ -0,0 +1,119 @@
+import {filters} from './filters';
+import {BadArgumentException} from './bad-argument-exception';
+
+/**
+ * The serializers convert chart filters into plain values which survive a round trip through
+ * `JSON.stringify` / `JSON.parse`, and back into the typed {@link filters dc filter objects}.
+ * They are used by {@link serializeFilters serializeFilters} and
+ * {@link restoreFilters restoreFilters} to bookmark the state of a chart group.
+ *
+ * Plain numbers, strings and booleans are kept as they are, dates become `{date: isoString}` and
+ * dc filter objects become `{filterType: name, values: [...]}`, plus the `bounds` of ranged filters
+ * which do not use the default bounds, e.g. `{filterType: 'RangedFilter', values: [1, 5], bounds: '[]'}`.
+ * @namespace serializers
+ * @type {{}}
+ */
+export const serializers = {};
+
+/**
+ * Rebuild functions for the dc filter objects, keyed by `filterType`. Each function receives the
+ * parsed values of the filter and the serialized object, and returns a new filter object. Custom filters can be made
+ * serializable by adding an entry here.
+ * @example
+ * serializers.filterTypes.MyFilter = function (values) {
+ *     return myFilter(values[0]);
+ * };
+ * @name filterTypes
+ * @memberof serializers
+ * @type {Object<String, Function>}
+ */
+serializers.filterTypes = {
+    RangedFilter: (values, serialized) => filters.RangedFilter(values[0], values[1], serialized.bounds),
+    NotRangedFilter: values => filters.NotRangedFilter(values[0], values[1]),
+    InFilter: values => filters.InFilter(values),
+    NotInFilter: values => filters.NotInFilter(values),
+    And: values => filters.And(...values),
+    Or: values => filters.Or(...values),
+    TwoDimensionalFilter: values => filters.TwoDimensionalFilter(values),
+    RangedTwoDimensionalFilter: (values, serialized) => filters.RangedTwoDimensionalFilter(values, serialized.bounds),
+    HierarchyFilter: values => filters.HierarchyFilter(values)
+};
+
+/**
+ * Converts a list of filters into an array of JSON compatible values.
+ * @method filters
+ * @memberof serializers
+ * @param {Array<filters>} filterList
+ * @returns {Array<*>}
+ */
+serializers.filters = function (filterList) {
+    return filterList.map(f => serializers.filter(f));
+};
+
+/**
+ * Converts a filter into a JSON compatible value.
+ * @method filter
+ * @memberof serializers
+ * @param {filters|any|Array<any>} filter
+ * @returns {*}
+ */
+serializers.filter = function (filter) {
+    if (filter === null || typeof filter === 'undefined') {
+        return null;
+    }
+    if (filter instanceof Date) {
+        return {date: filter.toISOString()};
+    }
+    if (filter.filterType && serializers.filterTypes[filter.filterType]) {
+        const serialized = {
+            filterType: filter.filterType,
+            values: Array.from(filter).map(v => serializers.filter(v))
+        };
+        // the default bounds are left out, so that the state stays short
+        if (filter.bounds && filter.bounds !== '[)') {
+            serialized.bounds = filter.bounds;
+        }
+        return serialized;
+    }
+    if (filter instanceof Array) {
+        return filter.map(v => serializers.filter(v));
+    }
+    return filter;
+};
+
+/**
+ * Converts an array produced by {@link serializers.filters serializers.filters} back into filters.
+ * @method parseFilters
+ * @memberof serializers
+ * @param {Array<*>} values
+ * @returns {Array<filters>}
+ */
+serializers.parseFilters = function (values) {
+    return values.map(v => serializers.parseFilter(v));
+};
+
+/**
+ * Converts a value produced by {@link serializers.filter serializers.filter} back into a filter.
+ * @method parseFilter
+ * @memberof serializers
+ * @param {*} value
+ * @returns {filters|any|Array<any>}
+ */
+serializers.parseFilter = function (value) {
+    if (value instanceof Array) {
+        return value.map(v => serializers.parseFilter(v));
+    }
+    if (value !== null && typeof value === 'object') {
+        if (typeof value.date === 'string') {
+            return new Date(value.date);
+        }
+        if (value.filterType) {
+            const rebuild = serializers.filterTypes[value.filterType];
+            if (!rebuild) {
+                throw new BadArgumentException(`Unknown filterType ${value.filterType}`);
+            }
+            return rebuild(serializers.parseFilter(value.values), value);
+        }
+    }
+    return value;
+};
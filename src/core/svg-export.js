@@ -0,0 +1,188 @@
+import {chartRegistry} from './chart-registry';
+import {InvalidStateException} from './invalid-state-exception';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+// the properties which make up the look of svg elements, copied into their style attributes
+const STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'display', 'visibility', 'shape-rendering',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+
+// values which are the same as those of the parent element are left out, to keep the output small
+const inlineStyles = (source, target, view) => {
+    const sources = [source].concat(Array.prototype.slice.call(source.querySelectorAll('*')));
+    const targets = [target].concat(Array.prototype.slice.call(target.querySelectorAll('*')));
+    const computedStyles = new Map();
+    sources.forEach((element, i) => {
+        const computed = view.getComputedStyle(element);
+        const parentComputed = computedStyles.get(element.parentNode);
+        const style = targets[i].style;
+        computedStyles.set(element, computed);
+        STYLE_PROPERTIES.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            const parentValue = parentComputed && parentComputed.getPropertyValue(property);
+            if (value && value !== parentValue && !style.getPropertyValue(property)) {
+                style.setProperty(property, value);
+            }
+        });
+    });
+};
+
+const standalone = (svg, css) => {
+    svg.setAttributeNS(XMLNS_NS, 'xmlns', SVG_NS);
+    svg.setAttributeNS(XMLNS_NS, 'xmlns:xlink', XLINK_NS);
+    if (css) {
+        const style = svg.ownerDocument.createElementNS(SVG_NS, 'style');
+        style.textContent = css;
+        svg.insertBefore(style, svg.firstChild);
+    }
+    return svg;
+};
+
+// outerHTML writes HTML entities such as &nbsp; in HTML documents, which are not valid XML
+const serializeNode = node => {
+    const view = node.ownerDocument.defaultView;
+    const Serializer = (view && view.XMLSerializer) || (typeof XMLSerializer !== 'undefined' && XMLSerializer);
+    return Serializer ? new Serializer().serializeToString(node) : node.outerHTML;
+};
+
+const chartSvgNode = (chart, options) => {
+    const svg = chart.svg() && chart.svg().node();
+    if (!svg) {
+        throw new InvalidStateException(`Chart[#${chart.anchorName()}] is not rendered as SVG`);
+    }
+    const copy = svg.cloneNode(true);
+    const view = svg.ownerDocument.defaultView;
+    if (options.inlineStyles && view && view.getComputedStyle) {
+        inlineStyles(svg, copy, view);
+    }
+    if (options.stripBrush) {
+        Array.prototype.forEach.call(copy.querySelectorAll('g.brush'), brush => brush.parentNode.removeChild(brush));
+    }
+    // clip paths refer to the page, which the standalone SVG is not part of
+    Array.prototype.forEach.call(copy.querySelectorAll('[clip-path]'), element => {
+        element.setAttribute('clip-path', element.getAttribute('clip-path').replace(/url\([^#)]*#/, 'url(#'));
+    });
+    copy.setAttribute('width', chart.width());
+    copy.setAttribute('height', chart.height());
+    chart._prepareExport(copy);
+    return copy;
+};
+
+const exportOptions = options => Object.assign({inlineStyles: true, stripBrush: true, scale: 1}, options);
+
+/**
+ * Serialize the SVGElement of a rendered chart as a standalone SVG document; see
+ * {@link BaseMixin#toSVG BaseMixin.toSVG} for the options.
+ * @param {BaseMixin} chart
+ * @param {{inlineStyles: Boolean, stripBrush: Boolean, css: String}} [options]
+ * @returns {String}
+ */
+export const serializeSvg = function (chart, options) {
+    options = exportOptions(options);
+    return serializeNode(standalone(chartSvgNode(chart, options), options.css));
+};
+
+/**
+ * Draw an SVG document onto a canvas and return the PNG image. This needs a browser, since it loads the
+ * SVG as an image.
+ * @param {String} svg - The SVG document.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} [scale=1] - The number of pixels per unit of the SVG, e.g. 2 for high resolution screens.
+ * @returns {Promise<Blob>}
+ */
+export const rasterizeSvg = function (svg, width, height, scale) {
+    scale = scale || 1;
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new InvalidStateException('The canvas could not be exported as PNG'));
+                }
+            }, 'image/png');
+        };
+        image.onerror = () => reject(new InvalidStateException('The SVG could not be loaded as an image'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+};
+
+const groupSvgNode = (chartGroup, options) => {
+    const charts = chartRegistry.list(chartGroup).filter(chart => chart.svg());
+    if (!charts.length) {
+        throw new InvalidStateException(`Chart group ${chartGroup} has no charts rendered as SVG`);
+    }
+    const columns = options.columns;
+    const padding = options.padding;
+    const columnWidths = [], rowHeights = [];
+    charts.forEach((chart, i) => {
+        const column = i % columns, row = Math.floor(i / columns);
+        columnWidths[column] = Math.max(columnWidths[column] || 0, chart.width());
+        rowHeights[row] = Math.max(rowHeights[row] || 0, chart.height());
+    });
+    const offsets = sizes => sizes.reduce((acc, size) => acc.concat([acc[acc.length - 1] + size + padding]), [0]);
+    const xs = offsets(columnWidths), ys = offsets(rowHeights);
+
+    const doc = charts[0].svg().node().ownerDocument;
+    const svg = doc.createElementNS(SVG_NS, 'svg');
+    charts.forEach((chart, i) => {
+        const chartSvg = chartSvgNode(chart, options);
+        chartSvg.setAttribute('x', xs[i % columns]);
+        chartSvg.setAttribute('y', ys[Math.floor(i / columns)]);
+        svg.appendChild(chartSvg);
+    });
+    svg.setAttribute('width', xs[xs.length - 1] - padding);
+    svg.setAttribute('height', ys[ys.length - 1] - padding);
+    return standalone(svg, options.css);
+};
+
+const groupOptions = options => Object.assign({columns: 1, padding: 10}, exportOptions(options));
+
+/**
+ * Export the rendered charts of a chart group as one SVG document, laid out in a grid in the order they
+ * were registered. Charts which are not rendered as SVG, such as the {@link DataCount DataCount}, are
+ * left out.
+ *
+ * Besides the options of {@link BaseMixin#toSVG BaseMixin.toSVG}, the options are:
+ * - `columns`: the number of charts side by side. Defaults to 1.
+ * - `padding`: the space between the charts. Defaults to 10.
+ * @example
+ * var svg = dc.chartGroupToSVG('dashboard', {columns: 2});
+ * @param {String} [chartGroup]
+ * @param {{columns: Number, padding: Number, inlineStyles: Boolean, stripBrush: Boolean, css: String}} [options]
+ * @returns {String}
+ */
+export const chartGroupToSVG = function (chartGroup, options) {
+    return serializeNode(groupSvgNode(chartGroup, groupOptions(options)));
+};
+
+/**
+ * Export the rendered charts of a chart group as one PNG image; see
+ * {@link chartGroupToSVG chartGroupToSVG} for the layout, and {@link BaseMixin#toPNG BaseMixin.toPNG}
+ * for the `scale`.
+ * @example
+ * dc.chartGroupToPNG('dashboard', {columns: 2, scale: 2}).then(function (blob) {
+ *     link.href = URL.createObjectURL(blob);
+ * });
+ * @param {String} [chartGroup]
+ * @param {{columns: Number, padding: Number, scale: Number, inlineStyles: Boolean, stripBrush: Boolean, css: String}} [options]
+ * @returns {Promise<Blob>}
+ */
+export const chartGroupToPNG = function (chartGroup, options) {
+    options = groupOptions(options);
+    const svg = groupSvgNode(chartGroup, options);
+    return rasterizeSvg(serializeNode(svg), +svg.getAttribute('width'), +svg.getAttribute('height'), options.scale);
+};
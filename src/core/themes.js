@@ -0,0 +1,224 @@
+import {chartTypeRegistry} from './chart-type-registry';
+
+/**
+ * Themes style charts consistently without repeating the same settings for every chart.
+ *
+ * A theme is a plain object with the following optional members:
+ * - `options`: default option values per chart class. Chart classes are keyed by the name they are
+ * registered under in the {@link ChartTypeRegistry chart type registry}, such as `BarChart`, and base
+ * classes and mixins by their static `themeKey`, such as `CoordinateGridMixin` or `ColorMixin`.
+ * The key `'*'` applies to all charts. The values are applied like
+ * {@link BaseMixin#options BaseMixin.options}; the options of a derived class override those of its
+ * base classes, which override `'*'`. Options which a chart does not support are skipped.
+ * - `legend`: option values for legends attached to a chart. They are only applied to settings which
+ * still have their default value.
+ * - `cssVariables`: CSS custom properties which are set on the root element of the chart. The dc.js
+ * stylesheet uses them for fonts, strokes and fills.
+ *
+ * The theme is read from the {@link Config#theme theme} of the
+ * {@link BaseMixin#chartConfig chart configuration} when the chart is constructed, so it can be set
+ * globally or for a chart group. Options set on the chart afterwards override the theme.
+ * @example
+ * // all charts
+ * config.theme(themes.dark);
+ * // only the charts of one chart group, with narrow gaps between bars
+ * config.chartGroup('reports').theme({
+ *     options: {
+ *         '*': {transitionDuration: 0},
+ *         BarChart: {gap: 1}
+ *     },
+ *     cssVariables: {'--dc-font-family': 'Georgia, serif'}
+ * });
+ * @namespace themes
+ * @type {{}}
+ */
+export const themes = {};
+
+const copyOption = value => {
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.assign({}, value);
+    }
+    return value;
+};
+
+// class names do not survive minification, so the keys come from the registry and `themeKey`
+const themeKeys = chart => {
+    const keys = [];
+    for (let proto = Object.getPrototypeOf(chart); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        const chartType = proto.constructor;
+        const key = Object.prototype.hasOwnProperty.call(chartType, 'themeKey') ?
+            chartType.themeKey : chartTypeRegistry.nameOf(chartType);
+        if (key) {
+            keys.unshift(key);
+        }
+    }
+    return keys;
+};
+
+/**
+ * Returns the option values of a theme which apply to the given chart.
+ * @method chartOptions
+ * @memberof themes
+ * @param {BaseMixin} chart
+ * @param {Object} theme
+ * @returns {Object}
+ */
+themes.chartOptions = function (chart, theme) {
+    const themeOptions = theme.options || {};
+    const opts = {};
+    ['*'].concat(themeKeys(chart)).forEach(name => {
+        const classOptions = themeOptions[name] || {};
+        Object.keys(classOptions).forEach(key => {
+            if (typeof chart[key] === 'function') {
+                opts[key] = copyOption(classOptions[key]);
+            }
+        });
+    });
+    return opts;
+};
+
+/**
+ * Apply a theme to a chart. Charts apply the theme of their configuration when they are constructed,
+ * so this is only needed to apply a different theme to an existing chart.
+ * @method apply
+ * @memberof themes
+ * @param {BaseMixin} chart
+ * @param {Object} theme
+ * @returns {BaseMixin}
+ */
+themes.apply = function (chart, theme) {
+    if (!theme) {
+        return chart;
+    }
+    chart.options(themes.chartOptions(chart, theme));
+
+    const cssVariables = theme.cssVariables || {};
+    if (chart.root() && !chart._isChild) {
+        Object.keys(cssVariables).forEach(name => {
+            chart.root().style(name, cssVariables[name]);
+        });
+    }
+    if (chart.legend()) {
+        themes.applyToLegend(chart.legend(), theme);
+    }
+    return chart;
+};
+
+/**
+ * Apply the legend settings of a theme to a legend. Settings which have been changed from the
+ * default of the legend are kept.
+ * @method applyToLegend
+ * @memberof themes
+ * @param {Legend|HtmlLegend} legend
+ * @param {Object} theme
+ * @returns {Legend|HtmlLegend}
+ */
+themes.applyToLegend = function (legend, theme) {
+    if (!theme || !theme.legend) {
+        return legend;
+    }
+    const defaults = new legend.constructor();
+    Object.keys(theme.legend).forEach(key => {
+        if (typeof legend[key] === 'function' && legend[key]() === defaults[key]()) {
+            legend[key](copyOption(theme.legend[key]));
+        }
+    });
+    return legend;
+};
+
+/**
+ * The light theme: a muted categorical palette and horizontal grid lines on dark text.
+ * @name light
+ * @memberof themes
+ * @type {Object}
+ */
+themes.light = {
+    name: 'light',
+    options: {
+        '*': {
+            ordinalColors: ['#4e79a7', '#f28e2c', '#e15759', '#76b7b2', '#59a14f',
+                            '#edc949', '#af7aa1', '#ff9da7', '#9c755f', '#bab0ab']
+        },
+        CoordinateGridMixin: {
+            renderHorizontalGridLines: true
+        }
+    },
+    legend: {
+        itemHeight: 12,
+        gap: 6
+    },
+    cssVariables: {
+        '--dc-background': 'transparent',
+        '--dc-font-family': 'sans-serif',
+        '--dc-text-color': '#333',
+        '--dc-axis-stroke': '#666',
+        '--dc-grid-stroke': '#e0e0e0',
+        '--dc-deselected-fill': '#ccc',
+        '--dc-line-stroke-width': '1.5px'
+    }
+};
+
+/**
+ * The dark theme: a bright categorical palette and light text on a dark background.
+ * @name dark
+ * @memberof themes
+ * @type {Object}
+ */
+themes.dark = {
+    name: 'dark',
+    options: {
+        '*': {
+            ordinalColors: ['#8ab4f8', '#f6ae2d', '#f28b82', '#81c995', '#fdd663',
+                            '#c58af9', '#78d9ec', '#fcad70', '#ff8bcb', '#aecbfa']
+        },
+        CoordinateGridMixin: {
+            renderHorizontalGridLines: true
+        }
+    },
+    legend: {
+        itemHeight: 12,
+        gap: 6
+    },
+    cssVariables: {
+        '--dc-background': '#202124',
+        '--dc-font-family': 'sans-serif',
+        '--dc-text-color': '#e8eaed',
+        '--dc-axis-stroke': '#9aa0a6',
+        '--dc-grid-stroke': '#3c4043',
+        '--dc-deselected-fill': '#5f6368',
+        '--dc-line-stroke-width': '1.5px'
+    }
+};
+
+/**
+ * The high-contrast theme: a color blind safe palette, thicker strokes and larger text.
+ * @name highContrast
+ * @memberof themes
+ * @type {Object}
+ */
+themes.highContrast = {
+    name: 'high-contrast',
+    options: {
+        '*': {
+            ordinalColors: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#d55e00',
+                            '#56b4e9', '#f0e442', '#000000']
+        },
+        CoordinateGridMixin: {
+            renderHorizontalGridLines: true
+        }
+    },
+    legend: {
+        itemHeight: 16,
+        gap: 8
+    },
+    cssVariables: {
+        '--dc-background': '#fff',
+        '--dc-font-family': 'sans-serif',
+        '--dc-font-size': '13px',
+        '--dc-text-color': '#000',
+        '--dc-axis-stroke': '#000',
+        '--dc-grid-stroke': '#767676',
+        '--dc-deselected-fill': '#fff',
+        '--dc-line-stroke-width': '3px'
+    }
+};
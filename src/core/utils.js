@@ -3,6 +3,7 @@ import {format} from 'd3-format';
 
 import {constants} from './constants';
 import {config} from './config';
+import {logger} from './logger';
 
 /**
  * Returns a function that given a string property name, can be used to pluck the property off an object.  A function
@@ -39,29 +40,36 @@ export const pluck = function (n, f) {
  */
 export const utils = {};
 
+const _defaultFFormat = format('.2f');
+
 /**
  * Print a single value filter.
  * @method printSingleValue
  * @memberof utils
  * @param {any} filter
+ * @param {Config} [chartConfig=config] - The configuration providing the date format and the
+ * {@link Locale locale}, e.g. the {@link BaseMixin#chartConfig configuration of a chart}.
  * @returns {String}
  */
-utils.printSingleValue = function (filter) {
+utils.printSingleValue = function (filter, chartConfig) {
     let s = `${filter}`;
+    chartConfig = chartConfig || config;
 
     if (filter instanceof Date) {
-        s = config.dateFormat(filter);
+        s = chartConfig.dateFormat(filter);
     } else if (typeof (filter) === 'string') {
         s = filter;
     } else if (utils.isFloat(filter)) {
-        s = utils.printSingleValue.fformat(filter);
+        // a float format set here takes precedence over the locale
+        s = utils.printSingleValue.fformat === _defaultFFormat ?
+            chartConfig.locale().formatFloat(filter) : utils.printSingleValue.fformat(filter);
     } else if (utils.isInteger(filter)) {
         s = Math.round(filter);
     }
 
     return s;
 };
-utils.printSingleValue.fformat = format('.2f');
+utils.printSingleValue.fformat = _defaultFFormat;
 
 // convert 'day' to d3.timeDay and similar
 utils._toTimeFunc = function (t) {
@@ -319,7 +327,7 @@ utils.arraysEqual = function (a1, a2) {
 utils.allChildren = function (node) {
     let paths = [];
     paths.push(node.path);
-    console.log('currentNode', node);
+    logger.debug(`currentNode ${node.path}`);
     if (node.children) {
         for (let i = 0; i < node.children.length; i++) {
             paths = paths.concat(utils.allChildren(node.children[i]));
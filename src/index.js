@@ -1,13 +1,23 @@
 export * from './core/bad-argument-exception';
 export * from './core/chart-registry';
+export * from './core/chart-specs';
+export * from './core/chart-type-registry';
 export * from './core/config';
 export * from './core/constants';
 export * from './core/core';
+export * from './core/data-export';
 export * from './core/events';
+export * from './core/filter-history';
 export * from './core/filters';
 export * from './core/invalid-state-exception';
+export * from './core/locale';
 export * from './core/logger';
 export * from './core/printers';
+export * from './core/redraw-scheduler';
+export * from './core/render-svg';
+export * from './core/serializers';
+export * from './core/svg-export';
+export * from './core/themes';
 export * from './core/units';
 export * from './core/utils';
 export * from './core/d3compat';
@@ -43,3 +53,4 @@ export * from './charts/select-menu';
 export * from './charts/series-chart';
 export * from './charts/sunburst-chart';
 export * from './charts/text-filter-widget';
+export * from './charts/tooltip';